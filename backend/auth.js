@@ -0,0 +1,166 @@
+/**
+ * Local API Authentication
+ * Keeps other web pages open in the streamer's browser away from the stream and the models
+ *
+ * - Two generated pairing tokens: `control` (settings page, extension) and `read` (OBS browser sources)
+ * - Every route needs a scope; control includes read
+ * - Browser requests are only accepted from allow-listed origins
+ *
+ * Tokens and the allow-list live in ~/.cooldesk/auth.json, outside the repo. Delete the file to rotate the tokens.
+ * HTTP clients send `Authorization: Bearer <token>`; WebSocket clients add `?token=<token>` to the URL
+ * because browsers can't set headers on a WebSocket handshake.
+ */
+
+import { Buffer } from 'buffer';
+import { randomBytes, timingSafeEqual } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { homedir } from 'os';
+import { join } from 'path';
+
+const AUTH_DIR = join(homedir(), '.cooldesk');
+const AUTH_FILE = join(AUTH_DIR, 'auth.json');
+
+export const SCOPES = {
+    READ: 'read',
+    CONTROL: 'control'
+};
+
+// Anything not listed: GET needs read, POST needs control
+const ROUTE_SCOPES = {
+    'GET /health': null
+};
+
+let authConfig = null;
+
+function generateToken() {
+    return randomBytes(24).toString('base64url');
+}
+
+function saveAuthConfig() {
+    try {
+        if (!existsSync(AUTH_DIR)) {
+            mkdirSync(AUTH_DIR, { recursive: true });
+        }
+        writeFileSync(AUTH_FILE, JSON.stringify(authConfig, null, 2), { mode: 0o600 });
+    } catch (e) {
+        console.error('[Auth] Failed to save auth config:', e);
+    }
+}
+
+/**
+ * Load tokens and the origin allow-list, generating tokens on first run
+ * @param {number} frontendPort - Port of the overlay (allowed by default)
+ * @returns {Object} { tokens: { control, read }, allowedOrigins }
+ */
+export function initAuth(frontendPort) {
+    let saved = {};
+    try {
+        if (existsSync(AUTH_FILE)) {
+            saved = JSON.parse(readFileSync(AUTH_FILE, 'utf8'));
+        }
+    } catch (e) {
+        console.error('[Auth] Failed to read auth config, generating new tokens:', e.message);
+    }
+
+    authConfig = {
+        tokens: {
+            control: saved.tokens?.control || generateToken(),
+            read: saved.tokens?.read || generateToken()
+        },
+        allowedOrigins: Array.isArray(saved.allowedOrigins) ? saved.allowedOrigins : [
+            `http://localhost:${frontendPort}`,
+            `http://127.0.0.1:${frontendPort}`,
+            // Extension ids differ per install; the control token still has to match
+            'chrome-extension://*'
+        ]
+    };
+    saveAuthConfig();
+    return authConfig;
+}
+
+/**
+ * Whether a browser origin may talk to the backend
+ * Requests without an Origin header come from non-browser tools (curl, scripts) and rely on the token alone.
+ * @param {string|undefined} origin - Origin header
+ * @returns {boolean}
+ */
+export function isOriginAllowed(origin) {
+    if (!origin) return true;
+    return authConfig.allowedOrigins.some(allowed => allowed.endsWith('*')
+        ? origin.startsWith(allowed.slice(0, -1))
+        : origin === allowed);
+}
+
+function tokensEqual(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Look up what a token is allowed to do
+ * @param {string} token - Presented token
+ * @returns {string|null} SCOPES value, or null for an unknown token
+ */
+export function getTokenScope(token) {
+    if (!token) return null;
+    if (tokensEqual(token, authConfig.tokens.control)) return SCOPES.CONTROL;
+    if (tokensEqual(token, authConfig.tokens.read)) return SCOPES.READ;
+    return null;
+}
+
+/**
+ * Whether a granted scope covers a required one
+ */
+export function hasScope(granted, required) {
+    if (!required) return true;
+    if (granted === SCOPES.CONTROL) return true;
+    return granted === required;
+}
+
+/**
+ * Scope a route needs
+ * @param {string} method - HTTP method
+ * @param {string} url - Path
+ * @returns {string|null} Required scope, null for public routes
+ */
+export function requiredScope(method, url) {
+    const key = `${method} ${url}`;
+    if (key in ROUTE_SCOPES) return ROUTE_SCOPES[key];
+    return method === 'GET' ? SCOPES.READ : SCOPES.CONTROL;
+}
+
+/**
+ * Check origin and token of an HTTP request against the route it targets
+ * @param {http.IncomingMessage} req - Request
+ * @returns {{ok: boolean, status?: number, error?: string, scope?: string}}
+ */
+export function authorizeRequest(req) {
+    if (!isOriginAllowed(req.headers.origin)) {
+        return { ok: false, status: 403, error: `Origin not allowed: ${req.headers.origin}` };
+    }
+
+    const required = requiredScope(req.method, req.url);
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const scope = getTokenScope(token);
+
+    if (!required) return { ok: true, scope };
+    if (!scope) {
+        return { ok: false, status: 401, error: 'Missing or invalid pairing token' };
+    }
+    if (!hasScope(scope, required)) {
+        return { ok: false, status: 403, error: `This token is ${scope}-only; ${required} access needed` };
+    }
+    return { ok: true, scope };
+}
+
+/**
+ * Check origin and token of a WebSocket handshake
+ * @param {http.IncomingMessage} req - Upgrade request
+ * @returns {string|null} Granted scope, or null to refuse the connection
+ */
+export function authorizeSocket(req) {
+    if (!isOriginAllowed(req.headers.origin)) return null;
+    const token = new URL(req.url, 'http://localhost').searchParams.get('token');
+    return getTokenScope(token);
+}
@@ -0,0 +1,249 @@
+/**
+ * Command Router
+ * `!ask`, `!task`, `!explain` and custom commands from viewer chat and the extension
+ *
+ * - Commands and their prompt templates live in commands.json next to the other settings
+ * - Each command has a minimum role (viewer < mod < streamer) and a per-user cooldown
+ * - The streamer is never rate limited
+ *
+ * `!name args` is matched here without touching the model; free-form streamer commands are mapped
+ * onto a command by parseCommand() in locaLLM.js before they get here.
+ */
+
+import fs from 'fs';
+import { renderTemplate } from './personas.js';
+
+const commandsFile = './commands.json';
+
+// Lowest to highest; a role may run every command meant for the roles before it
+export const ROLES = ['viewer', 'mod', 'streamer'];
+
+const COMMAND_CONFIG = {
+    MAX_ARGS_LENGTH: 400,
+    NAME_PATTERN: /^[a-z0-9_-]{1,24}$/
+};
+
+// Template placeholders: {{username}}, {{role}}, {{args}} (text after the command), {{highlight}} (last thing shared)
+const BUILTIN_COMMANDS = [
+    {
+        name: 'ask',
+        description: 'Ask the co-host a question',
+        role: 'viewer',
+        cooldown: 30,
+        enabled: true,
+        template: `{{username}} asks the co-host:
+"{{args}}"
+
+Answer in 1-2 short sentences for the live audience. Address them by name.`
+    },
+    {
+        name: 'task',
+        description: 'Have the co-host propose what the streamer should work on next',
+        role: 'mod',
+        cooldown: 120,
+        enabled: true,
+        template: `{{username}} wants a suggestion for the streamer's next task.
+Their idea: "{{args}}"
+Last thing the streamer shared: "{{highlight}}"
+
+Propose ONE concrete, small next task in a single sentence starting with "Next task:".`
+    },
+    {
+        name: 'explain',
+        description: 'Explain the last thing the streamer highlighted',
+        role: 'viewer',
+        cooldown: 60,
+        enabled: true,
+        template: `The streamer recently highlighted this on screen:
+"{{highlight}}"
+
+{{username}} asked for an explanation. {{args}}
+Explain it in 2-3 plain sentences a beginner in chat would understand.`
+    }
+];
+
+const BUILTIN_NAMES = BUILTIN_COMMANDS.map(c => c.name);
+
+let store = {
+    prefix: '!',
+    commands: BUILTIN_COMMANDS.map(c => ({ ...c }))
+};
+
+try {
+    if (fs.existsSync(commandsFile)) {
+        const saved = JSON.parse(fs.readFileSync(commandsFile, 'utf8'));
+        const commands = (Array.isArray(saved.commands) ? saved.commands : []).map(normalizeCommand);
+        // Built-ins removed by hand come back with their defaults
+        for (const builtin of BUILTIN_COMMANDS) {
+            if (!commands.some(c => c.name === builtin.name)) commands.push({ ...builtin });
+        }
+        store = { prefix: normalizePrefix(saved.prefix ?? store.prefix), commands };
+    }
+} catch (e) {
+    console.error('Failed to load commands from file', e);
+}
+
+// `${command}:${userId}` -> last use in ms
+const lastUsed = new Map();
+
+function saveCommands() {
+    try {
+        fs.writeFileSync(commandsFile, JSON.stringify(store, null, 2));
+    } catch (e) {
+        console.error('Failed to save commands to file', e);
+    }
+}
+
+function normalizePrefix(prefix) {
+    const value = String(prefix || '').trim();
+    if (!value || value.length > 3 || /\s/.test(value)) {
+        throw new Error('Prefix must be 1-3 characters without spaces');
+    }
+    return value;
+}
+
+/**
+ * Fill in missing fields so older or hand-edited entries stay usable
+ */
+function normalizeCommand(command) {
+    const builtin = BUILTIN_COMMANDS.find(c => c.name === command.name) || {};
+    const cooldown = parseInt(command.cooldown, 10);
+
+    return {
+        name: String(command.name || '').trim().toLowerCase(),
+        description: String(command.description ?? builtin.description ?? '').trim(),
+        role: ROLES.includes(command.role) ? command.role : builtin.role || 'viewer',
+        cooldown: Number.isFinite(cooldown) && cooldown >= 0 ? cooldown : builtin.cooldown ?? 30,
+        enabled: command.enabled !== false,
+        template: String(command.template || builtin.template || '')
+    };
+}
+
+/**
+ * Get the prefix and every command
+ * @returns {{prefix: string, commands: Object[]}} Commands carry `builtin` for the ones that can't be deleted
+ */
+export function getCommands() {
+    return {
+        prefix: store.prefix,
+        commands: store.commands.map(c => ({ ...c, builtin: BUILTIN_NAMES.includes(c.name) }))
+    };
+}
+
+/**
+ * Change the command prefix
+ * @param {Object} updates - { prefix }
+ * @returns {Object} Same as getCommands()
+ */
+export function updateCommandSettings(updates = {}) {
+    if (updates.prefix !== undefined) {
+        store.prefix = normalizePrefix(updates.prefix);
+    }
+    saveCommands();
+    return getCommands();
+}
+
+/**
+ * Create a command, or update it when the name already exists
+ * @param {Object} data - { name, description, role, cooldown, enabled, template }
+ * @returns {Object} Saved command
+ */
+export function saveCommand(data) {
+    const command = normalizeCommand(data || {});
+    if (!COMMAND_CONFIG.NAME_PATTERN.test(command.name)) {
+        throw new Error('Command name must be 1-24 lowercase letters, digits, - or _');
+    }
+    if (!command.template.trim()) {
+        throw new Error('Prompt template is required');
+    }
+
+    const index = store.commands.findIndex(c => c.name === command.name);
+    if (index >= 0) {
+        store.commands[index] = command;
+    } else {
+        store.commands.push(command);
+    }
+
+    saveCommands();
+    return command;
+}
+
+/**
+ * Delete a custom command (built-ins can only be disabled)
+ * @param {string} name - Command name
+ */
+export function deleteCommand(name) {
+    if (BUILTIN_NAMES.includes(name)) {
+        throw new Error(`${store.prefix}${name} is built in; disable it instead`);
+    }
+    if (!store.commands.some(c => c.name === name)) {
+        throw new Error(`Unknown command: ${name}`);
+    }
+
+    store.commands = store.commands.filter(c => c.name !== name);
+    saveCommands();
+}
+
+/**
+ * Role of a chat user from their IRC badges
+ * @param {Object[]} badges - [{ name, version }]
+ * @returns {string} ROLES value
+ */
+export function roleFromBadges(badges = []) {
+    const names = badges.map(b => b.name);
+    if (names.includes('broadcaster')) return 'streamer';
+    if (names.includes('moderator')) return 'mod';
+    return 'viewer';
+}
+
+/**
+ * Split `!name args` into its parts
+ * @param {string} text - Chat message or extension input
+ * @returns {{name: string, args: string}|null} null when the text isn't a known, enabled command
+ */
+export function parseInvocation(text) {
+    const value = String(text || '').trim();
+    if (!value.startsWith(store.prefix)) return null;
+
+    const [word = '', ...rest] = value.slice(store.prefix.length).split(/\s+/);
+    const name = word.toLowerCase();
+    if (!store.commands.some(c => c.name === name && c.enabled)) return null;
+
+    return { name, args: rest.join(' ').slice(0, COMMAND_CONFIG.MAX_ARGS_LENGTH) };
+}
+
+/**
+ * Check permissions and cooldown, then build the prompt for a command
+ * A successful call starts the user's cooldown.
+ * @param {Object} invocation - { name, args, userId, username, role }
+ * @param {Object} vars - Extra placeholders, e.g. { highlight }
+ * @returns {{ok: boolean, command?: Object, prompt?: string, code?: string, error?: string}}
+ */
+export function resolveCommand({ name, args = '', userId, username, role = 'viewer' }, vars = {}) {
+    const command = store.commands.find(c => c.name === name);
+    if (!command || !command.enabled) {
+        return { ok: false, code: 'unknown', error: `Unknown command: ${store.prefix}${name}` };
+    }
+    if (ROLES.indexOf(role) < ROLES.indexOf(command.role)) {
+        return { ok: false, code: 'forbidden', error: `${store.prefix}${name} is for ${command.role}s and up` };
+    }
+    // Commands need something to work with: their text, or the last highlight if the template uses it
+    const uses = (key) => new RegExp(`\\{\\{\\s*${key}\\s*\\}\\}`).test(command.template);
+    if ((uses('args') || uses('highlight')) && !args.trim() && !(uses('highlight') && vars.highlight)) {
+        const error = uses('highlight') ? 'Nothing has been highlighted yet' : `${store.prefix}${name} needs some text after it`;
+        return { ok: false, code: 'missing-input', error };
+    }
+
+    const key = `${name}:${userId || username}`;
+    const waitMs = (lastUsed.get(key) || 0) + command.cooldown * 1000 - Date.now();
+    if (role !== 'streamer' && waitMs > 0) {
+        return { ok: false, code: 'cooldown', error: `${store.prefix}${name} is on cooldown for ${Math.ceil(waitMs / 1000)}s` };
+    }
+    lastUsed.set(key, Date.now());
+
+    return {
+        ok: true,
+        command,
+        prompt: renderTemplate(command.template, { ...vars, username, role, args })
+    };
+}
@@ -0,0 +1,196 @@
+/**
+ * Focus Timer (Pomodoro)
+ * One timer owned by the backend, so every overlay and the settings page show the same countdown
+ *
+ * Phases: idle -> focus -> short-break -> focus -> ... -> long-break (every Nth break)
+ * - start / pause / resume / skip / reset
+ * - A phase that runs out moves on by itself; the next one starts right away or waits, per settings
+ *
+ * The state carries `endsAt` (running) or `remainingMs` (paused) so clients can count down without
+ * a frame every second.
+ */
+
+import fs from 'fs';
+
+const focusSettingsFile = './focus-timer.json';
+
+export const FOCUS_PHASES = ['idle', 'focus', 'short-break', 'long-break'];
+export const FOCUS_ACTIONS = ['start', 'pause', 'resume', 'skip', 'reset'];
+
+const DEFAULT_SETTINGS = {
+    focusMinutes: 25,
+    shortBreakMinutes: 5,
+    longBreakMinutes: 15,
+    longBreakEvery: 4,          // Focus sessions per long break
+    autoStartBreaks: true,
+    autoStartFocus: false,      // Wait for the streamer to come back from a break
+    pauseTaskOnBreak: true,     // Stop the active task's clock during breaks
+    remarks: false              // Co-host says a line at each phase change
+};
+
+let settings = { ...DEFAULT_SETTINGS };
+
+try {
+    if (fs.existsSync(focusSettingsFile)) {
+        settings = { ...settings, ...JSON.parse(fs.readFileSync(focusSettingsFile, 'utf8')) };
+    }
+} catch (e) {
+    console.error('Failed to load focus timer settings from file', e);
+}
+
+const state = {
+    phase: 'idle',
+    running: false,
+    durationMs: 0,
+    endsAt: null,           // ISO time the phase ends, while running
+    remainingMs: 0,         // While paused or waiting to start
+    completedFocus: 0,      // Focus sessions finished since the last long break
+    totalFocus: 0           // Focus sessions finished since the backend started
+};
+
+let handlers = { onChange: () => {}, onPhaseChange: () => {} };
+let phaseTimer = null;
+
+/**
+ * Start the timer module
+ * @param {Object} callbacks - { onChange(state), onPhaseChange(from, to, state) }
+ */
+export function initFocusTimer(callbacks = {}) {
+    handlers = { ...handlers, ...callbacks };
+}
+
+/**
+ * Get the timer settings
+ * @returns {Object} Settings
+ */
+export function getFocusSettings() {
+    return settings;
+}
+
+/**
+ * Update the timer settings; a running phase keeps its length until the next one
+ * @param {Object} updates - Partial settings
+ * @returns {Object} Saved settings
+ */
+export function updateFocusSettings(updates = {}) {
+    const next = { ...settings, ...updates };
+    const minutes = (value, fallback) => {
+        const parsed = Number(value);
+        return Number.isFinite(parsed) && parsed > 0 ? Math.min(parsed, 240) : fallback;
+    };
+
+    next.focusMinutes = minutes(next.focusMinutes, DEFAULT_SETTINGS.focusMinutes);
+    next.shortBreakMinutes = minutes(next.shortBreakMinutes, DEFAULT_SETTINGS.shortBreakMinutes);
+    next.longBreakMinutes = minutes(next.longBreakMinutes, DEFAULT_SETTINGS.longBreakMinutes);
+    next.longBreakEvery = Math.max(1, parseInt(next.longBreakEvery, 10) || DEFAULT_SETTINGS.longBreakEvery);
+    for (const key of ['autoStartBreaks', 'autoStartFocus', 'pauseTaskOnBreak', 'remarks']) {
+        next[key] = Boolean(next[key]);
+    }
+
+    settings = next;
+    try {
+        fs.writeFileSync(focusSettingsFile, JSON.stringify(settings, null, 2));
+    } catch (e) {
+        console.error('Failed to save focus timer settings to file', e);
+    }
+    return settings;
+}
+
+/**
+ * Get the timer state
+ * @returns {Object} { phase, running, durationMs, endsAt, remainingMs, completedFocus, totalFocus, longBreakEvery }
+ */
+export function getFocusState() {
+    const remainingMs = state.running ? Math.max(0, Date.parse(state.endsAt) - Date.now()) : state.remainingMs;
+    return { ...state, remainingMs, longBreakEvery: settings.longBreakEvery };
+}
+
+/**
+ * Apply a control action
+ * @param {string} action - One of FOCUS_ACTIONS
+ * @returns {Object} New state
+ */
+export function controlFocusTimer(action) {
+    switch (action) {
+        case 'start':
+            // From idle this begins a focus session; otherwise it starts a phase that was waiting
+            if (state.phase === 'idle') enterPhase('focus', true);
+            else if (!state.running) run(state.remainingMs);
+            break;
+
+        case 'pause':
+            if (state.phase === 'idle' || !state.running) break;
+            state.remainingMs = Math.max(0, Date.parse(state.endsAt) - Date.now());
+            state.running = false;
+            state.endsAt = null;
+            clearTimeout(phaseTimer);
+            break;
+
+        case 'resume':
+            if (state.phase !== 'idle' && !state.running) run(state.remainingMs);
+            break;
+
+        case 'skip':
+            if (state.phase === 'idle') break;
+            finishPhase(false);
+            return getFocusState();
+
+        case 'reset':
+            clearTimeout(phaseTimer);
+            Object.assign(state, { running: false, durationMs: 0, endsAt: null, remainingMs: 0, completedFocus: 0 });
+            setPhase('idle');
+            return getFocusState();
+
+        default:
+            throw new Error(`Unknown timer action: ${action}`);
+    }
+
+    handlers.onChange(getFocusState());
+    return getFocusState();
+}
+
+function phaseMinutes(phase) {
+    if (phase === 'focus') return settings.focusMinutes;
+    if (phase === 'short-break') return settings.shortBreakMinutes;
+    return settings.longBreakMinutes;
+}
+
+function run(ms) {
+    clearTimeout(phaseTimer);
+    state.running = true;
+    state.endsAt = new Date(Date.now() + ms).toISOString();
+    phaseTimer = setTimeout(() => finishPhase(true), ms);
+}
+
+function setPhase(phase) {
+    const from = state.phase;
+    state.phase = phase;
+    if (from !== phase) {
+        console.log(`[Focus] ${from} -> ${phase}`);
+        handlers.onPhaseChange(from, phase, getFocusState());
+    }
+    handlers.onChange(getFocusState());
+}
+
+function enterPhase(phase, autoStart) {
+    const durationMs = Math.round(phaseMinutes(phase) * 60 * 1000);
+    clearTimeout(phaseTimer);
+    Object.assign(state, { durationMs, remainingMs: durationMs, running: false, endsAt: null });
+    if (autoStart) run(durationMs);
+    setPhase(phase);
+}
+
+// Ran out or was skipped: count finished focus sessions and move to the next phase
+function finishPhase(completed) {
+    if (state.phase === 'focus') {
+        if (completed) {
+            state.completedFocus++;
+            state.totalFocus++;
+        }
+        const longBreak = completed && state.completedFocus >= settings.longBreakEvery;
+        if (longBreak) state.completedFocus = 0;
+        enterPhase(longBreak ? 'long-break' : 'short-break', settings.autoStartBreaks);
+    } else {
+        enterPhase('focus', settings.autoStartFocus);
+    }
+}
@@ -0,0 +1,187 @@
+/**
+ * Inference Job Queue
+ * Sits in front of locaLLM.js so only one prompt touches the shared chat session at a time
+ *
+ * Features:
+ * - Priorities (a streamer command beats a highlight, a highlight beats an idle remark)
+ * - Cancellation by job id (queued or running)
+ * - Per-job inference timeout via AbortSignal
+ * - Stale job dropping (a reaction to something from a minute ago is noise)
+ */
+
+import { randomUUID } from 'crypto';
+
+// Higher runs first; jobs with the same priority run in arrival order
+export const PRIORITY = {
+    IDLE: 0,
+    HIGHLIGHT: 1,
+    COMMAND: 2
+};
+
+const QUEUE_CONFIG = {
+    // Overwritten with CONFIG.INFERENCE_TIMEOUT from locaLLM.js once it loads
+    TIMEOUT: 60000,
+
+    // How long a job may wait before it is considered stale, per priority
+    MAX_WAIT: {
+        [PRIORITY.IDLE]: 15000,
+        [PRIORITY.HIGHLIGHT]: 30000,
+        [PRIORITY.COMMAND]: 120000
+    },
+
+    // Pending jobs beyond this push out the least important one
+    MAX_DEPTH: 10
+};
+
+const pending = [];
+let running = null;
+const stats = { completed: 0, failed: 0, cancelled: 0, timedOut: 0, dropped: 0 };
+
+function jobError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Set the inference timeout applied to jobs that don't pass their own
+ * @param {number} ms - Timeout in milliseconds
+ */
+export function setQueueTimeout(ms) {
+    if (ms > 0) QUEUE_CONFIG.TIMEOUT = ms;
+}
+
+/**
+ * Queue an inference job
+ * @param {Function} run - async (signal) => result; must pass `signal` on to chat()/chatStream()
+ * @param {Object} options - { id, priority, label, timeoutMs, maxWaitMs }
+ * @returns {{id: string, promise: Promise}} Job id and a promise for its result
+ */
+export function enqueueJob(run, options = {}) {
+    const priority = options.priority ?? PRIORITY.HIGHLIGHT;
+    const job = {
+        id: options.id || randomUUID(),
+        label: options.label || 'inference',
+        priority,
+        run,
+        timeoutMs: options.timeoutMs || QUEUE_CONFIG.TIMEOUT,
+        maxWaitMs: options.maxWaitMs || QUEUE_CONFIG.MAX_WAIT[priority] || QUEUE_CONFIG.MAX_WAIT[PRIORITY.HIGHLIGHT],
+        enqueuedAt: Date.now(),
+        controller: new AbortController()
+    };
+
+    job.promise = new Promise((resolve, reject) => {
+        job.resolve = resolve;
+        job.reject = reject;
+    });
+
+    dropStaleJobs();
+
+    if (pending.length >= QUEUE_CONFIG.MAX_DEPTH) {
+        // The tail is the least important, newest job - drop whichever of the two matters less
+        const last = pending[pending.length - 1];
+        if (last.priority >= priority) {
+            stats.dropped++;
+            job.reject(jobError('dropped', 'Inference queue is full'));
+            return { id: job.id, promise: job.promise };
+        }
+        pending.pop();
+        stats.dropped++;
+        last.reject(jobError('dropped', 'Pushed out by a higher priority job'));
+    }
+
+    // Insert after every job with the same or higher priority
+    const index = pending.findIndex(p => p.priority < priority);
+    pending.splice(index === -1 ? pending.length : index, 0, job);
+
+    processNext();
+    return { id: job.id, promise: job.promise };
+}
+
+/**
+ * Cancel a queued or running job
+ * @param {string} id - Job id
+ * @returns {boolean} Whether a job was found
+ */
+export function cancelJob(id) {
+    const index = pending.findIndex(p => p.id === id);
+    if (index >= 0) {
+        const [job] = pending.splice(index, 1);
+        stats.cancelled++;
+        job.reject(jobError('cancelled', 'Job cancelled'));
+        return true;
+    }
+
+    if (running && running.id === id) {
+        running.controller.abort(jobError('cancelled', 'Job cancelled'));
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * Get queue depth and the jobs in it (for /llm/status)
+ * @returns {Object} Queue status
+ */
+export function getQueueStatus() {
+    const now = Date.now();
+    return {
+        depth: pending.length + (running ? 1 : 0),
+        running: running ? { id: running.id, label: running.label, priority: running.priority, runningMs: now - running.startedAt } : null,
+        pending: pending.map(p => ({ id: p.id, label: p.label, priority: p.priority, waitingMs: now - p.enqueuedAt })),
+        stats: { ...stats }
+    };
+}
+
+function dropStaleJobs() {
+    const now = Date.now();
+    for (let i = pending.length - 1; i >= 0; i--) {
+        const job = pending[i];
+        if (now - job.enqueuedAt > job.maxWaitMs) {
+            pending.splice(i, 1);
+            stats.dropped++;
+            job.reject(jobError('stale', `Job waited ${Math.round((now - job.enqueuedAt) / 1000)}s and went stale`));
+        }
+    }
+}
+
+function processNext() {
+    if (running) return;
+
+    dropStaleJobs();
+    const job = pending.shift();
+    if (!job) return;
+
+    running = job;
+    job.startedAt = Date.now();
+
+    const timer = setTimeout(() => {
+        job.controller.abort(jobError('timeout', `Inference timed out after ${job.timeoutMs / 1000}s`));
+    }, job.timeoutMs);
+
+    // Settle the caller as soon as the job is aborted, even if the runner is slow to notice
+    job.controller.signal.addEventListener('abort', () => job.reject(job.controller.signal.reason), { once: true });
+
+    Promise.resolve()
+        .then(() => job.run(job.controller.signal))
+        .then(
+            (result) => {
+                stats.completed++;
+                job.resolve(result);
+            },
+            (error) => {
+                const reason = job.controller.signal.aborted ? job.controller.signal.reason : error;
+                if (reason?.code === 'cancelled') stats.cancelled++;
+                else if (reason?.code === 'timeout') stats.timedOut++;
+                else stats.failed++;
+                job.reject(reason);
+            }
+        )
+        .finally(() => {
+            // The chat session is only free once the runner has actually stopped
+            clearTimeout(timer);
+            running = null;
+            processNext();
+        });
+}
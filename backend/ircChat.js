@@ -0,0 +1,354 @@
+/**
+ * IRC Chat Adapter
+ * Brings viewer chat (Twitch chat or any IRC-protocol server) onto the overlay
+ *
+ * - Plain TCP or TLS, configurable host, port, channel and credentials
+ * - IRCv3 tags (Twitch: display-name, color, badges) when the server supports them
+ * - Anonymous read-only login when no nickname/password is set (Twitch `justinfanNNNN`)
+ * - Reconnects with exponential backoff; a failed login stops retrying until the settings change
+ *
+ * Point it at a local stand-in (host 127.0.0.1, TLS off) to try it without a real chat.
+ */
+
+import fs from 'fs';
+import net from 'net';
+import tls from 'tls';
+
+const chatSettingsFile = './chat-settings.json';
+
+const CHAT_CONFIG = {
+    BACKOFF_BASE: 1000,
+    BACKOFF_MAX: 60000,
+    // Twitch pings every ~5 minutes; silence for longer means the connection is dead
+    IDLE_TIMEOUT: 6 * 60 * 1000,
+    MAX_MESSAGE_LENGTH: 500
+};
+
+// Which viewer messages the co-host answers
+export const REACT_MODES = ['off', 'mentions', 'prefix', 'all'];
+
+const DEFAULT_SETTINGS = {
+    enabled: false,
+    host: 'irc.chat.twitch.tv',
+    port: 6697,
+    tls: true,
+    channel: '',
+    nickname: '',           // Empty = anonymous, read-only
+    password: '',           // Twitch: oauth:xxxxxxxx
+    reactMode: 'off',
+    reactPrefix: '!ai',
+    reactCooldown: 20       // Seconds between two co-host answers to chat
+};
+
+let settings = { ...DEFAULT_SETTINGS };
+
+try {
+    if (fs.existsSync(chatSettingsFile)) {
+        settings = { ...settings, ...JSON.parse(fs.readFileSync(chatSettingsFile, 'utf8')) };
+    }
+} catch (e) {
+    console.error('Failed to load chat settings from file', e);
+}
+
+const status = { state: 'disabled', error: null, connectedAt: null, retryInMs: null, messages: 0 };
+
+let socket = null;
+let handlers = { onMessage: () => {}, onStatus: () => {}, isCommand: () => false };
+let reconnectTimer = null;
+let idleTimer = null;
+let attempts = 0;
+let lastReactionAt = 0;
+
+function setStatus(updates) {
+    Object.assign(status, updates);
+    handlers.onStatus(getChatStatus());
+}
+
+/**
+ * Get chat settings (the password is never sent back out)
+ * @returns {Object} Settings with `hasPassword` instead of `password`
+ */
+export function getChatSettings() {
+    const safe = { ...settings, hasPassword: Boolean(settings.password) };
+    delete safe.password;
+    return safe;
+}
+
+/**
+ * Update chat settings and reconnect with them
+ * An empty password keeps the saved one; send `clearPassword: true` to remove it.
+ * @param {Object} updates - Partial settings
+ * @returns {Object} Saved settings (without the password)
+ */
+export function updateChatSettings(updates = {}) {
+    const { clearPassword, ...rest } = updates;
+    const next = { ...settings, ...rest };
+
+    delete next.hasPassword;
+    if (!rest.password) next.password = clearPassword ? '' : settings.password;
+    next.channel = String(next.channel || '').trim().replace(/^#/, '').toLowerCase();
+    next.host = String(next.host || '').trim();
+    next.port = parseInt(next.port, 10) || (next.tls ? 6697 : 6667);
+    next.nickname = String(next.nickname || '').trim().toLowerCase();
+    next.reactCooldown = Math.max(0, parseInt(next.reactCooldown, 10) || 0);
+    if (!REACT_MODES.includes(next.reactMode)) next.reactMode = DEFAULT_SETTINGS.reactMode;
+    if (next.enabled && (!next.host || !next.channel)) {
+        throw new Error('Host and channel are required');
+    }
+
+    settings = next;
+    try {
+        fs.writeFileSync(chatSettingsFile, JSON.stringify(settings, null, 2));
+    } catch (e) {
+        console.error('Failed to save chat settings to file', e);
+    }
+
+    restartChat();
+    return getChatSettings();
+}
+
+/**
+ * Get the connection state
+ * @returns {Object} { state, error, connectedAt, retryInMs, messages, channel }
+ */
+export function getChatStatus() {
+    return { ...status, channel: settings.channel };
+}
+
+/**
+ * Start the adapter with the saved settings
+ * @param {Object} callbacks - { onMessage(chatMessage, reactionText|null), onStatus(status), isCommand(text) }
+ *   Messages isCommand() claims are left to the command router and never count as reactions.
+ */
+export function startChat(callbacks = {}) {
+    handlers = { ...handlers, ...callbacks };
+    restartChat();
+}
+
+/**
+ * Disconnect and stop reconnecting
+ */
+export function stopChat() {
+    clearTimeout(reconnectTimer);
+    clearTimeout(idleTimer);
+    if (socket) {
+        socket.removeAllListeners();
+        socket.on('error', () => {});
+        socket.destroy();
+        socket = null;
+    }
+}
+
+function restartChat() {
+    stopChat();
+    attempts = 0;
+    if (!settings.enabled || !settings.channel) {
+        setStatus({ state: 'disabled', error: null, connectedAt: null, retryInMs: null });
+        return;
+    }
+    connect();
+}
+
+// ==========================================
+// CONNECTION
+// ==========================================
+
+function connect() {
+    setStatus({ state: attempts === 0 ? 'connecting' : 'reconnecting', retryInMs: null });
+
+    const options = { host: settings.host, port: settings.port };
+    socket = settings.tls ? tls.connect({ ...options, servername: settings.host }) : net.connect(options);
+    socket.setEncoding('utf8');
+
+    let buffer = '';
+    let authFailed = false;
+
+    socket.on(settings.tls ? 'secureConnect' : 'connect', () => {
+        const nickname = settings.nickname || `justinfan${Math.floor(10000 + Math.random() * 80000)}`;
+        // Twitch ignores CAP on servers that don't know it; plain IRC servers answer with NAK
+        send('CAP REQ :twitch.tv/tags twitch.tv/commands');
+        if (settings.password) send(`PASS ${settings.password}`);
+        send(`NICK ${nickname}`);
+        send(`USER ${nickname} 8 * :${nickname}`);
+    });
+
+    socket.on('data', (chunk) => {
+        resetIdleTimer();
+        buffer += chunk;
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+        for (const line of lines) {
+            if (!line) continue;
+            const message = parseLine(line);
+            if (message.command === 'NOTICE' && /authentication failed|improperly formatted auth|invalid nick/i.test(message.params.at(-1) || '')) {
+                authFailed = true;
+            }
+            handleLine(message);
+        }
+    });
+
+    socket.on('error', (err) => {
+        setStatus({ error: err.message });
+    });
+
+    socket.on('close', () => {
+        clearTimeout(idleTimer);
+        socket = null;
+        if (authFailed) {
+            console.warn('[Chat] Login rejected, not reconnecting until the settings change');
+            setStatus({ state: 'auth-failed', error: 'Login authentication failed', connectedAt: null });
+            return;
+        }
+        scheduleReconnect();
+    });
+
+    resetIdleTimer();
+}
+
+function scheduleReconnect() {
+    const delay = Math.min(CHAT_CONFIG.BACKOFF_BASE * 2 ** attempts, CHAT_CONFIG.BACKOFF_MAX);
+    // Jitter so several overlays don't hammer the server in lockstep
+    const retryInMs = Math.round(delay * (0.8 + Math.random() * 0.4));
+    attempts++;
+
+    console.log(`[Chat] Disconnected, retrying in ${Math.round(retryInMs / 1000)}s`);
+    setStatus({ state: 'reconnecting', connectedAt: null, retryInMs });
+    reconnectTimer = setTimeout(connect, retryInMs);
+}
+
+function resetIdleTimer() {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => {
+        console.warn('[Chat] No traffic from server, reconnecting');
+        if (socket) socket.destroy();
+    }, CHAT_CONFIG.IDLE_TIMEOUT);
+}
+
+function send(line) {
+    if (socket && !socket.destroyed) socket.write(`${line}\r\n`);
+}
+
+// ==========================================
+// PARSING
+// ==========================================
+
+function unescapeTag(value) {
+    return value.replace(/\\(.)/g, (_, c) => ({ s: ' ', ':': ';', '\\': '\\', r: '\r', n: '\n' })[c] ?? c);
+}
+
+/**
+ * Parse one IRC line: [@tags] [:prefix] COMMAND params [:trailing]
+ * @param {string} line - Raw line without CRLF
+ * @returns {{tags: Object, prefix: string, command: string, params: string[]}}
+ */
+export function parseLine(line) {
+    let rest = line;
+    const tags = {};
+    let prefix = '';
+
+    if (rest.startsWith('@')) {
+        const end = rest.indexOf(' ');
+        for (const pair of rest.slice(1, end).split(';')) {
+            const [key, value = ''] = pair.split('=');
+            tags[key] = unescapeTag(value);
+        }
+        rest = rest.slice(end + 1).trimStart();
+    }
+    if (rest.startsWith(':')) {
+        const end = rest.indexOf(' ');
+        prefix = rest.slice(1, end);
+        rest = rest.slice(end + 1).trimStart();
+    }
+
+    const trailingIndex = rest.indexOf(' :');
+    const head = trailingIndex >= 0 ? rest.slice(0, trailingIndex) : rest;
+    const params = head.split(' ').filter(Boolean);
+    const command = params.shift()?.toUpperCase() || '';
+    if (trailingIndex >= 0) params.push(rest.slice(trailingIndex + 2));
+
+    return { tags, prefix, command, params };
+}
+
+// "/me waves" arrives as a CTCP ACTION wrapped in \x01
+function stripAction(text) {
+    const ACTION = '\u0001ACTION ';
+    return text.startsWith(ACTION) && text.endsWith('\u0001') ? text.slice(ACTION.length, -1) : text;
+}
+
+// Stable per-user color for servers that don't send one
+function colorFor(username) {
+    let hash = 0;
+    for (const char of username) hash = (hash * 31 + char.charCodeAt(0)) | 0;
+    return `hsl(${Math.abs(hash) % 360}, 70%, 65%)`;
+}
+
+function handleLine({ tags, prefix, command, params }) {
+    switch (command) {
+        case 'PING':
+            send(`PONG :${params.at(-1) || ''}`);
+            break;
+
+        case '001':
+            // Registered: only now is it safe to join
+            attempts = 0;
+            send(`JOIN #${settings.channel}`);
+            break;
+
+        case 'JOIN':
+            if (params[0]?.toLowerCase() === `#${settings.channel}`) {
+                console.log(`[Chat] Joined #${settings.channel} on ${settings.host}`);
+                setStatus({ state: 'connected', error: null, connectedAt: new Date().toISOString(), retryInMs: null });
+            }
+            break;
+
+        case 'RECONNECT':
+            // Twitch is about to restart the server we're on
+            if (socket) socket.destroy();
+            break;
+
+        case 'PRIVMSG': {
+            const username = prefix.split('!')[0];
+            const text = (params[1] || '').slice(0, CHAT_CONFIG.MAX_MESSAGE_LENGTH);
+            if (!username || !text) return;
+
+            const message = {
+                username,
+                displayName: tags['display-name'] || username,
+                color: tags.color || colorFor(username),
+                badges: (tags.badges || '').split(',').filter(Boolean).map(b => {
+                    const [name, version] = b.split('/');
+                    return { name, version };
+                }),
+                text: stripAction(text),
+                channel: (params[0] || '').replace(/^#/, '')
+            };
+            status.messages++;
+            handlers.onMessage(message, reactionText(message));
+            break;
+        }
+    }
+}
+
+/**
+ * What the co-host should answer to, if this viewer message is one it reacts to (respects the cooldown)
+ * @returns {string|null} Message text without the trigger prefix, or null
+ */
+function reactionText(message) {
+    const { reactMode, reactPrefix, reactCooldown, nickname } = settings;
+    if (reactMode === 'off' || handlers.isCommand(message.text)) return null;
+    if (Date.now() - lastReactionAt < reactCooldown * 1000) return null;
+
+    const lower = message.text.toLowerCase();
+    let text = null;
+    if (reactMode === 'all') {
+        text = message.text;
+    } else if (reactMode === 'prefix' && reactPrefix && lower.startsWith(reactPrefix.toLowerCase())) {
+        text = message.text.slice(reactPrefix.length).trim();
+    } else if (reactMode === 'mentions' && nickname && lower.includes(`@${nickname}`)) {
+        text = message.text;
+    }
+
+    if (!text) return null;
+    lastReactionAt = Date.now();
+    return text;
+}
@@ -0,0 +1,276 @@
+/**
+ * Local Knowledge Base (RAG)
+ * Grounds the co-host in our own docs and code instead of guessing
+ *
+ * - Walks a local folder for markdown and code files
+ * - Splits them with chunkText() and embeds every chunk into an on-disk vector index
+ * - At reaction time the closest chunks are added to the prompt
+ *
+ * Chunking and embedding functions are passed in by server.js so this module never touches node-llama-cpp.
+ */
+
+import { existsSync, mkdirSync, readdirSync, readFileSync, statSync, writeFileSync } from 'fs';
+import { homedir } from 'os';
+import { extname, join, relative, resolve } from 'path';
+
+const knowledgeSettingsFile = './knowledge-base.json';
+
+// Vectors can get large, so the index lives with the models instead of next to the settings
+const INDEX_DIR = join(homedir(), '.cooldesk');
+const INDEX_FILE = join(INDEX_DIR, 'knowledge-index.json');
+
+const KNOWLEDGE_CONFIG = {
+    CHUNK_TOKENS: 300,          // Small chunks keep the injected context short
+    MAX_FILE_SIZE: 512 * 1024,  // Bigger files are usually generated or vendored
+    MAX_FILES: 2000,
+    MIN_SIMILARITY: 0.35,
+    // Budget for all injected chunks together. Each grounded prompt stays in the chat session, whose
+    // context is only 1024 tokens (locaLLM CONFIG.CONTEXT_SIZE): ~800 chars is ~200 tokens, which leaves
+    // room for the system prompt, the reaction, memories, the reply and a little history.
+    MAX_CONTEXT_CHARS: 800
+};
+
+const SKIPPED_DIRS = new Set(['node_modules', 'dist', 'build', 'coverage', 'out', 'vendor']);
+
+const DEFAULT_SETTINGS = {
+    enabled: false,
+    folder: '',
+    extensions: ['.md', '.mdx', '.txt', '.js', '.jsx', '.ts', '.tsx', '.json', '.css', '.html', '.py'],
+    topK: 3
+};
+
+let settings = { ...DEFAULT_SETTINGS };
+
+try {
+    if (existsSync(knowledgeSettingsFile)) {
+        settings = { ...settings, ...JSON.parse(readFileSync(knowledgeSettingsFile, 'utf8')) };
+    }
+} catch (e) {
+    console.error('Failed to load knowledge base settings from file', e);
+}
+
+// { folder, model, builtAt, files: { [relativePath]: { size, mtimeMs, chunks: [{ text, embedding }] } } }
+let index = { folder: null, model: null, builtAt: null, files: {} };
+
+try {
+    if (existsSync(INDEX_FILE)) {
+        index = { ...index, ...JSON.parse(readFileSync(INDEX_FILE, 'utf8')) };
+    }
+} catch (e) {
+    console.error('[Knowledge] Failed to load index, it will be rebuilt:', e.message);
+}
+
+const progress = { running: false, processed: 0, total: 0, currentFile: null, lastError: null };
+
+function saveIndex() {
+    try {
+        if (!existsSync(INDEX_DIR)) {
+            mkdirSync(INDEX_DIR, { recursive: true });
+        }
+        writeFileSync(INDEX_FILE, JSON.stringify(index));
+    } catch (e) {
+        console.error('[Knowledge] Failed to save index:', e);
+    }
+}
+
+/**
+ * Get the knowledge base settings
+ * @returns {Object} Settings
+ */
+export function getKnowledgeSettings() {
+    return settings;
+}
+
+/**
+ * Update the knowledge base settings
+ * @param {Object} updates - Partial settings ({ enabled, folder, extensions, topK })
+ * @returns {Object} Saved settings
+ */
+export function updateKnowledgeSettings(updates = {}) {
+    const next = { ...settings, ...updates };
+
+    next.folder = String(next.folder || '').trim();
+    if (next.folder && !(existsSync(next.folder) && statSync(next.folder).isDirectory())) {
+        throw new Error(`Not a folder: ${next.folder}`);
+    }
+    next.extensions = (Array.isArray(next.extensions) ? next.extensions : String(next.extensions).split(','))
+        .map(ext => String(ext).trim().toLowerCase())
+        .filter(Boolean)
+        .map(ext => ext.startsWith('.') ? ext : `.${ext}`);
+    next.topK = Math.min(Math.max(parseInt(next.topK, 10) || DEFAULT_SETTINGS.topK, 1), 10);
+    next.enabled = Boolean(next.enabled);
+
+    settings = next;
+    try {
+        writeFileSync(knowledgeSettingsFile, JSON.stringify(settings, null, 2));
+    } catch (e) {
+        console.error('Failed to save knowledge base settings to file', e);
+    }
+    return settings;
+}
+
+/**
+ * Get index and indexing progress
+ * @returns {Object} Status
+ */
+export function getKnowledgeStatus() {
+    const files = Object.values(index.files);
+    return {
+        settings,
+        indexing: { ...progress },
+        folder: index.folder,
+        model: index.model,
+        builtAt: index.builtAt,
+        files: files.length,
+        chunks: files.reduce((sum, f) => sum + f.chunks.length, 0),
+        // The index only helps if it was built from the configured folder
+        stale: Boolean(settings.folder) && index.folder !== resolve(settings.folder)
+    };
+}
+
+/**
+ * Get the indexed files
+ * @returns {Object[]} [{ path, size, chunks, modifiedAt }]
+ */
+export function getKnowledgeSources() {
+    return Object.entries(index.files)
+        .map(([path, file]) => ({ path, size: file.size, chunks: file.chunks.length, modifiedAt: new Date(file.mtimeMs).toISOString() }))
+        .sort((a, b) => a.path.localeCompare(b.path));
+}
+
+function listFiles(root) {
+    const found = [];
+    const walk = (dir) => {
+        for (const entry of readdirSync(dir, { withFileTypes: true })) {
+            if (found.length >= KNOWLEDGE_CONFIG.MAX_FILES) return;
+            if (entry.name.startsWith('.')) continue;
+
+            const fullPath = join(dir, entry.name);
+            if (entry.isDirectory()) {
+                if (!SKIPPED_DIRS.has(entry.name)) walk(fullPath);
+            } else if (entry.isFile() && settings.extensions.includes(extname(entry.name).toLowerCase())) {
+                const { size, mtimeMs } = statSync(fullPath);
+                if (size > 0 && size <= KNOWLEDGE_CONFIG.MAX_FILE_SIZE) {
+                    found.push({ fullPath, path: relative(root, fullPath).replace(/\\/g, '/'), size, mtimeMs });
+                }
+            }
+        }
+    };
+    walk(root);
+    return found;
+}
+
+/**
+ * Index the configured folder
+ * Unchanged files are skipped unless the embedding model changed or a rebuild is forced.
+ * @param {Object} options - { chunkText, embedTexts: async (texts) => vectors, modelName, rebuild, onProgress }
+ * @returns {Promise<Object>} Status after indexing
+ */
+export async function indexKnowledgeBase({ chunkText, embedTexts, modelName, rebuild = false, onProgress }) {
+    if (progress.running) {
+        throw new Error('Indexing is already running');
+    }
+    if (!settings.folder) {
+        throw new Error('No knowledge base folder configured');
+    }
+
+    const root = resolve(settings.folder);
+    const files = listFiles(root);
+
+    // Vectors from another model or folder can't be compared with new ones
+    if (rebuild || index.folder !== root || index.model !== modelName) {
+        index = { folder: root, model: modelName, builtAt: null, files: {} };
+    }
+
+    Object.assign(progress, { running: true, processed: 0, total: files.length, currentFile: null, lastError: null });
+    onProgress?.(getKnowledgeStatus());
+
+    try {
+        const seen = new Set();
+        for (const file of files) {
+            seen.add(file.path);
+            progress.currentFile = file.path;
+
+            const known = index.files[file.path];
+            if (!known || known.size !== file.size || known.mtimeMs !== file.mtimeMs) {
+                const chunks = chunkText(readFileSync(file.fullPath, 'utf8'), KNOWLEDGE_CONFIG.CHUNK_TOKENS).filter(c => c.trim());
+                // The path goes into the embedded text so "where is X configured" finds the right file
+                const vectors = chunks.length > 0 ? await embedTexts(chunks.map(c => `${file.path}\n${c}`)) : [];
+                index.files[file.path] = {
+                    size: file.size,
+                    mtimeMs: file.mtimeMs,
+                    chunks: chunks.map((text, i) => ({ text, embedding: vectors[i] }))
+                };
+            }
+
+            progress.processed++;
+            onProgress?.(getKnowledgeStatus());
+        }
+
+        for (const path of Object.keys(index.files)) {
+            if (!seen.has(path)) delete index.files[path];
+        }
+
+        index.builtAt = new Date().toISOString();
+        console.log(`[Knowledge] Indexed ${files.length} files from ${root}`);
+    } catch (e) {
+        progress.lastError = e.message;
+        console.error('[Knowledge] Indexing failed:', e.message);
+        throw e;
+    } finally {
+        // Keep what was embedded so far; the next run picks up where this one stopped
+        saveIndex();
+        Object.assign(progress, { running: false, currentFile: null });
+        onProgress?.(getKnowledgeStatus());
+    }
+
+    return getKnowledgeStatus();
+}
+
+/**
+ * Find the chunks closest to what the co-host is reacting to
+ * @param {string} query - Incoming payload
+ * @param {Function} embedTexts - async (texts) => vectors
+ * @param {Function} similarity - (a, b) => score
+ * @param {string} modelName - Currently loaded model
+ * @returns {Promise<Object[]>} [{ source, text, score }], most relevant first
+ */
+export async function searchKnowledge(query, embedTexts, similarity, modelName) {
+    if (!settings.enabled || index.model !== modelName) return [];
+
+    const candidates = Object.entries(index.files).flatMap(([source, file]) =>
+        file.chunks.filter(c => c.embedding).map(c => ({ source, text: c.text, embedding: c.embedding })));
+    if (candidates.length === 0) return [];
+
+    const [queryVector] = await embedTexts([String(query).slice(0, 2000)]);
+
+    return candidates
+        .map(c => ({ source: c.source, text: c.text, score: similarity(c.embedding, queryVector) }))
+        .filter(c => c.score >= KNOWLEDGE_CONFIG.MIN_SIMILARITY)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, settings.topK);
+}
+
+/**
+ * Prefix a prompt with knowledge base excerpts
+ * @param {Object[]} matches - Output of searchKnowledge()
+ * @param {string} prompt - Reaction prompt
+ * @returns {string} Prompt with project context
+ */
+export function withKnowledgeContext(matches, prompt) {
+    if (matches.length === 0) return prompt;
+
+    let budget = KNOWLEDGE_CONFIG.MAX_CONTEXT_CHARS;
+    const excerpts = [];
+    for (const match of matches) {
+        if (budget <= 0) break;
+        const text = match.text.slice(0, budget);
+        budget -= text.length;
+        excerpts.push(`[${match.source}]\n${text}`);
+    }
+
+    return `Relevant excerpts from the streamer's project (use them to stay accurate, don't quote file names unless it helps):
+${excerpts.join('\n\n')}
+
+${prompt}`;
+}
@@ -0,0 +1,158 @@
+/**
+ * Layout Presets
+ * Named snapshots of the overlay layout, and which OBS scene switches to which one
+ *
+ * - A preset covers the fields in PRESET_FIELDS: camera visibility, which widgets show and where
+ *   the sidebar sits. Applying it merges those into layout-settings.json (see server.js).
+ * - The scene map ({ 'Just Chatting': presetId }) is followed when an overlay reports that OBS
+ *   switched scenes; unmapped scenes leave the layout alone.
+ */
+
+import { randomUUID } from 'crypto';
+import fs from 'fs';
+
+const presetsFile = './layout-presets.json';
+
+export const SIDEBAR_SIDES = ['right', 'left'];
+
+// Layout fields a preset sets; anything else in layout-settings.json (widgets, theme, GPU) is left alone
+export const PRESET_FIELDS = {
+    showFaceCam: true,
+    showHandCam: true,
+    showRoomCam: true,
+    showTask: true,
+    showFocusTimer: true,
+    showObsHealth: true,
+    showSocial: true,
+    showCompanion: true,
+    sidebarSide: 'right'
+};
+
+const DEFAULT_PRESETS = [
+    { id: 'coding', name: 'Coding', layout: { ...PRESET_FIELDS } },
+    {
+        id: 'just-chatting',
+        name: 'Just Chatting',
+        layout: { ...PRESET_FIELDS, showHandCam: false, showRoomCam: false, showTask: false, showFocusTimer: false }
+    }
+];
+
+let store = { presets: DEFAULT_PRESETS.map(p => ({ ...p, layout: { ...p.layout } })), sceneMap: {} };
+
+try {
+    if (fs.existsSync(presetsFile)) {
+        const saved = JSON.parse(fs.readFileSync(presetsFile, 'utf8'));
+        store = {
+            presets: Array.isArray(saved.presets) ? saved.presets.filter(p => p && p.id && p.name).map(normalizePreset) : store.presets,
+            sceneMap: saved.sceneMap && typeof saved.sceneMap === 'object' ? saved.sceneMap : {}
+        };
+    }
+} catch (e) {
+    console.error('Failed to load layout presets from file', e);
+}
+
+function savePresets() {
+    try {
+        fs.writeFileSync(presetsFile, JSON.stringify(store, null, 2));
+    } catch (e) {
+        console.error('Failed to save layout presets to file', e);
+    }
+}
+
+/**
+ * Keep only known layout fields, filling gaps from the defaults
+ */
+function normalizeLayout(layout = {}) {
+    const next = {};
+    for (const [key, fallback] of Object.entries(PRESET_FIELDS)) {
+        next[key] = typeof fallback === 'boolean' ? (layout[key] === undefined ? fallback : Boolean(layout[key])) : layout[key];
+    }
+    if (!SIDEBAR_SIDES.includes(next.sidebarSide)) next.sidebarSide = PRESET_FIELDS.sidebarSide;
+    return next;
+}
+
+function normalizePreset(preset) {
+    return { id: String(preset.id), name: String(preset.name).trim().slice(0, 60), layout: normalizeLayout(preset.layout) };
+}
+
+/**
+ * Get all presets and the scene map
+ * @returns {Object} { presets, sceneMap }
+ */
+export function getLayoutPresets() {
+    return store;
+}
+
+/**
+ * Create or update a preset
+ * @param {Object} data - { id (omit to create), name, layout }
+ * @returns {Object} Saved preset
+ */
+export function savePreset(data = {}) {
+    const name = String(data.name || '').trim();
+    if (!name) {
+        throw new Error('Preset name is required');
+    }
+
+    const preset = normalizePreset({ id: data.id || randomUUID(), name, layout: data.layout });
+    const index = store.presets.findIndex(p => p.id === preset.id);
+    if (index >= 0) store.presets[index] = preset;
+    else store.presets.push(preset);
+    savePresets();
+    return preset;
+}
+
+/**
+ * Delete a preset; scenes mapped to it stop switching the layout
+ * @param {string} id - Preset id
+ */
+export function deletePreset(id) {
+    if (!store.presets.some(p => p.id === id)) {
+        throw new Error(`Unknown preset: ${id}`);
+    }
+    store.presets = store.presets.filter(p => p.id !== id);
+    store.sceneMap = Object.fromEntries(Object.entries(store.sceneMap).filter(([, presetId]) => presetId !== id));
+    savePresets();
+}
+
+/**
+ * Replace the scene → preset map
+ * @param {Object} sceneMap - { [sceneName]: presetId }; empty preset ids are dropped
+ * @returns {Object} Saved map
+ */
+export function updateSceneMap(sceneMap = {}) {
+    const next = {};
+    for (const [scene, presetId] of Object.entries(sceneMap)) {
+        if (!scene.trim() || !presetId) continue;
+        if (!store.presets.some(p => p.id === presetId)) {
+            throw new Error(`Unknown preset for scene "${scene}": ${presetId}`);
+        }
+        next[scene.trim()] = presetId;
+    }
+    store.sceneMap = next;
+    savePresets();
+    return next;
+}
+
+/**
+ * Find a preset by id
+ * @param {string} id - Preset id
+ * @returns {Object} Preset
+ */
+export function getPreset(id) {
+    const preset = store.presets.find(p => p.id === id);
+    if (!preset) {
+        throw new Error(`Unknown preset: ${id}`);
+    }
+    return preset;
+}
+
+/**
+ * The preset mapped to an OBS scene
+ * @param {string} sceneName - Program scene name
+ * @returns {Object|null} Preset, or null when the scene isn't mapped
+ */
+export function presetForScene(sceneName) {
+    const id = store.sceneMap[sceneName];
+    return id ? store.presets.find(p => p.id === id) || null : null;
+}
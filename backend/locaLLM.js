@@ -11,12 +11,14 @@
  * - Function calling (structured JSON output)
  */
 
-import { appendFileSync, createWriteStream, existsSync, mkdirSync, readFileSync, statSync, unlinkSync } from 'fs';
+import { createHash } from 'crypto';
+import { appendFileSync, createReadStream, createWriteStream, existsSync, mkdirSync, readFileSync, renameSync, statSync, unlinkSync, writeFileSync } from 'fs';
 import http from 'http';
 import https from 'https';
 import { getLlama, LlamaChatSession } from 'node-llama-cpp';
 import { homedir } from 'os';
-import { join } from 'path';
+import { basename, extname, join } from 'path';
+import { DEFAULT_SYSTEM_PROMPT } from './systemPrompt.js';
 
 // ==========================================
 // CONFIGURATION
@@ -24,11 +26,14 @@ import { join } from 'path';
 
 const APP_DATA_DIR = join(homedir(), '.cooldesk');
 
-const CONFIG = {
+export const CONFIG = {
     // Storage directories
     MODELS_DIR: join(APP_DATA_DIR, 'models'),
     LOGS_DIR: join(APP_DATA_DIR, 'logs'),
 
+    // User-added models (by URL or local .gguf path), merged with the built-ins below
+    REGISTRY_FILE: join(APP_DATA_DIR, 'model-registry.json'),
+
     // Default model (good balance of size/quality)
     DEFAULT_MODEL: 'llama-3.2-1b-instruct.Q4_K_M.gguf',
 
@@ -51,6 +56,11 @@ const CONFIG = {
             'https://huggingface.co/Qwen/Qwen2.5-0.5B-Instruct-GGUF/resolve/main/qwen2.5-0.5b-instruct-q4_k_m.gguf'
     },
 
+    // Pinned SHA-256 checksums (lowercase hex). Models without one are verified against
+    // the checksum Hugging Face reports for the file in its X-Linked-Etag header, which is
+    // then recorded in the model registry so the file is checked against it from then on.
+    MODEL_SHA256: {},
+
     // Model info (for UI display)
     MODEL_INFO: {
         'llama-3.2-1b-instruct.Q4_K_M.gguf': {
@@ -87,6 +97,9 @@ const CONFIG = {
         }
     },
 
+    // System prompt used until a persona installs its own via setSystemPrompt()
+    SYSTEM_PROMPT: DEFAULT_SYSTEM_PROMPT,
+
     // Inference settings (minimal context for maximum compatibility)
     CONTEXT_SIZE: 1024,  // Reduced from 2048 to minimize memory usage
     MAX_TOKENS: 256,     // Shorter responses
@@ -95,7 +108,12 @@ const CONFIG = {
 
     // Timeouts
     LOAD_TIMEOUT: 120000,  // 2 minutes for model loading
-    INFERENCE_TIMEOUT: 60000  // 1 minute for inference
+    INFERENCE_TIMEOUT: 60000,  // 1 minute for inference
+
+    // Downloads
+    DOWNLOAD_RETRIES: 3,        // Resume attempts after a dropped connection
+    DOWNLOAD_RETRY_DELAY: 3000, // Wait between resume attempts
+    DOWNLOAD_IDLE_TIMEOUT: 30000 // A connection that sends nothing this long counts as dropped
 };
 
 // ==========================================
@@ -107,12 +125,16 @@ let model = null;
 let context = null;
 let chatSession = null;
 let currentModelName = null;
+let systemPrompt = CONFIG.SYSTEM_PROMPT;
 let isLoading = false;
 let loadProgress = 0;
 
 // Event listeners for progress updates
 const progressListeners = new Set();
 
+// In-flight downloads, so two requests for the same model share one .part file
+const activeDownloads = new Map();
+
 // ==========================================
 // INITIALIZATION
 // ==========================================
@@ -146,8 +168,9 @@ export async function initializeLLM() {
 export function getAvailableModels() {
     const models = {};
 
-    for (const [filename, info] of Object.entries(CONFIG.MODEL_INFO)) {
-        const modelPath = join(CONFIG.MODELS_DIR, filename);
+    for (const entry of Object.values(getModelRegistry())) {
+        const { filename, info } = entry;
+        const modelPath = entry.path;
         const isDownloaded = existsSync(modelPath);
         let fileSize = 0;
 
@@ -164,8 +187,12 @@ export function getAvailableModels() {
             filename,
             downloaded: isDownloaded,
             fileSize,
+            partialSize: isDownloaded ? 0 : getPartialSize(modelPath),
+            downloading: activeDownloads.has(filename),
             isLoaded: currentModelName === filename,
-            downloadUrl: CONFIG.MODEL_URLS[filename]
+            downloadUrl: entry.url,
+            localPath: entry.localPath,
+            builtIn: entry.builtIn
         };
     }
 
@@ -202,35 +229,17 @@ const MODEL_SIZES = {
 };
 
 /**
- * Check if a downloaded model file is valid (not corrupted/incomplete)
+ * Whether a built-in model file is clearly incomplete, e.g. left by a download that wrote
+ * straight to the model path. Only used while the model has no checksum to go by.
  */
-function isModelValid(modelPath, modelName) {
-    if (!existsSync(modelPath)) return false;
-
-    try {
-        const stats = statSync(modelPath);
-        const expectedSize = MODEL_SIZES[modelName];
-
-        // If we know the expected size, check if file is at least 90% of it
-        if (expectedSize) {
-            const minSize = expectedSize * 0.9;
-            if (stats.size < minSize) {
-                console.log(`[LocalLLM] Model file too small: ${stats.size} bytes (expected ~${expectedSize})`);
-                return false;
-            }
-        }
-
-        // Basic check: file should be at least 100MB for any model
-        if (stats.size < 100000000) {
-            console.log(`[LocalLLM] Model file suspiciously small: ${stats.size} bytes`);
-            return false;
-        }
-
-        return true;
-    } catch (e) {
-        console.warn('[LocalLLM] Error checking model file:', e);
-        return false;
-    }
+function isModelTruncated(modelPath, modelName) {
+    const expectedSize = MODEL_SIZES[modelName];
+    if (!expectedSize) return false;
+
+    const { size } = statSync(modelPath);
+    if (size >= expectedSize * 0.9) return false;
+    console.log(`[LocalLLM] Model file too small: ${size} bytes (expected ~${expectedSize})`);
+    return true;
 }
 
 /**
@@ -247,79 +256,427 @@ function deleteModel(modelPath) {
     }
 }
 
+// ==========================================
+// MODEL REGISTRY
+// ==========================================
+
+// Checksums of downloads that were verified without a pinned one, by filename
+let verifiedChecksums = {};
+let userModels = loadUserModels();
+
+function loadUserModels() {
+    try {
+        if (existsSync(CONFIG.REGISTRY_FILE)) {
+            const saved = JSON.parse(readFileSync(CONFIG.REGISTRY_FILE, 'utf8'));
+            verifiedChecksums = saved.checksums && typeof saved.checksums === 'object' ? saved.checksums : {};
+            return Array.isArray(saved.models) ? saved.models : [];
+        }
+    } catch (e) {
+        console.error('[LocalLLM] Failed to read model registry:', e);
+    }
+    return [];
+}
+
+function saveUserModels() {
+    try {
+        if (!existsSync(APP_DATA_DIR)) {
+            mkdirSync(APP_DATA_DIR, { recursive: true });
+        }
+        writeFileSync(CONFIG.REGISTRY_FILE, JSON.stringify({ models: userModels, checksums: verifiedChecksums }, null, 2));
+    } catch (e) {
+        console.error('[LocalLLM] Failed to save model registry:', e);
+    }
+}
+
+function formatBytes(bytes) {
+    if (bytes >= 1e9) return `${(bytes / 1e9).toFixed(1)} GB`;
+    return `${Math.round(bytes / 1e6)} MB`;
+}
+
 /**
- * Download a model from Hugging Face
+ * Built-in and user-added models keyed by filename
+ * @returns {Object} filename -> { filename, url, localPath, sha256, path, builtIn, info }
+ */
+function getModelRegistry() {
+    const registry = {};
+
+    for (const [filename, info] of Object.entries(CONFIG.MODEL_INFO)) {
+        registry[filename] = {
+            filename,
+            url: CONFIG.MODEL_URLS[filename],
+            localPath: null,
+            sha256: CONFIG.MODEL_SHA256[filename] || verifiedChecksums[filename] || null,
+            path: join(CONFIG.MODELS_DIR, filename),
+            builtIn: true,
+            info
+        };
+    }
+
+    for (const model of userModels) {
+        if (registry[model.filename]) continue;
+        registry[model.filename] = {
+            filename: model.filename,
+            url: model.url || null,
+            localPath: model.localPath || null,
+            sha256: model.sha256 || verifiedChecksums[model.filename] || null,
+            // Local models are used where they are; URL models download into the models dir
+            path: model.localPath || join(CONFIG.MODELS_DIR, model.filename),
+            builtIn: false,
+            info: {
+                name: model.name,
+                size: model.size,
+                ram: model.ram,
+                quality: model.quality,
+                speed: model.speed,
+                description: model.description
+            }
+        };
+    }
+
+    return registry;
+}
+
+/**
+ * Look up where a model comes from and how to verify it
+ * @param {string} modelName - Model filename
+ * @returns {Object|null} Registry entry or null if unknown
+ */
+function getModelEntry(modelName) {
+    return getModelRegistry()[modelName] || null;
+}
+
+/**
+ * Add a model to the user registry, either by download URL or by path to an existing .gguf
+ * @param {Object} model - { url | localPath, filename?, sha256?, name?, size?, ram?, quality?, speed?, description? }
+ * @returns {Object} Registry entry as shown by getAvailableModels()
+ */
+export function addModel(model = {}) {
+    const url = String(model.url || '').trim();
+    const localPath = String(model.localPath || '').trim();
+
+    if (!url === !localPath) {
+        throw new Error('Provide either a download URL or a local .gguf path');
+    }
+
+    let filename;
+    let size = model.size;
+
+    if (url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch {
+            throw new Error(`Invalid URL: ${url}`);
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            throw new Error('Model URL must be http(s)');
+        }
+        filename = basename(model.filename || decodeURIComponent(parsed.pathname));
+    } else {
+        if (!existsSync(localPath) || !statSync(localPath).isFile()) {
+            throw new Error(`File not found: ${localPath}`);
+        }
+        filename = basename(localPath);
+        size = size || formatBytes(statSync(localPath).size);
+    }
+
+    if (extname(filename).toLowerCase() !== '.gguf') {
+        throw new Error(`Not a .gguf model: ${filename}`);
+    }
+    if (getModelEntry(filename)) {
+        throw new Error(`A model named ${filename} is already registered`);
+    }
+
+    const sha256 = String(model.sha256 || '').trim().toLowerCase();
+    if (sha256 && !/^[a-f0-9]{64}$/.test(sha256)) {
+        throw new Error('SHA-256 must be 64 hex characters');
+    }
+
+    userModels.push({
+        filename,
+        url: url || null,
+        localPath: localPath || null,
+        sha256: sha256 || null,
+        name: String(model.name || '').trim() || filename.replace(/\.gguf$/i, ''),
+        size: size || 'Unknown',
+        ram: model.ram || 'Unknown',
+        quality: model.quality || 'Unknown',
+        speed: model.speed || 'Unknown',
+        description: model.description || (url ? 'Custom model' : 'Local model file'),
+        addedAt: new Date().toISOString()
+    });
+    saveUserModels();
+
+    console.log('[LocalLLM] Added model to registry:', filename);
+    return getAvailableModels()[filename];
+}
+
+/**
+ * Remove a user-added model from the registry
+ * Deletes files this app downloaded; never touches a user's own local .gguf
+ * @param {string} modelName - Model filename
+ */
+export function removeModel(modelName) {
+    const entry = getModelEntry(modelName);
+    if (!entry) {
+        throw new Error(`Unknown model: ${modelName}`);
+    }
+    if (entry.builtIn) {
+        throw new Error('Built-in models cannot be removed');
+    }
+    if (currentModelName === modelName) {
+        throw new Error('Unload the model before removing it');
+    }
+    if (activeDownloads.has(modelName)) {
+        throw new Error('Wait for the download to finish before removing the model');
+    }
+
+    if (!entry.localPath) {
+        deleteModel(entry.path);
+        deleteModel(`${entry.path}.part`);
+    }
+
+    userModels = userModels.filter(m => m.filename !== modelName);
+    delete verifiedChecksums[modelName];
+    saveUserModels();
+    console.log('[LocalLLM] Removed model from registry:', modelName);
+}
+
+/**
+ * Size of a partially downloaded model (0 if none)
+ */
+function getPartialSize(modelPath) {
+    try {
+        return existsSync(`${modelPath}.part`) ? statSync(`${modelPath}.part`).size : 0;
+    } catch {
+        return 0;
+    }
+}
+
+/**
+ * Compute the SHA-256 of a file without loading it into memory
+ * @param {string} filePath - File to hash
+ * @returns {Promise<string>} Lowercase hex digest
+ */
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = createHash('sha256');
+        createReadStream(filePath)
+            .on('data', (chunk) => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+/**
+ * Download a model from Hugging Face (or any HTTP(S) host)
+ * Streams into `<model>.part`, resumes with HTTP Range requests after a dropped
+ * connection, verifies the SHA-256 and only then renames the file into place.
  * @param {string} modelName - Model filename
  * @param {Function} onProgress - Progress callback (0-100)
  * @returns {Promise<string>} Path to downloaded model
  */
 export async function downloadModel(modelName, onProgress = () => { }) {
-    const url = CONFIG.MODEL_URLS[modelName];
-    if (!url) {
+    const entry = getModelEntry(modelName);
+    if (!entry) {
         throw new Error(`Unknown model: ${modelName}`);
     }
 
-    const modelPath = join(CONFIG.MODELS_DIR, modelName);
+    const modelPath = entry.path;
+
+    // Local models are never downloaded, they either exist or they don't
+    if (!entry.url) {
+        if (!existsSync(modelPath)) {
+            throw new Error(`Local model file is missing: ${modelPath}`);
+        }
+        onProgress(100);
+        return modelPath;
+    }
 
-    // Check if already downloaded AND valid
+    // An existing file is checked against its checksum, or against its size when there is none
     if (existsSync(modelPath)) {
-        if (isModelValid(modelPath, modelName)) {
-            console.log('[LocalLLM] Model already exists and is valid:', modelPath);
+        if (entry.sha256 && await hashFile(modelPath) !== entry.sha256.toLowerCase()) {
+            console.log('[LocalLLM] Model file does not match its checksum, re-downloading...');
+            deleteModel(modelPath);
+        } else if (!entry.sha256 && isModelTruncated(modelPath, modelName)) {
+            // Keep what is there and finish it like any other interrupted download
+            console.log('[LocalLLM] Model file incomplete, resuming download...');
+            if (getPartialSize(modelPath) > 0) deleteModel(modelPath);
+            else renameSync(modelPath, `${modelPath}.part`);
+        } else {
+            console.log('[LocalLLM] Model already exists:', modelPath);
             onProgress(100);
             return modelPath;
-        } else {
-            console.log('[LocalLLM] Model file corrupted/incomplete, re-downloading...');
-            deleteModel(modelPath);
         }
     }
 
-    console.log('[LocalLLM] Downloading model:', modelName);
+    if (activeDownloads.has(modelName)) {
+        console.log('[LocalLLM] Download already in progress:', modelName);
+        return activeDownloads.get(modelName);
+    }
+
+    const download = downloadAndVerify(entry, onProgress)
+        .finally(() => activeDownloads.delete(modelName));
+    activeDownloads.set(modelName, download);
+    return download;
+}
+
+async function downloadAndVerify(entry, onProgress) {
+    if (!existsSync(CONFIG.MODELS_DIR)) {
+        mkdirSync(CONFIG.MODELS_DIR, { recursive: true });
+    }
+
+    const partPath = `${entry.path}.part`;
+    let reportedSha256 = null;
+    let totalBytes = 0;
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const result = await fetchToPartFile(entry, partPath, onProgress);
+            reportedSha256 = result.reportedSha256 || reportedSha256;
+            totalBytes = result.totalBytes || totalBytes;
+            break;
+        } catch (error) {
+            if (error.fatal || attempt >= CONFIG.DOWNLOAD_RETRIES) {
+                notifyProgress('error', 0, entry.filename, error.message);
+                throw error;
+            }
+            console.warn(`[LocalLLM] Download interrupted (${error.message}), resuming in ${CONFIG.DOWNLOAD_RETRY_DELAY / 1000}s...`);
+            await new Promise(resolve => setTimeout(resolve, CONFIG.DOWNLOAD_RETRY_DELAY));
+        }
+    }
+
+    const expectedSha256 = entry.sha256 || reportedSha256;
+    const actualSize = statSync(partPath).size;
+
+    if (expectedSha256) {
+        console.log('[LocalLLM] Verifying SHA-256:', entry.filename);
+        notifyProgress('verifying', 100, entry.filename);
+        const actualSha256 = await hashFile(partPath);
+        if (actualSha256 !== expectedSha256.toLowerCase()) {
+            // A corrupted part cannot be resumed, start over next time
+            deleteModel(partPath);
+            const error = new Error(`Checksum mismatch for ${entry.filename}: expected ${expectedSha256}, got ${actualSha256}`);
+            notifyProgress('error', 0, entry.filename, error.message);
+            throw error;
+        }
+        if (!entry.sha256) {
+            verifiedChecksums[entry.filename] = expectedSha256.toLowerCase();
+            saveUserModels();
+        }
+    } else if (totalBytes && actualSize !== totalBytes) {
+        const error = new Error(`Size mismatch for ${entry.filename}: expected ${totalBytes} bytes, got ${actualSize}`);
+        notifyProgress('error', 0, entry.filename, error.message);
+        throw error;
+    } else {
+        console.warn('[LocalLLM] No checksum available, accepted on size only:', entry.filename);
+    }
+
+    renameSync(partPath, entry.path);
+    console.log('[LocalLLM] Download complete:', entry.path);
+    onProgress(100);
+    notifyProgress('download', 100, entry.filename);
+    return entry.path;
+}
 
+/**
+ * Fetch the remaining bytes of a model into its .part file
+ * Rejects with a retryable error on a dropped connection; `error.fatal` marks errors that retrying won't fix
+ * @returns {Promise<{totalBytes: number, reportedSha256: string|null}>}
+ */
+function fetchToPartFile(entry, partPath, onProgress) {
     return new Promise((resolve, reject) => {
-        const file = createWriteStream(modelPath);
-        let downloadedBytes = 0;
-        let totalBytes = 0;
+        const startByte = existsSync(partPath) ? statSync(partPath).size : 0;
+        const headers = startByte > 0 ? { Range: `bytes=${startByte}-` } : {};
+        let reportedSha256 = null;
+
+        if (startByte > 0) {
+            console.log(`[LocalLLM] Resuming ${entry.filename} from byte ${startByte}`);
+        } else {
+            console.log('[LocalLLM] Downloading model:', entry.filename);
+        }
+
+        const fatal = (message) => Object.assign(new Error(message), { fatal: true });
+
+        const request = (url, redirects = 0) => {
+            const protocol = url.startsWith('https') ? https : http;
+            protocol.get(url, { headers }, handleResponse(url, redirects))
+                .on('error', reject)
+                // A stalled connection is retried like a dropped one instead of hanging forever
+                .setTimeout(CONFIG.DOWNLOAD_IDLE_TIMEOUT, function () {
+                    this.destroy(new Error(`No data for ${CONFIG.DOWNLOAD_IDLE_TIMEOUT / 1000}s`));
+                });
+        };
+
+        const handleResponse = (url, redirects) => (response) => {
+            // Hugging Face reports the LFS checksum on the redirect, before the CDN takes over
+            const linkedEtag = String(response.headers['x-linked-etag'] || '').replace(/"/g, '');
+            if (/^[a-f0-9]{64}$/i.test(linkedEtag)) {
+                reportedSha256 = linkedEtag.toLowerCase();
+            }
 
-        const handleResponse = (response) => {
             // Handle redirects
-            if (response.statusCode === 301 || response.statusCode === 302) {
-                const redirectUrl = response.headers.location;
+            if ([301, 302, 303, 307, 308].includes(response.statusCode)) {
+                response.resume();
+                if (redirects >= 10) {
+                    reject(fatal('Download failed: too many redirects'));
+                    return;
+                }
+                const redirectUrl = new URL(response.headers.location, url).toString();
                 console.log('[LocalLLM] Following redirect to:', redirectUrl);
-                const protocol = redirectUrl.startsWith('https') ? https : http;
-                protocol.get(redirectUrl, handleResponse).on('error', reject);
+                request(redirectUrl, redirects + 1);
+                return;
+            }
+
+            // Nothing left to fetch: the part file already holds the whole model
+            if (response.statusCode === 416 && startByte > 0) {
+                response.resume();
+                const total = parseInt(String(response.headers['content-range'] || '').split('/')[1], 10) || 0;
+                resolve({ totalBytes: total, reportedSha256 });
                 return;
             }
 
-            if (response.statusCode !== 200) {
-                reject(new Error(`Download failed: HTTP ${response.statusCode}`));
+            if (response.statusCode !== 200 && response.statusCode !== 206) {
+                response.resume();
+                reject(fatal(`Download failed: HTTP ${response.statusCode}`));
                 return;
             }
 
-            totalBytes = parseInt(response.headers['content-length'], 10) || 0;
+            // 206 continues the part file; 200 means the server ignored Range, so start over
+            const isResume = response.statusCode === 206;
+            const contentLength = parseInt(response.headers['content-length'], 10) || 0;
+            const totalBytes = isResume
+                ? parseInt(String(response.headers['content-range'] || '').split('/')[1], 10) || startByte + contentLength
+                : contentLength;
+            let downloadedBytes = isResume ? startByte : 0;
+
+            const file = createWriteStream(partPath, { flags: isResume ? 'a' : 'w' });
 
             response.on('data', (chunk) => {
                 downloadedBytes += chunk.length;
                 if (totalBytes > 0) {
                     const progress = Math.round((downloadedBytes / totalBytes) * 100);
                     onProgress(progress);
-                    notifyProgress('download', progress, modelName);
+                    notifyProgress('download', progress, entry.filename);
                 }
             });
 
+            response.on('aborted', () => file.destroy(new Error('Connection dropped')));
+            response.on('error', (err) => file.destroy(err));
+            file.on('error', reject);
+
             response.pipe(file);
 
             file.on('finish', () => {
-                file.close();
-                console.log('[LocalLLM] Download complete:', modelPath);
-                onProgress(100);
-                resolve(modelPath);
+                if (!response.complete || (totalBytes > 0 && downloadedBytes < totalBytes)) {
+                    reject(new Error(`Connection dropped at ${downloadedBytes}/${totalBytes} bytes`));
+                    return;
+                }
+                resolve({ totalBytes, reportedSha256 });
             });
         };
 
-        https.get(url, handleResponse).on('error', (err) => {
-            file.close();
-            reject(err);
-        });
+        request(entry.url);
     });
 }
 
@@ -338,11 +695,14 @@ export async function loadModel(modelName = CONFIG.DEFAULT_MODEL) {
         return true;
     }
 
-    const modelPath = join(CONFIG.MODELS_DIR, modelName);
+    const entry = getModelEntry(modelName);
+    if (!entry) {
+        throw new Error(`Unknown model: ${modelName}`);
+    }
+    const modelPath = entry.path;
 
-    // Download if not present
-    if (!existsSync(modelPath)) {
-        console.log('[LocalLLM] Model not found, downloading...');
+    // Download if not present; a file that is there gets checked before it is loaded
+    if (entry.url) {
         await downloadModel(modelName, (progress) => {
             loadProgress = progress * 0.5; // Download is 0-50%
             notifyProgress('loading', loadProgress, modelName);
@@ -392,21 +752,10 @@ export async function loadModel(modelName = CONFIG.DEFAULT_MODEL) {
             contextSize: CONFIG.CONTEXT_SIZE
         });
 
-        // Create chat session with system prompt
+        // Create chat session with the active system prompt
         chatSession = new LlamaChatSession({
             contextSequence: context.getSequence(),
-            systemPrompt: `You are CoolDesk AI, a helpful desktop assistant integrated into a productivity application. Your role is to assist users with questions, tasks, and information needs.
-
-Guidelines:
-- Provide accurate, concise, and relevant answers
-- Be direct and get to the point quickly
-- If you don't know something, admit it honestly instead of guessing
-- Refuse requests for harmful, illegal, or unethical content
-- Keep responses brief (2-3 sentences) unless more detail is specifically requested
-- Use simple language and avoid unnecessary jargon
-- For code or technical questions, provide practical, working solutions
-
-Remember: You're a local AI assistant focused on being helpful, honest, and efficient.`
+            systemPrompt
         });
 
         currentModelName = modelName;
@@ -426,6 +775,20 @@ Remember: You're a local AI assistant focused on being helpful, honest, and effi
     }
 }
 
+/**
+ * Replace the system prompt without reloading the model
+ * Resets the chat history of the live session so the new prompt takes effect immediately
+ * @param {string} prompt - New system prompt
+ */
+export function setSystemPrompt(prompt) {
+    systemPrompt = prompt || CONFIG.SYSTEM_PROMPT;
+
+    if (chatSession) {
+        chatSession.setChatHistory([{ type: 'system', text: systemPrompt }]);
+        console.log('[LocalLLM] System prompt updated');
+    }
+}
+
 /**
  * Unload current model from memory
  */
@@ -452,7 +815,7 @@ export async function unloadModel() {
 /**
  * Generate a chat response
  * @param {string} prompt - User prompt
- * @param {Object} options - Generation options
+ * @param {Object} options - Generation options (maxTokens, temperature, topP, signal)
  * @returns {Promise<string>} Generated response
  */
 export async function chat(prompt, options = {}) {
@@ -462,8 +825,9 @@ export async function chat(prompt, options = {}) {
 
     const response = await chatSession.prompt(prompt, {
         maxTokens: options.maxTokens || CONFIG.MAX_TOKENS,
-        temperature: options.temperature || CONFIG.TEMPERATURE,
-        topP: options.topP || CONFIG.TOP_P
+        temperature: options.temperature ?? CONFIG.TEMPERATURE,
+        topP: options.topP || CONFIG.TOP_P,
+        signal: options.signal
     });
 
     logInteraction(prompt, response);
@@ -471,6 +835,34 @@ export async function chat(prompt, options = {}) {
     return response;
 }
 
+/**
+ * Run a one-off prompt that leaves no trace in the co-host's conversation
+ * For side tasks (moderation, summaries) that shouldn't shape later replies
+ * @param {string} prompt - User prompt
+ * @param {Object} options - Generation options (maxTokens, temperature, topP, signal), plus
+ *   systemPrompt to run without the co-host's persona and conversation at all
+ * @returns {Promise<string>} Generated response
+ */
+export async function chatWithoutHistory(prompt, options = {}) {
+    if (!model || !chatSession) {
+        throw new Error('Model not loaded. Call loadModel() first.');
+    }
+
+    const session = chatSession;
+    const history = session.getChatHistory();
+    if (options.systemPrompt) {
+        session.setChatHistory([{ type: 'system', text: options.systemPrompt }]);
+    }
+    try {
+        return await chat(prompt, options);
+    } finally {
+        // Skip the restore if the model was swapped out mid-prompt
+        if (chatSession === session) {
+            session.setChatHistory(history);
+        }
+    }
+}
+
 /**
  * Log LLM interaction to a daily file
  */
@@ -500,7 +892,7 @@ function logInteraction(prompt, response) {
  * Generate a chat response with streaming
  * @param {string} prompt - User prompt
  * @param {Function} onToken - Callback for each token
- * @param {Object} options - Generation options
+ * @param {Object} options - Generation options (maxTokens, temperature, topP, signal)
  * @returns {Promise<string>} Full response
  */
 export async function chatStream(prompt, onToken, options = {}) {
@@ -508,16 +900,16 @@ export async function chatStream(prompt, onToken, options = {}) {
         throw new Error('Model not loaded. Call loadModel() first.');
     }
 
-    let fullResponse = '';
-
-    for await (const token of chatSession.promptStream(prompt, {
+    // node-llama-cpp v3 streams through the onTextChunk callback of prompt()
+    const fullResponse = await chatSession.prompt(prompt, {
         maxTokens: options.maxTokens || CONFIG.MAX_TOKENS,
-        temperature: options.temperature || CONFIG.TEMPERATURE,
-        topP: options.topP || CONFIG.TOP_P
-    })) {
-        fullResponse += token;
-        onToken(token);
-    }
+        temperature: options.temperature ?? CONFIG.TEMPERATURE,
+        topP: options.topP || CONFIG.TOP_P,
+        signal: options.signal,
+        onTextChunk: onToken
+    });
+
+    logInteraction(prompt, fullResponse);
 
     return fullResponse;
 }
@@ -548,13 +940,16 @@ function truncateForContext(text, maxTokens = 800) {
 
 /**
  * Split long text into chunks for processing
+ * @param {string} text - Text to split
+ * @param {number} maxTokensPerChunk - Rough chunk size in tokens
+ * @returns {string[]} Chunks
  */
-function chunkText(text, maxTokensPerChunk = 600) {
+export function chunkText(text, maxTokensPerChunk = 600) {
     const maxChars = maxTokensPerChunk * 4;
     const chunks = [];
 
-    // Split by paragraphs first
-    const paragraphs = text.split(/\n\n+/);
+    // Split by paragraphs first; code often has none, so oversized ones fall back to lines
+    const paragraphs = text.split(/\n\n+/).flatMap(para => splitOversized(para, maxChars));
     let currentChunk = '';
 
     for (const para of paragraphs) {
@@ -573,8 +968,30 @@ function chunkText(text, maxTokensPerChunk = 600) {
     return chunks;
 }
 
+function splitOversized(para, maxChars) {
+    if (para.length <= maxChars) return [para];
+
+    const parts = [];
+    let current = '';
+    for (const line of para.split('\n')) {
+        // A single line longer than a chunk (minified code) gets cut hard
+        const pieces = line.length > maxChars ? line.match(new RegExp(`[\\s\\S]{1,${maxChars}}`, 'g')) : [line];
+        for (const piece of pieces) {
+            if (current.length + piece.length + 1 > maxChars && current.length > 0) {
+                parts.push(current);
+                current = piece;
+            } else {
+                current += (current ? '\n' : '') + piece;
+            }
+        }
+    }
+    if (current) parts.push(current);
+    return parts;
+}
+
 /**
  * Summarize text - handles long text by chunking
+ * Runs outside the chat history so summaries don't leak into the co-host's replies
  * @param {string} text - Text to summarize
  * @param {number} maxLength - Maximum summary length in sentences
  * @returns {Promise<string>} Summary
@@ -593,7 +1010,7 @@ export async function summarize(text, maxLength = 3) {
 ${text}
 
 Summary:`;
-        return await chat(prompt, { maxTokens: 256, temperature: 0.3 });
+        return await chatWithoutHistory(prompt, { maxTokens: 256, temperature: 0.3 });
     }
 
     // For longer text, use chunked summarization
@@ -607,7 +1024,7 @@ Summary:`;
 ${truncated}
 
 Summary:`;
-        return await chat(prompt, { maxTokens: 256, temperature: 0.3 });
+        return await chatWithoutHistory(prompt, { maxTokens: 256, temperature: 0.3 });
     }
 
     // Multiple chunks - summarize each, then combine
@@ -620,7 +1037,7 @@ Summary:`;
 ${chunks[i]}
 
 Summary:`;
-        const summary = await chat(chunkPrompt, { maxTokens: 100, temperature: 0.3 });
+        const summary = await chatWithoutHistory(chunkPrompt, { maxTokens: 100, temperature: 0.3 });
         chunkSummaries.push(summary.trim());
     }
 
@@ -632,7 +1049,7 @@ ${combinedSummaries}
 
 Final summary:`;
 
-    return await chat(finalPrompt, { maxTokens: 256, temperature: 0.3 });
+    return await chatWithoutHistory(finalPrompt, { maxTokens: 256, temperature: 0.3 });
 }
 
 /**
@@ -679,38 +1096,41 @@ Answer:`;
 }
 
 /**
- * Execute a natural language command
+ * Map a natural language command onto one of the given actions
  * @param {string} command - Natural language command
- * @param {Object} context - Available context (tabs, workspaces, etc.)
- * @returns {Promise<Object>} Parsed command
+ * @param {Object[]} actions - [{ name, description }] the command may resolve to
+ * @param {Object} options - Generation options (signal)
+ * @returns {Promise<{action: string, args: string}>} `action` is 'unknown' when nothing fits
  */
-export async function parseCommand(command) {
-    const prompt = `Parse the following command and return a JSON object with the action and parameters.
+export async function parseCommand(command, actions, options = {}) {
+    const prompt = `Map the following command to one of the available actions and return a JSON object with the action and its arguments.
 
 Available actions:
-- open_url: Open a URL (params: url)
-- close_tab: Close a tab (params: tabId or title match)
-- search: Search for something (params: query, type: tabs|history|bookmarks)
-- create_workspace: Create a workspace (params: name)
-- summarize: Summarize a page (params: tabId or url)
-- switch_workspace: Switch to a workspace (params: name)
+${actions.map(a => `- ${a.name}: ${a.description}`).join('\n')}
+- unknown: Nothing above fits
 
 Command: "${command}"
 
-Return ONLY valid JSON, no explanation:`;
+Return ONLY valid JSON like {"action": "<action name>", "args": "<the rest of the request, in the user's words>"}, no explanation:`;
 
-    const response = await chat(prompt, { maxTokens: 128, temperature: 0.1 });
+    // A side task: the co-host shouldn't remember being asked to parse things
+    const response = await chatWithoutHistory(prompt, { maxTokens: 128, temperature: 0.1, signal: options.signal });
 
     try {
         // Extract JSON from response
         const jsonMatch = response.match(/\{[\s\S]*\}/);
         if (jsonMatch) {
-            return JSON.parse(jsonMatch[0]);
+            const parsed = JSON.parse(jsonMatch[0]);
+            const action = String(parsed.action || '').toLowerCase();
+            return {
+                action: actions.some(a => a.name === action) ? action : 'unknown',
+                args: typeof parsed.args === 'string' ? parsed.args : ''
+            };
         }
         throw new Error('No valid JSON in response');
-    } catch (e) {
+    } catch {
         console.warn('[LocalLLM] Failed to parse command response:', response);
-        return { action: 'unknown', raw: command };
+        return { action: 'unknown', args: command };
     }
 }
 
@@ -720,16 +1140,33 @@ Return ONLY valid JSON, no explanation:`;
  * @returns {Promise<number[]>} Embedding vector
  */
 export async function getEmbedding(text) {
+    const [embedding] = await getEmbeddings([text]);
+    return embedding;
+}
+
+/**
+ * Generate embeddings for many texts with a single embedding context
+ * Creating the context is the slow part, so batch whenever possible.
+ * @param {string[]} texts - Texts to embed
+ * @returns {Promise<number[][]>} Embedding vectors, in input order
+ */
+export async function getEmbeddings(texts) {
     if (!model) {
         throw new Error('Model not loaded');
     }
 
     // Create embedding context if model supports it
     const embeddingContext = await model.createEmbeddingContext();
-    const embedding = await embeddingContext.getEmbeddingFor(text);
-    await embeddingContext.dispose();
-
-    return Array.from(embedding.vector);
+    try {
+        const embeddings = [];
+        for (const text of texts) {
+            const embedding = await embeddingContext.getEmbeddingFor(text);
+            embeddings.push(Array.from(embedding.vector));
+        }
+        return embeddings;
+    } finally {
+        await embeddingContext.dispose();
+    }
 }
 
 /**
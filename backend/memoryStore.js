@@ -0,0 +1,232 @@
+/**
+ * Long-term Memory for the AI Co-host
+ * Facts about the streamer, the project and running jokes that survive model reloads and restarts
+ *
+ * - Facts are extracted from recent exchanges with summarize() and saved to memories.json
+ * - At reaction time the most relevant ones are found by embedding similarity
+ *   and injected into the prompt
+ *
+ * The embedding function is passed in by server.js so this module never touches node-llama-cpp.
+ */
+
+import { randomUUID } from 'crypto';
+import fs from 'fs';
+
+const memoriesFile = './memories.json';
+
+const MEMORY_CONFIG = {
+    EXTRACT_EVERY: 6,         // Exchanges between two extraction passes
+    TOP_K: 3,                 // Memories injected per prompt
+    MIN_SIMILARITY: 0.3,      // Below this a memory is not relevant enough to mention
+    DUPLICATE_SIMILARITY: 0.9 // Above this a new fact repeats an existing one
+};
+
+let store = {
+    settings: { enabled: true, autoExtract: true },
+    memories: []
+};
+
+try {
+    if (fs.existsSync(memoriesFile)) {
+        const saved = JSON.parse(fs.readFileSync(memoriesFile, 'utf8'));
+        store = {
+            settings: { ...store.settings, ...(saved.settings || {}) },
+            memories: Array.isArray(saved.memories) ? saved.memories : []
+        };
+    }
+} catch (e) {
+    console.error('Failed to load memories from file', e);
+}
+
+// Exchanges since the last extraction pass
+let exchangeBuffer = [];
+
+function saveMemories() {
+    try {
+        fs.writeFileSync(memoriesFile, JSON.stringify(store, null, 2));
+    } catch (e) {
+        console.error('Failed to save memories to file', e);
+    }
+}
+
+/**
+ * Get all memories (without their embedding vectors)
+ * @returns {{settings: Object, memories: Object[]}}
+ */
+export function getMemories() {
+    return {
+        settings: store.settings,
+        memories: store.memories.map(m => ({
+            id: m.id,
+            text: m.text,
+            source: m.source,
+            embedded: Boolean(m.embedding),
+            createdAt: m.createdAt,
+            updatedAt: m.updatedAt
+        }))
+    };
+}
+
+/**
+ * Update memory settings ({ enabled, autoExtract })
+ * @param {Object} updates - Partial settings
+ * @returns {Object} Saved settings
+ */
+export function updateMemorySettings(updates = {}) {
+    for (const key of ['enabled', 'autoExtract']) {
+        if (typeof updates[key] === 'boolean') store.settings[key] = updates[key];
+    }
+    saveMemories();
+    return store.settings;
+}
+
+/**
+ * Create a memory, or edit its text when the id already exists
+ * @param {Object} data - { id?, text, source? }
+ * @returns {Object} Saved memory
+ */
+export function saveMemory(data = {}) {
+    const text = String(data.text || '').trim();
+    if (!text) {
+        throw new Error('Memory text is required');
+    }
+
+    const now = new Date().toISOString();
+    const existing = store.memories.find(m => m.id === data.id);
+
+    if (existing) {
+        if (existing.text !== text) {
+            // The old vector describes the old text; re-embed on next use
+            Object.assign(existing, { text, embedding: null, embeddingModel: null, updatedAt: now });
+        }
+        saveMemories();
+        return existing;
+    }
+
+    const memory = {
+        id: randomUUID(),
+        text,
+        source: data.source || 'manual',
+        embedding: data.embedding || null,
+        embeddingModel: data.embeddingModel || null,
+        createdAt: now,
+        updatedAt: now
+    };
+    store.memories.push(memory);
+    saveMemories();
+    return memory;
+}
+
+/**
+ * Delete a memory
+ * @param {string} id - Memory id
+ */
+export function deleteMemory(id) {
+    const before = store.memories.length;
+    store.memories = store.memories.filter(m => m.id !== id);
+    if (store.memories.length === before) {
+        throw new Error(`Unknown memory: ${id}`);
+    }
+    saveMemories();
+}
+
+/**
+ * Remember one exchange; hands back a transcript once enough have piled up for an extraction pass
+ * @param {string} input - What the streamer shared
+ * @param {string} reply - What the co-host said
+ * @returns {string|null} Transcript to extract facts from, or null if not time yet
+ */
+export function recordExchange(input, reply) {
+    if (!store.settings.enabled || !store.settings.autoExtract) return null;
+
+    exchangeBuffer.push(`Streamer shared: ${String(input).slice(0, 500)}\nCo-host replied: ${reply}`);
+    if (exchangeBuffer.length < MEMORY_CONFIG.EXTRACT_EVERY) return null;
+
+    const transcript = exchangeBuffer.join('\n\n');
+    exchangeBuffer = [];
+    return transcript;
+}
+
+/**
+ * Make sure every memory has an embedding from the current model
+ * Vectors from different models aren't comparable, so a model swap re-embeds lazily.
+ */
+async function ensureEmbeddings(embedTexts, modelName) {
+    const stale = store.memories.filter(m => !m.embedding || m.embeddingModel !== modelName);
+    if (stale.length === 0) return;
+
+    const vectors = await embedTexts(stale.map(m => m.text));
+    stale.forEach((memory, i) => {
+        memory.embedding = vectors[i];
+        memory.embeddingModel = modelName;
+    });
+    saveMemories();
+}
+
+/**
+ * Save the facts from a summary as memories, skipping ones we already know
+ * @param {string} summary - Output of summarize() over a transcript
+ * @param {Function} embedTexts - async (texts) => vectors
+ * @param {Function} similarity - (a, b) => score
+ * @param {string} modelName - Model that produced the vectors
+ * @returns {Promise<Object[]>} Newly saved memories
+ */
+export async function addExtractedFacts(summary, embedTexts, similarity, modelName) {
+    const facts = String(summary)
+        .split(/(?<=[.!?])\s+|\n+/)
+        .map(f => f.replace(/^[-*\d.\s]+/, '').trim())
+        .filter(f => f.length > 15);
+    if (facts.length === 0) return [];
+
+    await ensureEmbeddings(embedTexts, modelName);
+    const vectors = await embedTexts(facts);
+
+    const added = [];
+    facts.forEach((text, i) => {
+        const known = [...store.memories, ...added].some(m => m.embedding && similarity(m.embedding, vectors[i]) >= MEMORY_CONFIG.DUPLICATE_SIMILARITY);
+        if (!known) {
+            added.push(saveMemory({ text, source: 'auto', embedding: vectors[i], embeddingModel: modelName }));
+        }
+    });
+
+    if (added.length > 0) {
+        console.log(`[Memory] Remembered ${added.length} new fact(s)`);
+    }
+    return added;
+}
+
+/**
+ * Find the memories most relevant to what the co-host is reacting to
+ * @param {string} query - Incoming payload
+ * @param {Function} embedTexts - async (texts) => vectors
+ * @param {Function} similarity - (a, b) => score
+ * @param {string} modelName - Currently loaded model
+ * @returns {Promise<string[]>} Memory texts, most relevant first
+ */
+export async function findRelevantMemories(query, embedTexts, similarity, modelName) {
+    if (!store.settings.enabled || store.memories.length === 0) return [];
+
+    await ensureEmbeddings(embedTexts, modelName);
+    const [queryVector] = await embedTexts([String(query).slice(0, 2000)]);
+
+    return store.memories
+        .map(m => ({ text: m.text, score: similarity(m.embedding, queryVector) }))
+        .filter(m => m.score >= MEMORY_CONFIG.MIN_SIMILARITY)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MEMORY_CONFIG.TOP_K)
+        .map(m => m.text);
+}
+
+/**
+ * Prefix a prompt with remembered facts
+ * @param {string[]} facts - Memory texts
+ * @param {string} prompt - Reaction prompt
+ * @returns {string} Prompt with memory context
+ */
+export function withMemoryContext(facts, prompt) {
+    if (facts.length === 0) return prompt;
+    return `Things you remember from earlier streams (use them only if they fit):
+${facts.map(f => `- ${f}`).join('\n')}
+
+${prompt}`;
+}
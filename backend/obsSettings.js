@@ -0,0 +1,97 @@
+/**
+ * OBS Connection Settings
+ * Where the overlay finds obs-websocket, shared by every overlay and the settings page
+ *
+ * Also maps the overlay's camera slots to the OBS scene items they show and hide
+ * ({ face: { sceneName, sourceName }, ... }); an empty mapping leaves that camera to the overlay alone.
+ * `health` holds the thresholds the stats widget warns at (0 turns a check off).
+ *
+ * The overlay (not the backend) talks to OBS, so the password is handed to any paired client
+ * through GET /obs. Frames broadcast on change only carry `hasPassword`, so it stays out of
+ * the session log.
+ */
+
+import fs from 'fs';
+import { DEFAULT_HEALTH } from '../shared/obsHealth.js';
+
+const obsSettingsFile = './obs-settings.json';
+
+export const CAMERA_SLOTS = ['face', 'hand', 'room'];
+
+function normalizeCameras(cameras = {}) {
+    return Object.fromEntries(CAMERA_SLOTS.map(slot => [slot, {
+        sceneName: String(cameras?.[slot]?.sceneName ?? '').trim(),
+        sourceName: String(cameras?.[slot]?.sourceName ?? '').trim()
+    }]));
+}
+
+function normalizeHealth(health = {}) {
+    const next = { ...DEFAULT_HEALTH, ...health };
+    for (const key of ['maxCpu', 'fpsTolerance', 'maxDroppedPct', 'minBitrateKbps']) {
+        const value = Number(next[key]);
+        next[key] = Number.isFinite(value) && value >= 0 ? value : DEFAULT_HEALTH[key];
+    }
+    next.mention = Boolean(next.mention);
+    return next;
+}
+
+const DEFAULT_SETTINGS = {
+    url: 'ws://localhost:4455',     // OBS → Tools → WebSocket Server Settings
+    password: '',
+    cameras: normalizeCameras(),
+    health: DEFAULT_HEALTH
+};
+
+let settings = { ...DEFAULT_SETTINGS };
+
+try {
+    if (fs.existsSync(obsSettingsFile)) {
+        const saved = JSON.parse(fs.readFileSync(obsSettingsFile, 'utf8'));
+        settings = { ...settings, ...saved, cameras: normalizeCameras(saved.cameras), health: normalizeHealth(saved.health) };
+    }
+} catch (e) {
+    console.error('Failed to load OBS settings from file', e);
+}
+
+/**
+ * Get the OBS connection settings, password included
+ * @returns {Object} { url, password, cameras, health }
+ */
+export function getObsSettings() {
+    return settings;
+}
+
+/**
+ * Get the OBS connection settings without the password, for broadcasts
+ * @returns {Object} { url, hasPassword, cameras, health }
+ */
+export function getPublicObsSettings() {
+    return { url: settings.url, hasPassword: Boolean(settings.password), cameras: settings.cameras, health: settings.health };
+}
+
+/**
+ * Update the OBS connection settings
+ * An empty password keeps the saved one; send `clearPassword: true` to remove it.
+ * @param {Object} updates - { url, password, clearPassword, cameras, health }
+ * @returns {Object} Saved settings
+ */
+export function updateObsSettings(updates = {}) {
+    const url = String(updates.url ?? settings.url).trim();
+    if (!/^wss?:\/\/[^\s/]+/.test(url)) {
+        throw new Error('OBS URL must look like ws://host:port');
+    }
+
+    settings = {
+        ...settings,
+        url,
+        password: updates.password ? String(updates.password) : updates.clearPassword ? '' : settings.password,
+        cameras: updates.cameras ? normalizeCameras({ ...settings.cameras, ...updates.cameras }) : settings.cameras,
+        health: updates.health ? normalizeHealth({ ...settings.health, ...updates.health }) : settings.health
+    };
+    try {
+        fs.writeFileSync(obsSettingsFile, JSON.stringify(settings, null, 2));
+    } catch (e) {
+        console.error('Failed to save OBS settings to file', e);
+    }
+    return settings;
+}
@@ -0,0 +1,346 @@
+/**
+ * Output Safety Filter
+ * Post-processing pipeline every AI reply passes through before it reaches the stream
+ *
+ * Stages (in order):
+ * - Role prefix stripping ("AI:", "🤖 AI:", "<persona name>:")
+ * - Blocklist (whole words, case-insensitive)
+ * - Regex patterns
+ * - Max length clamp
+ * - Optional second LLM pass that judges whether the reply is safe
+ *
+ * Each stage can pass, rewrite, hold (wait for the streamer to approve) or drop a reply.
+ * Every decision is logged to the console and to ~/.cooldesk/logs/filter_<date>.log.
+ */
+
+import { randomUUID } from 'crypto';
+import { appendFileSync, existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { homedir } from 'os';
+import { join } from 'path';
+
+const filterSettingsFile = './output-filter.json';
+
+// Same folder locaLLM.js writes its chat logs to
+const LOGS_DIR = join(homedir(), '.cooldesk', 'logs');
+
+export const FILTER_ACTIONS = ['rewrite', 'hold', 'drop'];
+
+const DEFAULT_SETTINGS = {
+    enabled: true,
+    stripRolePrefixes: true,
+    blocklist: [],
+    blocklistAction: 'rewrite',     // rewrite masks the word, hold/drop act on the whole reply
+    patterns: [],                   // [{ pattern, flags, action, replacement }]
+    maxLength: 300,                 // 0 disables the clamp
+    llmJudge: false,                // Costs a second inference per reply and disables live token streaming
+    llmJudgeAction: 'hold'
+};
+
+let filterSettings = { ...DEFAULT_SETTINGS };
+
+try {
+    if (existsSync(filterSettingsFile)) {
+        filterSettings = { ...filterSettings, ...JSON.parse(readFileSync(filterSettingsFile, 'utf8')) };
+    }
+} catch (e) {
+    console.error('Failed to load output filter settings from file', e);
+}
+
+// Replies held for review, newest last
+const heldReplies = [];
+const MAX_HELD = 20;
+
+/**
+ * Get the filter settings
+ * @returns {Object} Settings
+ */
+export function getFilterSettings() {
+    return filterSettings;
+}
+
+/**
+ * Update the filter settings (validates patterns before saving)
+ * @param {Object} updates - Partial settings
+ * @returns {Object} Saved settings
+ */
+export function updateFilterSettings(updates = {}) {
+    const next = { ...filterSettings, ...updates };
+
+    next.blocklist = (Array.isArray(next.blocklist) ? next.blocklist : String(next.blocklist).split(','))
+        .map(w => String(w).trim())
+        .filter(Boolean);
+    next.patterns = (next.patterns || []).filter(p => p && p.pattern);
+    for (const p of next.patterns) {
+        try {
+            new RegExp(p.pattern, p.flags || 'i');
+        } catch (e) {
+            throw new Error(`Invalid pattern "${p.pattern}": ${e.message}`);
+        }
+        if (!FILTER_ACTIONS.includes(p.action)) p.action = 'drop';
+    }
+    next.maxLength = Math.max(0, parseInt(next.maxLength, 10) || 0);
+    if (!FILTER_ACTIONS.includes(next.blocklistAction)) next.blocklistAction = DEFAULT_SETTINGS.blocklistAction;
+    if (!FILTER_ACTIONS.includes(next.llmJudgeAction)) next.llmJudgeAction = DEFAULT_SETTINGS.llmJudgeAction;
+
+    filterSettings = next;
+    try {
+        writeFileSync(filterSettingsFile, JSON.stringify(filterSettings, null, 2));
+    } catch (e) {
+        console.error('Failed to save output filter settings to file', e);
+    }
+    return filterSettings;
+}
+
+// ==========================================
+// STAGES
+// ==========================================
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function stripRolePrefixes(text, context) {
+    if (!filterSettings.stripRolePrefixes) return null;
+
+    const names = ['AI', 'Assistant', 'Co-?host', 'Bot'];
+    if (context.personaName) names.push(escapeRegExp(context.personaName));
+    const prefix = new RegExp(`^\\s*(?:🤖\\s*)?(?:${names.join('|')})\\s*:\\s*`, 'i');
+
+    const stripped = text.replace(prefix, '');
+    return stripped !== text ? { action: 'rewrite', text: stripped, reason: 'Stripped role prefix' } : null;
+}
+
+function applyBlocklist(text) {
+    if (filterSettings.blocklist.length === 0) return null;
+
+    const wordPattern = new RegExp(`\\b(${filterSettings.blocklist.map(escapeRegExp).join('|')})\\b`, 'gi');
+    const hits = text.match(wordPattern);
+    if (!hits) return null;
+
+    const reason = `Blocklisted: ${[...new Set(hits.map(h => h.toLowerCase()))].join(', ')}`;
+    if (filterSettings.blocklistAction === 'rewrite') {
+        return { action: 'rewrite', text: text.replace(wordPattern, w => '*'.repeat(w.length)), reason };
+    }
+    return { action: filterSettings.blocklistAction, text, reason };
+}
+
+function applyPatterns(text) {
+    let current = text;
+    let result = null;
+
+    for (const p of filterSettings.patterns) {
+        const regex = new RegExp(p.pattern, p.flags || 'i');
+        if (!regex.test(current)) continue;
+
+        const reason = `Matched pattern /${p.pattern}/`;
+        if (p.action !== 'rewrite') {
+            return { action: p.action, text: current, reason };
+        }
+        const global = new RegExp(p.pattern, (p.flags || 'i').includes('g') ? p.flags : `${p.flags || 'i'}g`);
+        current = current.replace(global, p.replacement ?? '');
+        result = { action: 'rewrite', text: current, reason };
+    }
+
+    return result;
+}
+
+function clampLength(text) {
+    const max = filterSettings.maxLength;
+    if (!max || text.length <= max) return null;
+
+    // Prefer cutting at the last sentence end, then the last word
+    const slice = text.slice(0, max);
+    const sentenceEnd = Math.max(slice.lastIndexOf('. '), slice.lastIndexOf('! '), slice.lastIndexOf('? '));
+    const clamped = sentenceEnd > max * 0.5
+        ? slice.slice(0, sentenceEnd + 1)
+        : `${slice.slice(0, slice.lastIndexOf(' ') > 0 ? slice.lastIndexOf(' ') : max).trimEnd()}…`;
+
+    return { action: 'rewrite', text: clamped, reason: `Clamped from ${text.length} to ${clamped.length} chars` };
+}
+
+// The judge runs without the co-host's persona or conversation, so it answers as a moderator only
+const JUDGE_SYSTEM_PROMPT = 'You are a strict content moderator. You answer with a verdict only, never with a reply of your own.';
+
+async function judgeWithLLM(text, context) {
+    if (!filterSettings.llmJudge || !context.judge) return null;
+
+    const verdict = await context.judge(`You moderate a live stream chat overlay. Decide if the following reply is safe to show to a public audience (no slurs, harassment, sexual content, personal data or dangerous instructions).
+
+Reply: "${text}"
+
+Answer with SAFE or UNSAFE, then a few words of reason.
+
+Verdict:`, { systemPrompt: JUDGE_SYSTEM_PROMPT });
+
+    // Only a clear SAFE passes; UNSAFE, refusals and anything off-format get the configured action
+    if (/^\s*SAFE\b/i.test(verdict)) return null;
+    return { action: filterSettings.llmJudgeAction, text, reason: `LLM judge: ${verdict.trim().slice(0, 120) || 'no verdict'}` };
+}
+
+// Stages that run on every streamed token (must be synchronous and cheap)
+const SYNC_STAGES = [
+    ['role-prefix', stripRolePrefixes],
+    ['blocklist', applyBlocklist],
+    ['patterns', applyPatterns]
+];
+
+function runSyncStages(text, context, decisions) {
+    let current = text;
+    for (const [stage, run] of SYNC_STAGES) {
+        const result = run(current, context);
+        if (!result) continue;
+        decisions.push({ stage, action: result.action, reason: result.reason });
+        if (result.action === 'hold' || result.action === 'drop') {
+            return { action: result.action, text: current };
+        }
+        current = result.text;
+    }
+    return { action: current === text ? 'pass' : 'rewrite', text: current };
+}
+
+// ==========================================
+// PIPELINE
+// ==========================================
+
+/**
+ * Run a finished reply through every stage
+ * @param {string} text - Raw AI reply
+ * @param {Object} context - { id, personaName, judge: async (prompt, { systemPrompt }) => verdict }
+ * @returns {Promise<{action: string, text: string, decisions: Object[]}>}
+ */
+export async function filterReply(text, context = {}) {
+    const decisions = [];
+
+    if (!filterSettings.enabled) {
+        return { action: 'pass', text, decisions };
+    }
+
+    let result = runSyncStages(text, context, decisions);
+
+    if (result.action !== 'hold' && result.action !== 'drop') {
+        for (const [stage, run] of [['max-length', clampLength], ['llm-judge', judgeWithLLM]]) {
+            let stageResult = null;
+            try {
+                stageResult = await run(result.text, context);
+            } catch (e) {
+                // A judge that can't answer must not wave a reply through
+                stageResult = { action: 'hold', text: result.text, reason: `${stage} failed: ${e.message}` };
+            }
+            if (!stageResult) continue;
+            decisions.push({ stage, action: stageResult.action, reason: stageResult.reason });
+            if (stageResult.action === 'hold' || stageResult.action === 'drop') {
+                result = { action: stageResult.action, text: result.text };
+                break;
+            }
+            result = { action: 'rewrite', text: stageResult.text };
+        }
+    }
+
+    if (result.text.trim() === '' && result.action !== 'hold') {
+        decisions.push({ stage: 'empty', action: 'drop', reason: 'Nothing left after filtering' });
+        result = { action: 'drop', text: '' };
+    }
+
+    logDecision(context.id, text, result, decisions);
+    return { ...result, decisions };
+}
+
+/**
+ * Whether replies may be streamed token by token
+ * The LLM judge needs the whole reply before anything airs.
+ */
+export function canStreamTokens() {
+    return !(filterSettings.enabled && filterSettings.llmJudge);
+}
+
+/**
+ * Gate for live token streaming
+ * Only releases text up to the last word boundary once the cheap stages have checked it,
+ * and closes for good as soon as a stage wants to hold or drop the reply.
+ * @param {Object} context - { personaName }
+ * @returns {{push: Function}} push(token) returns the text that is safe to send now
+ */
+export function createStreamGate(context = {}) {
+    let raw = '';
+    let emitted = '';
+    let open = true;
+
+    return {
+        push(token) {
+            raw += token;
+            if (!open) return '';
+            if (!filterSettings.enabled) return token;
+
+            // Hold back the word still being typed; it may turn out to be blocklisted
+            const boundary = raw.search(/\s\S*$/);
+            if (boundary <= 0) return '';
+
+            const { action, text } = runSyncStages(raw.slice(0, boundary), context, []);
+            const withinLength = !filterSettings.maxLength || text.length <= filterSettings.maxLength;
+
+            if (action === 'hold' || action === 'drop' || !withinLength || !text.startsWith(emitted)) {
+                // The final pass decides what the bubble ends up saying
+                open = false;
+                return '';
+            }
+
+            const delta = text.slice(emitted.length);
+            emitted = text;
+            return delta;
+        }
+    };
+}
+
+// ==========================================
+// HELD REPLIES
+// ==========================================
+
+/**
+ * Keep a held reply until the streamer approves or rejects it
+ * @param {Object} reply - { id, text, reasons }
+ */
+export function holdReply(reply) {
+    heldReplies.push({ ...reply, id: reply.id || randomUUID(), heldAt: new Date().toISOString() });
+    if (heldReplies.length > MAX_HELD) {
+        heldReplies.shift();
+    }
+}
+
+/**
+ * Get replies waiting for review
+ * @returns {Object[]} Held replies
+ */
+export function getHeldReplies() {
+    return heldReplies;
+}
+
+/**
+ * Take a held reply out of the review list
+ * @param {string} id - Reply id
+ * @returns {Object} The reply
+ */
+export function releaseHeldReply(id) {
+    const index = heldReplies.findIndex(r => r.id === id);
+    if (index === -1) {
+        throw new Error(`No held reply with id ${id}`);
+    }
+    return heldReplies.splice(index, 1)[0];
+}
+
+function logDecision(id, original, result, decisions) {
+    // Clean passes only go to the file, the console is for replies something happened to
+    if (decisions.length > 0) {
+        console.log(`[OutputFilter] ${id || '-'} ${result.action.toUpperCase()}: ${decisions.map(d => `${d.stage}=${d.action} (${d.reason})`).join('; ')}`);
+    }
+
+    try {
+        if (!existsSync(LOGS_DIR)) {
+            mkdirSync(LOGS_DIR, { recursive: true });
+        }
+        const date = new Date().toISOString().split('T')[0];
+        const entry = { timestamp: new Date().toISOString(), id, action: result.action, decisions, original, final: result.text };
+        appendFileSync(join(LOGS_DIR, `filter_${date}.log`), `${JSON.stringify(entry)}\n`, 'utf8');
+    } catch (e) {
+        console.error('[OutputFilter] Failed to write filter log:', e);
+    }
+}
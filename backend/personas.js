@@ -0,0 +1,193 @@
+/**
+ * Persona Store for the AI Co-host
+ * Named personas persisted next to layout-settings.json
+ *
+ * Each persona carries:
+ * - A system prompt (installed on the chat session without reloading the model)
+ * - A reaction template per payload type (text, image, link, url, chat, focus)
+ * - Sampling settings (temperature, max tokens)
+ */
+
+import { randomUUID } from 'crypto';
+import fs from 'fs';
+import { DEFAULT_SYSTEM_PROMPT } from './systemPrompt.js';
+
+const personasFile = './personas.json';
+
+// Payload types the extension can send, plus viewer chat and focus timer phases; `default` covers anything else
+export const REACTION_TYPES = ['text', 'image', 'link', 'url', 'chat', 'focus', 'health', 'default'];
+
+const DEFAULT_PERSONA = {
+    id: 'tech-cohost',
+    name: 'Tech Co-host',
+    systemPrompt: DEFAULT_SYSTEM_PROMPT,
+    reactionTemplates: {
+        text: `The streamer just highlighted this content on screen:
+"{{payload}}"
+
+Give a witty, short (1-2 sentences) reaction to it for the live audience. Do NOT introduce yourself as an AI, just give direct, snappy commentary.`,
+        image: `The streamer just shared this image on stream: {{payload}}
+
+Give a short (1 sentence) playful reaction for the live audience.`,
+        link: `The streamer just shared this link on stream: {{payload}}
+
+Give a short (1 sentence) reaction guessing what it is about.`,
+        url: `The streamer is currently looking at this page: {{payload}}
+
+Give a short (1 sentence) comment about it for the live audience.`,
+        chat: `A viewer named {{username}} wrote in chat:
+"{{payload}}"
+
+Answer them directly in one short, friendly sentence. Address them by name.`,
+        focus: `The stream's focus timer just changed: {{payload}}
+
+Say one short, upbeat line about it to the streamer and chat.`,
+        health: `OBS just started dropping frames: {{payload}}
+
+Tell the streamer in one short, calm sentence so they can check their setup.`,
+        default: `The streamer just shared this on stream:
+"{{payload}}"
+
+Give a witty, short (1-2 sentences) reaction to it for the live audience.`
+    },
+    temperature: 0.8,
+    maxTokens: 100
+};
+
+let store = {
+    activeId: DEFAULT_PERSONA.id,
+    personas: [DEFAULT_PERSONA]
+};
+
+try {
+    if (fs.existsSync(personasFile)) {
+        const saved = JSON.parse(fs.readFileSync(personasFile, 'utf8'));
+        if (Array.isArray(saved.personas) && saved.personas.length > 0) {
+            store = { activeId: saved.activeId, personas: saved.personas.map(normalizePersona) };
+        }
+    }
+} catch (e) {
+    console.error('Failed to load personas from file', e);
+}
+
+function savePersonas() {
+    try {
+        fs.writeFileSync(personasFile, JSON.stringify(store, null, 2));
+    } catch (e) {
+        console.error('Failed to save personas to file', e);
+    }
+}
+
+/**
+ * Fill in missing fields so older or hand-edited entries stay usable
+ */
+function normalizePersona(persona) {
+    const temperature = Number(persona.temperature);
+    const maxTokens = parseInt(persona.maxTokens, 10);
+
+    return {
+        id: persona.id || randomUUID(),
+        name: String(persona.name || 'Untitled Persona').trim(),
+        systemPrompt: String(persona.systemPrompt || DEFAULT_PERSONA.systemPrompt),
+        reactionTemplates: { ...DEFAULT_PERSONA.reactionTemplates, ...(persona.reactionTemplates || {}) },
+        temperature: Number.isFinite(temperature) ? Math.min(Math.max(temperature, 0), 2) : DEFAULT_PERSONA.temperature,
+        maxTokens: Number.isFinite(maxTokens) && maxTokens > 0 ? maxTokens : DEFAULT_PERSONA.maxTokens
+    };
+}
+
+/**
+ * Get all personas and the active persona id
+ * @returns {{activeId: string, personas: Object[]}}
+ */
+export function getPersonas() {
+    return { activeId: getActivePersona().id, personas: store.personas };
+}
+
+/**
+ * Get the persona the co-host currently speaks as
+ * @returns {Object} Active persona (falls back to the first one)
+ */
+export function getActivePersona() {
+    return store.personas.find(p => p.id === store.activeId) || store.personas[0];
+}
+
+/**
+ * Create a persona, or update it when the id already exists
+ * @param {Object} data - Persona fields
+ * @returns {Object} Saved persona
+ */
+export function savePersona(data) {
+    if (!data || !String(data.name || '').trim()) {
+        throw new Error('Persona name is required');
+    }
+
+    const index = store.personas.findIndex(p => p.id === data.id);
+    const persona = normalizePersona(index >= 0 ? { ...store.personas[index], ...data } : { ...data, id: randomUUID() });
+
+    if (index >= 0) {
+        store.personas[index] = persona;
+    } else {
+        store.personas.push(persona);
+    }
+
+    savePersonas();
+    return persona;
+}
+
+/**
+ * Delete a persona (the last remaining one cannot be deleted)
+ * @param {string} id - Persona id
+ */
+export function deletePersona(id) {
+    if (!store.personas.some(p => p.id === id)) {
+        throw new Error(`Unknown persona: ${id}`);
+    }
+    if (store.personas.length === 1) {
+        throw new Error('Cannot delete the last persona');
+    }
+
+    store.personas = store.personas.filter(p => p.id !== id);
+    if (store.activeId === id) {
+        store.activeId = store.personas[0].id;
+    }
+    savePersonas();
+}
+
+/**
+ * Switch the active persona
+ * @param {string} id - Persona id
+ * @returns {Object} Newly active persona
+ */
+export function setActivePersona(id) {
+    const persona = store.personas.find(p => p.id === id);
+    if (!persona) {
+        throw new Error(`Unknown persona: ${id}`);
+    }
+
+    store.activeId = id;
+    savePersonas();
+    return persona;
+}
+
+/**
+ * Replace {{placeholders}} in a template; unknown placeholders become empty
+ * @param {string} template - Template text
+ * @param {Object} vars - Placeholder values
+ * @returns {string} Rendered text
+ */
+export function renderTemplate(template, vars = {}) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => vars[key] ?? '');
+}
+
+/**
+ * Build the reaction prompt for an incoming payload
+ * @param {Object} persona - Persona to speak as
+ * @param {string} type - Payload type (text, image, link, url, chat, focus)
+ * @param {string} payload - What the streamer shared
+ * @param {Object} vars - Extra placeholders, e.g. { username } for chat
+ * @returns {string} Prompt for the LLM
+ */
+export function buildReactionPrompt(persona, type, payload, vars = {}) {
+    const template = persona.reactionTemplates[type] || persona.reactionTemplates.default;
+    return renderTemplate(template, { ...vars, type, payload });
+}
@@ -3,12 +3,27 @@ import http from 'http';
 import { dirname, join } from 'path';
 import { fileURLToPath } from 'url';
 import { WebSocketServer } from 'ws';
+import { checkValue, createMessage, HIGHLIGHT_TYPES, parseMessage } from '../shared/protocol.js';
+import { authorizeRequest, authorizeSocket, hasScope, initAuth, isOriginAllowed, SCOPES } from './auth.js';
+import { deleteCommand, getCommands, parseInvocation, resolveCommand, roleFromBadges, saveCommand, updateCommandSettings } from './commandRouter.js';
+import { controlFocusTimer, FOCUS_ACTIONS, getFocusSettings, getFocusState, initFocusTimer, updateFocusSettings } from './focusTimer.js';
+import { cancelJob, enqueueJob, getQueueStatus, PRIORITY, setQueueTimeout } from './inferenceQueue.js';
+import { getChatSettings, getChatStatus, startChat, updateChatSettings } from './ircChat.js';
+import { getKnowledgeSources, getKnowledgeStatus, indexKnowledgeBase, searchKnowledge, updateKnowledgeSettings, withKnowledgeContext } from './knowledgeBase.js';
+import { deletePreset, getLayoutPresets, getPreset, presetForScene, PRESET_FIELDS, savePreset, updateSceneMap } from './layoutPresets.js';
+import { addExtractedFacts, deleteMemory, findRelevantMemories, getMemories, recordExchange, saveMemory, updateMemorySettings, withMemoryContext } from './memoryStore.js';
+import { getObsSettings, getPublicObsSettings, updateObsSettings } from './obsSettings.js';
+import { canStreamTokens, createStreamGate, filterReply, getFilterSettings, getHeldReplies, holdReply, releaseHeldReply, updateFilterSettings } from './outputFilter.js';
+import { buildReactionPrompt, deletePersona, getActivePersona, getPersonas, savePersona, setActivePersona } from './personas.js';
+import { getReplayStatus, getSessionEvents, listSessions, logEvent, openSessionLog, startReplay, stopReplay } from './sessionLog.js';
+import { getSocialSettings, seedSocialLinks, updateSocialSettings } from './socialSettings.js';
+import { addTask, deleteTask, formatReportMarkdown, getTasks, getTimeReport, reorderTasks, SESSION_ID, updateTask } from './taskStore.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const { PORTS } = await import(`file://${join(__dirname, '..', 'ports.config.js').replace(/\\/g, '/')}`);
 
-let chat, loadModel, getStatus, getAvailableModels, downloadModel, unloadModel, onProgress;
+let chatStream, chatWithoutHistory, parseCommand, summarize, chunkText, getEmbeddings, cosineSimilarity, loadModel, getStatus, getAvailableModels, addModel, removeModel, downloadModel, unloadModel, onProgress, setSystemPrompt;
 // Import your existing Local LLM script natively from the local file!
 const llmPath = './locaLLM.js';
 
@@ -16,20 +31,30 @@ async function setupLLM() {
     try {
         console.log('Loading local LLM module...');
         const localLLM = await import(llmPath);
-        chat = localLLM.chat;
+        chatStream = localLLM.chatStream;
+        chatWithoutHistory = localLLM.chatWithoutHistory;
+        parseCommand = localLLM.parseCommand;
+        summarize = localLLM.summarize;
+        chunkText = localLLM.chunkText;
+        getEmbeddings = localLLM.getEmbeddings;
+        cosineSimilarity = localLLM.cosineSimilarity;
         loadModel = localLLM.loadModel;
         getStatus = localLLM.getStatus;
         getAvailableModels = localLLM.getAvailableModels;
+        addModel = localLLM.addModel;
+        removeModel = localLLM.removeModel;
         downloadModel = localLLM.downloadModel;
         unloadModel = localLLM.unloadModel;
         onProgress = localLLM.onProgress;
+        setSystemPrompt = localLLM.setSystemPrompt;
+        setQueueTimeout(localLLM.CONFIG.INFERENCE_TIMEOUT);
+
+        // Speak as the active persona from the very first reply
+        setSystemPrompt(getActivePersona().systemPrompt);
 
         if (onProgress) {
             onProgress((type, progress, modelName, error) => {
-                broadcast(JSON.stringify({
-                    type: 'llm-progress',
-                    payload: { type, progress, modelName, error }
-                }));
+                broadcast('llm-progress', { type, progress, modelName, error });
             });
         }
 
@@ -64,9 +89,7 @@ setupLLM();
 
 const layoutSettingsFile = './layout-settings.json';
 let layoutSettings = {
-    showFaceCam: true,
-    showHandCam: true,
-    showRoomCam: true
+    ...PRESET_FIELDS
 };
 
 try {
@@ -77,6 +100,9 @@ try {
     console.error('Failed to load layout settings from file', e);
 }
 
+// Older layouts kept three fixed handles; they become the first social links
+seedSocialLinks({ github: layoutSettings.socialGithub, twitter: layoutSettings.socialTwitter, linkedin: layoutSettings.socialLinkedin });
+
 function saveLayoutSettings() {
     try {
         fs.writeFileSync(layoutSettingsFile, JSON.stringify(layoutSettings, null, 2));
@@ -85,27 +111,114 @@ function saveLayoutSettings() {
     }
 }
 
-const server = http.createServer((req, res) => {
-    // Basic CORS
-    res.setHeader('Access-Control-Allow-Origin', '*');
+// OBS program scene as last reported by an overlay
+let currentScene = null;
+
+/**
+ * Merge a preset into the layout and push it to every overlay
+ * @param {Object} preset - From layoutPresets.js
+ */
+function applyLayoutPreset(preset) {
+    layoutSettings = { ...layoutSettings, ...preset.layout };
+    saveLayoutSettings();
+    broadcast('layout-update', layoutSettings);
+    console.log(`[Layout] Applied preset "${preset.name}"`);
+}
+
+// Every overlay reports the same switch; only the first one changes anything
+function followScene(sceneName) {
+    if (sceneName === currentScene) return;
+    currentScene = sceneName;
+    const preset = presetForScene(sceneName);
+    if (preset) applyLayoutPreset(preset);
+}
+
+const CAMERA_LAYOUT_KEYS = { face: 'showFaceCam', hand: 'showHandCam', room: 'showRoomCam' };
+
+// Same as scenes: every overlay reports the change made in OBS, the first one updates the layout
+function followCamera({ slot, visible }) {
+    const key = CAMERA_LAYOUT_KEYS[slot];
+    if (layoutSettings[key] === visible) return;
+    layoutSettings = { ...layoutSettings, [key]: visible };
+    saveLayoutSettings();
+    broadcast('layout-update', layoutSettings);
+}
+
+// Field types per POST route, checked before the handler runs; every body must be a JSON object
+const bodySchema = (properties = {}, required = []) => ({ type: 'object', properties, required });
+const string = { type: 'string' };
+const requiredId = bodySchema({ id: { type: 'string', minLength: 1 } }, ['id']);
+const POST_SCHEMAS = {
+    '/llm/download': bodySchema({ modelName: string }, ['modelName']),
+    '/llm/models/add': bodySchema({ url: string, localPath: string, filename: string, sha256: string, name: string }),
+    '/llm/models/remove': bodySchema({ modelName: string }, ['modelName']),
+    '/llm/load': bodySchema({ modelName: string }),
+    '/personas': bodySchema({ id: string, name: string }),
+    '/personas/delete': requiredId,
+    '/personas/activate': requiredId,
+    '/filter/held/approve': requiredId,
+    '/filter/held/reject': requiredId,
+    '/commands': bodySchema({ name: string }),
+    '/commands/delete': bodySchema({ name: string }, ['name']),
+    '/memory': bodySchema({ id: string, text: string }, ['text']),
+    '/memory/delete': requiredId,
+    '/tasks': bodySchema({ text: string, status: string }, ['text']),
+    '/tasks/update': bodySchema({ id: string, text: string, status: string }, ['id']),
+    '/tasks/delete': requiredId,
+    '/tasks/reorder': bodySchema({ ids: { type: 'array' } }, ['ids']),
+    '/socials': bodySchema({ links: { type: 'array' }, ticker: { type: 'object' } }),
+    '/sessions/replay': bodySchema({ id: string, speed: { type: 'number' } }, ['id']),
+    '/layout/presets': bodySchema({ id: string, name: string, layout: { type: 'object' } }),
+    '/layout/presets/delete': requiredId,
+    '/layout/presets/apply': requiredId,
+    '/layout/scenes': bodySchema({ sceneMap: { type: 'object' } }, ['sceneMap'])
+};
+
+// Pairing tokens and allowed origins (generated on first run)
+const authConfig = initAuth(PORTS.FRONTEND);
+
+// Every broadcast of this run goes to ~/.cooldesk/sessions/ (see relay)
+openSessionLog(SESSION_ID);
+
+const server = http.createServer(async (req, res) => {
+    // CORS only for allow-listed origins, so other pages can't even read the responses
+    const origin = req.headers.origin;
+    if (origin && isOriginAllowed(origin)) {
+        res.setHeader('Access-Control-Allow-Origin', origin);
+        res.setHeader('Vary', 'Origin');
+    }
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
     if (req.method === 'OPTIONS') {
-        res.writeHead(204);
+        res.writeHead(isOriginAllowed(origin) ? 204 : 403);
         res.end();
         return;
     }
 
+    const auth = authorizeRequest(req);
+    if (!auth.ok) {
+        res.writeHead(auth.status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, error: auth.error }));
+        return;
+    }
+
     if (req.method === 'GET' && req.url === '/health') {
         res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({ status: 'ok' }));
         return;
     }
 
+    // Lets the overlay file a pasted token under the right scope
+    if (req.method === 'GET' && req.url === '/auth/scope') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ scope: auth.scope }));
+        return;
+    }
+
     if (req.method === 'GET' && req.url === '/llm/status') {
         res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify(getStatus ? getStatus() : { initialized: false }));
+        res.end(JSON.stringify({ ...(getStatus ? getStatus() : { initialized: false }), queue: getQueueStatus() }));
         return;
     }
 
@@ -115,6 +228,126 @@ const server = http.createServer((req, res) => {
         return;
     }
 
+    if (req.method === 'GET' && req.url === '/personas') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(getPersonas()));
+        return;
+    }
+
+    if (req.method === 'GET' && req.url === '/filter') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ settings: getFilterSettings(), held: getHeldReplies() }));
+        return;
+    }
+
+    if (req.method === 'GET' && req.url === '/chat') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ settings: getChatSettings(), status: getChatStatus() }));
+        return;
+    }
+
+    if (req.method === 'GET' && req.url === '/commands') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(getCommands()));
+        return;
+    }
+
+    if (req.method === 'GET' && req.url === '/knowledge/status') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(getKnowledgeStatus()));
+        return;
+    }
+
+    if (req.method === 'GET' && req.url === '/knowledge/sources') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(getKnowledgeSources()));
+        return;
+    }
+
+    if (req.method === 'GET' && req.url === '/memory') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(getMemories()));
+        return;
+    }
+
+    if (req.method === 'GET' && req.url === '/socials') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(getSocialSettings()));
+        return;
+    }
+
+    // The overlay connects to OBS itself, so it needs the password
+    if (req.method === 'GET' && req.url === '/obs') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(getObsSettings()));
+        return;
+    }
+
+    if (req.method === 'GET' && req.url === '/focus') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ settings: getFocusSettings(), state: getFocusState() }));
+        return;
+    }
+
+    if (req.method === 'GET' && req.url === '/tasks') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(getTasks()));
+        return;
+    }
+
+    // ?date=YYYY-MM-DD or ?session=<id>|current, plus &format=md for Markdown
+    if (req.method === 'GET' && req.url.split('?')[0] === '/tasks/report') {
+        const params = new URL(req.url, 'http://localhost').searchParams;
+        try {
+            const report = getTimeReport({ date: params.get('date'), session: params.get('session') });
+            if (params.get('format') === 'md') {
+                res.writeHead(200, { 'Content-Type': 'text/markdown; charset=utf-8' });
+                res.end(formatReportMarkdown(report));
+            } else {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(report));
+            }
+        } catch (e) {
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ ok: false, error: e.message }));
+        }
+        return;
+    }
+
+    if (req.method === 'GET' && req.url === '/sessions') {
+        try {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ current: SESSION_ID, replay: getReplayStatus(), sessions: listSessions() }));
+        } catch (e) {
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ ok: false, error: e.message }));
+        }
+        return;
+    }
+
+    // ?id=<session>|current, optional &type=ai-done,highlight and &limit=N
+    if (req.method === 'GET' && req.url.split('?')[0] === '/sessions/events') {
+        const params = new URL(req.url, 'http://localhost').searchParams;
+        try {
+            const id = params.get('id') === 'current' ? SESSION_ID : params.get('id');
+            const types = params.get('type') ? params.get('type').split(',') : undefined;
+            const limit = parseInt(params.get('limit'), 10) || undefined;
+            const events = await getSessionEvents(id, { types, limit });
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ id, events }));
+        } catch (e) {
+            res.writeHead(e.status || 500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ ok: false, error: e.message }));
+        }
+        return;
+    }
+
+    if (req.method === 'GET' && req.url === '/layout/presets') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ...getLayoutPresets(), currentScene }));
+        return;
+    }
+
     if (req.method === 'GET' && req.url === '/layout') {
         res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify(layoutSettings));
@@ -126,7 +359,18 @@ const server = http.createServer((req, res) => {
         req.on('data', chunk => { body += chunk.toString(); });
         req.on('end', async () => {
             let data = {};
-            try { data = JSON.parse(body); } catch (e) { }
+            try { data = JSON.parse(body || '{}'); } catch (e) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ ok: false, error: 'Body must be JSON' }));
+                return;
+            }
+
+            const schemaError = checkValue(POST_SCHEMAS[req.url] || { type: 'object' }, data, 'body');
+            if (schemaError) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ ok: false, error: schemaError }));
+                return;
+            }
 
             if (req.url === '/llm/download') {
                 try {
@@ -142,6 +386,32 @@ const server = http.createServer((req, res) => {
                 return;
             }
 
+            if (req.url === '/llm/models/add') {
+                try {
+                    if (!addModel) throw new Error('Local LLM is not available');
+                    const model = addModel(data);
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: true, model }));
+                } catch (e) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: false, error: e.message }));
+                }
+                return;
+            }
+
+            if (req.url === '/llm/models/remove') {
+                try {
+                    if (!removeModel) throw new Error('Local LLM is not available');
+                    removeModel(data.modelName);
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: true }));
+                } catch (e) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: false, error: e.message }));
+                }
+                return;
+            }
+
             if (req.url === '/llm/load') {
                 try {
                     if (loadModel) await loadModel(data.modelName);
@@ -166,12 +436,383 @@ const server = http.createServer((req, res) => {
                 return;
             }
 
+            if (req.url === '/personas') {
+                try {
+                    const persona = savePersona(data);
+                    // Edits to the active persona apply to the live session right away
+                    if (setSystemPrompt && persona.id === getActivePersona().id) {
+                        setSystemPrompt(persona.systemPrompt);
+                    }
+                    broadcast('persona-update', getPersonas());
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: true, persona }));
+                } catch (e) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: false, error: e.message }));
+                }
+                return;
+            }
+
+            if (req.url === '/personas/delete') {
+                try {
+                    const previousActiveId = getActivePersona().id;
+                    deletePersona(data.id);
+                    if (setSystemPrompt && previousActiveId !== getActivePersona().id) {
+                        setSystemPrompt(getActivePersona().systemPrompt);
+                    }
+                    broadcast('persona-update', getPersonas());
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: true }));
+                } catch (e) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: false, error: e.message }));
+                }
+                return;
+            }
+
+            if (req.url === '/personas/activate') {
+                try {
+                    // Swap the system prompt on the loaded model - no reload needed
+                    const persona = setActivePersona(data.id);
+                    if (setSystemPrompt) setSystemPrompt(persona.systemPrompt);
+                    broadcast('persona-update', getPersonas());
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: true }));
+                } catch (e) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: false, error: e.message }));
+                }
+                return;
+            }
+
+            if (req.url === '/filter') {
+                try {
+                    const settings = updateFilterSettings(data);
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: true, settings }));
+                } catch (e) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: false, error: e.message }));
+                }
+                return;
+            }
+
+            if (req.url === '/filter/held/approve' || req.url === '/filter/held/reject') {
+                try {
+                    const reply = releaseHeldReply(data.id);
+                    if (req.url === '/filter/held/approve') {
+                        console.log(`[OutputFilter] ${reply.id} APPROVED by streamer`);
+                        broadcast('ai-done', { replyId: reply.id, text: reply.text });
+                    } else {
+                        console.log(`[OutputFilter] ${reply.id} REJECTED by streamer`);
+                    }
+                    broadcast('filter-update', { held: getHeldReplies() });
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: true }));
+                } catch (e) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: false, error: e.message }));
+                }
+                return;
+            }
+
+            if (req.url === '/chat/settings') {
+                try {
+                    const settings = updateChatSettings(data);
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: true, settings, status: getChatStatus() }));
+                } catch (e) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: false, error: e.message }));
+                }
+                return;
+            }
+
+            if (req.url === '/commands') {
+                try {
+                    const command = saveCommand(data);
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: true, command }));
+                } catch (e) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: false, error: e.message }));
+                }
+                return;
+            }
+
+            if (req.url === '/commands/delete') {
+                try {
+                    deleteCommand(data.name);
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: true }));
+                } catch (e) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: false, error: e.message }));
+                }
+                return;
+            }
+
+            if (req.url === '/commands/settings') {
+                try {
+                    const commands = updateCommandSettings(data);
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: true, ...commands }));
+                } catch (e) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: false, error: e.message }));
+                }
+                return;
+            }
+
+            if (req.url === '/knowledge/settings') {
+                try {
+                    const settings = updateKnowledgeSettings(data);
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: true, settings }));
+                } catch (e) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: false, error: e.message }));
+                }
+                return;
+            }
+
+            if (req.url === '/knowledge/index' || req.url === '/knowledge/rebuild') {
+                try {
+                    startKnowledgeIndexing(req.url === '/knowledge/rebuild');
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: true, status: getKnowledgeStatus() }));
+                } catch (e) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: false, error: e.message }));
+                }
+                return;
+            }
+
+            if (req.url === '/memory') {
+                try {
+                    const memory = saveMemory({ id: data.id, text: data.text });
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: true, memory: { id: memory.id, text: memory.text } }));
+                } catch (e) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: false, error: e.message }));
+                }
+                return;
+            }
+
+            if (req.url === '/memory/delete') {
+                try {
+                    deleteMemory(data.id);
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: true }));
+                } catch (e) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: false, error: e.message }));
+                }
+                return;
+            }
+
+            if (req.url === '/memory/settings') {
+                try {
+                    const settings = updateMemorySettings(data);
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: true, settings }));
+                } catch (e) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: false, error: e.message }));
+                }
+                return;
+            }
+
+            if (req.url === '/tasks') {
+                try {
+                    const task = addTask(data);
+                    broadcast('task-update', { tasks: getTasks() });
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: true, task }));
+                } catch (e) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: false, error: e.message }));
+                }
+                return;
+            }
+
+            if (req.url === '/tasks/update') {
+                try {
+                    const task = updateTask(data.id, { text: data.text, status: data.status });
+                    broadcast('task-update', { tasks: getTasks() });
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: true, task }));
+                } catch (e) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: false, error: e.message }));
+                }
+                return;
+            }
+
+            if (req.url === '/tasks/delete') {
+                try {
+                    deleteTask(data.id);
+                    broadcast('task-update', { tasks: getTasks() });
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: true }));
+                } catch (e) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: false, error: e.message }));
+                }
+                return;
+            }
+
+            if (req.url === '/tasks/reorder') {
+                try {
+                    const tasks = reorderTasks(data.ids);
+                    broadcast('task-update', { tasks });
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: true, tasks }));
+                } catch (e) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: false, error: e.message }));
+                }
+                return;
+            }
+
+            if (req.url === '/socials') {
+                try {
+                    const socials = updateSocialSettings(data);
+                    broadcast('social-update', socials);
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: true, settings: socials }));
+                } catch (e) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: false, error: e.message }));
+                }
+                return;
+            }
+
+            if (req.url === '/obs/settings') {
+                try {
+                    updateObsSettings(data);
+                    // Overlays reconnect and fetch the password from GET /obs
+                    broadcast('obs-update', getPublicObsSettings());
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: true, settings: getPublicObsSettings() }));
+                } catch (e) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: false, error: e.message }));
+                }
+                return;
+            }
+
+            if (req.url === '/focus/settings') {
+                try {
+                    const settings = updateFocusSettings(data);
+                    // The long break interval is part of the state overlays render
+                    broadcast('focus-update', getFocusState());
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: true, settings }));
+                } catch (e) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: false, error: e.message }));
+                }
+                return;
+            }
+
+            if (FOCUS_ACTIONS.some(action => req.url === `/focus/${action}`)) {
+                try {
+                    // Broadcast happens in the timer's onChange handler
+                    const state = controlFocusTimer(req.url.slice('/focus/'.length));
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: true, state }));
+                } catch (e) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: false, error: e.message }));
+                }
+                return;
+            }
+
+            if (req.url === '/sessions/replay') {
+                try {
+                    const replay = await startReplay(data.id, {
+                        speed: data.speed,
+                        send: relayUnlogged,
+                        onStatus: (status) => broadcast('replay-status', status),
+                        onEnd: broadcastLiveState
+                    });
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: true, replay }));
+                } catch (e) {
+                    res.writeHead(e.status || 500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: false, error: e.message }));
+                }
+                return;
+            }
+
+            if (req.url === '/sessions/replay/stop') {
+                if (stopReplay()) {
+                    broadcast('replay-status', getReplayStatus());
+                }
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ ok: true, replay: getReplayStatus() }));
+                return;
+            }
+
+            if (req.url === '/layout/presets') {
+                try {
+                    const preset = savePreset(data);
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: true, preset }));
+                } catch (e) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: false, error: e.message }));
+                }
+                return;
+            }
+
+            if (req.url === '/layout/presets/delete') {
+                try {
+                    deletePreset(data.id);
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: true }));
+                } catch (e) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: false, error: e.message }));
+                }
+                return;
+            }
+
+            if (req.url === '/layout/presets/apply') {
+                try {
+                    applyLayoutPreset(getPreset(data.id));
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: true, layout: layoutSettings }));
+                } catch (e) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: false, error: e.message }));
+                }
+                return;
+            }
+
+            if (req.url === '/layout/scenes') {
+                try {
+                    const sceneMap = updateSceneMap(data.sceneMap);
+                    // A newly mapped scene that's already live takes effect right away
+                    const preset = currentScene && presetForScene(currentScene);
+                    if (preset) applyLayoutPreset(preset);
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: true, sceneMap }));
+                } catch (e) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ ok: false, error: e.message }));
+                }
+                return;
+            }
+
             if (req.url === '/layout') {
                 try {
                     layoutSettings = { ...layoutSettings, ...data };
                     saveLayoutSettings();
                     // Let all connected OBS overlays see the change instantly
-                    broadcast(JSON.stringify({ type: 'layout-update', payload: layoutSettings }));
+                    broadcast('layout-update', layoutSettings);
                     res.writeHead(200, { 'Content-Type': 'application/json' });
                     res.end(JSON.stringify({ ok: true }));
                 } catch (e) {
@@ -193,49 +834,86 @@ const server = http.createServer((req, res) => {
     }
 });
 
-const wss = new WebSocketServer({ server });
+// Refuse the handshake outright for foreign origins and missing tokens
+const wss = new WebSocketServer({ server, verifyClient: ({ req }) => Boolean(authorizeSocket(req)) });
 
-wss.on('connection', function connection(ws) {
-    console.log('New client connected to OBS Overlay!');
+// Frames a read-only client may send; everything else needs control
+const FRAME_SCOPES = {
+    system: SCOPES.READ,
+    // OBS browser sources hold read tokens and are the ones watching OBS
+    'obs-health': SCOPES.READ,
+    // Can only pick one of the presets the streamer mapped
+    'obs-scene': SCOPES.READ,
+    // Can only mirror what OBS already shows
+    'obs-camera': SCOPES.READ
+};
+
+// Last thing the streamer shared, for commands like !explain
+let lastHighlight = null;
+
+wss.on('connection', function connection(ws, req) {
+    const scope = authorizeSocket(req);
+    console.log(`New ${scope} client connected to OBS Overlay!`);
 
     ws.on('message', async function message(data) {
-        console.log('Received payload from extension:', data);
+        const { message: frame, error } = parseMessage(data, 'client');
+        if (error) {
+            console.warn(`Rejected WS frame (${error.code}): ${error.message}`);
+            send(ws, 'error', error);
+            return;
+        }
+        console.log(`Received ${frame.type} from ${frame.source}`);
 
-        let parsedData;
-        try {
-            parsedData = JSON.parse(data);
-        } catch (e) {
-            parsedData = { type: 'text', payload: data.toString() };
+        if (!hasScope(scope, FRAME_SCOPES[frame.type] || SCOPES.CONTROL)) {
+            send(ws, 'error', { code: 'forbidden', message: `${frame.type} frames need a control token`, ref: frame.id });
+            return;
         }
 
-        // 1. Instantly forward what you highlighted so it shows up on stream
-        broadcast(JSON.stringify(parsedData));
+        // Control frames are for the backend only, never for the stream
+        if (frame.type === 'cancel-job') {
+            const cancelled = cancelJob(frame.payload.id);
+            console.log(`Cancel request for job ${frame.payload.id}: ${cancelled ? 'cancelled' : 'not found'}`);
+            return;
+        }
 
-        // 2. If the LLM is loaded, feed it the context and get a reaction!
-        if (chat && parsedData.type !== 'system' && parsedData.payload) {
-            try {
-                // Construct a prompt giving the AI context that it is on a stream
-                const prompt = `You are an AI co-host for a tech stream. The streamer just highlighted this content on screen:
-"${parsedData.payload}"
+        if (frame.type === 'system') {
+            send(ws, 'status', { llm: getStatus ? getStatus() : { initialized: false }, queue: getQueueStatus() });
+            return;
+        }
+
+        if (frame.type === 'command') {
+            runStreamerCommand(ws, frame);
+            return;
+        }
 
-Give a witty, short (1-2 sentences) reaction to it for the live audience. Do NOT introduce yourself as an AI, just give direct, snappy commentary.`;
+        if (frame.type === 'obs-health') {
+            remarkOnDroppedFrames(frame.payload);
+            return;
+        }
 
-                // Note: Tell your overlay the AI is typing...
-                broadcast(JSON.stringify({ type: 'typing', payload: true }));
+        if (frame.type === 'obs-scene') {
+            followScene(frame.payload.sceneName);
+            return;
+        }
 
-                const aiResponse = await chat(prompt, { maxTokens: 100, temperature: 0.8 });
+        if (frame.type === 'obs-camera') {
+            followCamera(frame.payload);
+            return;
+        }
 
-                // Send the AI's actual reaction back to your Overlay widget!
-                broadcast(JSON.stringify({ type: 'typing', payload: false }));
-                broadcast(JSON.stringify({ type: 'text', role: 'ai', payload: aiResponse.trim() }));
+        if (!HIGHLIGHT_TYPES.includes(frame.type)) return;
 
-            } catch (err) {
-                console.error('LLM Chat Error:', err);
-                broadcast(JSON.stringify({ type: 'typing', payload: false }));
-                broadcast(JSON.stringify({ type: 'text', role: 'ai', payload: `Core overloaded.` }));
-            }
-        } else if (!chat) {
-            broadcast(JSON.stringify({ type: 'text', role: 'ai', payload: `Still booting up...` }));
+        // 1. Instantly forward what you highlighted so it shows up on stream
+        relay(frame);
+        lastHighlight = { type: frame.type, payload: frame.payload };
+
+        // 2. If the LLM is loaded, queue a reaction; it streams token by token once it reaches the front
+        if (chatStream) {
+            reactTo(frame.type, frame.payload, {
+                priority: PRIORITY[String(frame.priority || '').toUpperCase()] ?? PRIORITY.HIGHLIGHT
+            });
+        } else {
+            broadcast('text', 'Still booting up...', { source: 'ai' });
         }
     });
 
@@ -244,14 +922,423 @@ Give a witty, short (1-2 sentences) reaction to it for the live audience. Do NOT
     });
 });
 
-function broadcast(msgStr) {
+// Viewer chat goes straight to the overlay; commands and selected messages get a co-host answer
+startChat({
+    isCommand: (text) => Boolean(parseInvocation(text)),
+    onMessage: (message, reactionText) => {
+        broadcast('chat', message, { source: 'chat' });
+        const invocation = parseInvocation(message.text);
+        if (invocation && chatStream) {
+            runCommand({ ...invocation, userId: message.username, username: message.displayName, role: roleFromBadges(message.badges) });
+        } else if (reactionText && chatStream) {
+            // Chat is the least important thing the co-host reacts to, stale answers get dropped
+            reactTo('chat', reactionText, { priority: PRIORITY.IDLE, vars: { username: message.displayName } });
+        }
+    },
+    onStatus: (status) => broadcast('chat-status', status)
+});
+
+// Every overlay renders the one backend timer; breaks stop the active task's clock
+let taskPausedForBreak = null;
+
+initFocusTimer({
+    onChange: (state) => {
+        broadcast('focus-update', state);
+        resumeTaskAfterBreak(state);
+    },
+    onPhaseChange: (from, to) => {
+        if (to === 'short-break' || to === 'long-break') pauseTaskForBreak();
+        if (to === 'idle') taskPausedForBreak = null;
+        if (getFocusSettings().remarks && chatStream && to !== 'idle') {
+            remarkOnPhase(from, to);
+        }
+    }
+});
+
+// A break starts: stop the active task's clock
+function pauseTaskForBreak() {
+    const active = getTasks().find(t => t.status === 'active');
+    if (!getFocusSettings().pauseTaskOnBreak || !active) return;
+    taskPausedForBreak = active.id;
+    updateTask(active.id, { status: 'pending' });
+    broadcast('task-update', { tasks: getTasks() });
+}
+
+// Focus is running again: pick the paused task back up
+function resumeTaskAfterBreak(state) {
+    if (state.phase !== 'focus' || !state.running || !taskPausedForBreak) return;
+    const task = getTasks().find(t => t.id === taskPausedForBreak);
+    taskPausedForBreak = null;
+    // Don't override a task the streamer started by hand during the break
+    if (task?.status === 'pending' && !getTasks().some(t => t.status === 'active')) {
+        updateTask(task.id, { status: 'active' });
+        broadcast('task-update', { tasks: getTasks() });
+    }
+}
+
+/**
+ * Queue a one-line co-host remark about a focus timer phase change
+ * @param {string} from - Previous phase
+ * @param {string} to - New phase
+ */
+function remarkOnPhase(from, to) {
+    const settings = getFocusSettings();
+    const task = getTasks().find(t => t.status === 'active' || t.id === taskPausedForBreak)?.text || '';
+    const descriptions = {
+        focus: from === 'idle' ? `A ${settings.focusMinutes} minute focus session starts` : 'The break is over, focus time again',
+        'short-break': `Focus session done, ${settings.shortBreakMinutes} minute break`,
+        'long-break': `${settings.longBreakEvery} focus sessions done, ${settings.longBreakMinutes} minute long break`
+    };
+    const persona = getActivePersona();
+    const payload = task ? `${descriptions[to]}. Current task: "${task}"` : descriptions[to];
+    // Nothing to remember or look up, so this skips reactTo()
+    queueReaction(buildReactionPrompt(persona, 'focus', payload, { phase: to, task }), {
+        persona,
+        priority: PRIORITY.IDLE,
+        label: `focus:${to}`
+    });
+}
+
+// Every overlay reports the same spike; one mention every few minutes is plenty
+const HEALTH_REMARK_COOLDOWN = 5 * 60 * 1000;
+let lastHealthRemarkAt = 0;
+
+/**
+ * Have the co-host point out a dropped frames spike an overlay reported
+ * @param {Object} report - { kind: 'render' | 'encode' | 'network', droppedPct }
+ */
+function remarkOnDroppedFrames({ kind, droppedPct }) {
+    console.warn(`[OBS] ${droppedPct}% frames dropped (${kind})`);
+    if (!getObsSettings().health.mention || !chatStream) return;
+    if (Date.now() - lastHealthRemarkAt < HEALTH_REMARK_COOLDOWN) return;
+    lastHealthRemarkAt = Date.now();
+
+    const causes = {
+        render: 'rendering is lagging, the GPU may be overloaded',
+        encode: 'the encoder is overloaded',
+        network: 'the upload can\'t keep up'
+    };
+    const persona = getActivePersona();
+    queueReaction(buildReactionPrompt(persona, 'health', `${droppedPct}% of frames dropped, ${causes[kind]}`, { kind, droppedPct }), {
+        persona,
+        priority: PRIORITY.HIGHLIGHT,
+        label: `health:${kind}`
+    });
+}
+
+/**
+ * Queue a co-host reaction to something shared on stream, with memories and project context
+ * @param {string} type - Payload type (text, image, link, url, chat)
+ * @param {string} payload - What to react to
+ * @param {Object} options - { priority, vars } vars fill extra template placeholders
+ * @returns {string} Job id
+ */
+function reactTo(type, payload, { priority = PRIORITY.HIGHLIGHT, vars = {} } = {}) {
+    const persona = getActivePersona();
+    const prompt = buildReactionPrompt(persona, type, payload, vars);
+    return queueReaction(() => withContext(prompt, payload), {
+        persona,
+        priority,
+        label: `reaction:${type}`,
+        onReply: (reply) => rememberExchange(payload, reply)
+    });
+}
+
+/**
+ * Add memories and knowledge base excerpts relevant to a query to a prompt
+ * @param {string} prompt - Prompt for the LLM
+ * @param {string} query - What the lookups search for
+ * @returns {Promise<string>} Prompt with context
+ */
+async function withContext(prompt, query) {
+    // One after the other: each lookup creates its own embedding context
+    const knowledge = await searchProject(query);
+    const memories = await recallMemories(query);
+    return withMemoryContext(memories, withKnowledgeContext(knowledge, prompt));
+}
+
+// Who gets answered first when commands pile up
+const COMMAND_PRIORITIES = {
+    viewer: PRIORITY.IDLE,
+    mod: PRIORITY.HIGHLIGHT,
+    streamer: PRIORITY.COMMAND
+};
+
+/**
+ * Check a command against roles and cooldowns and queue the co-host's answer
+ * @param {Object} invocation - { name, args, userId, username, role }
+ * @returns {Object} resolveCommand() result, plus `jobId` when an answer was queued
+ */
+function runCommand(invocation) {
+    const result = resolveCommand(invocation, { highlight: lastHighlight?.payload || '' });
+    if (!result.ok) {
+        console.log(`[Commands] ${invocation.name} from ${invocation.username} refused (${result.code}): ${result.error}`);
+        return result;
+    }
+
+    const query = invocation.args || lastHighlight?.payload || invocation.name;
+    const jobId = queueReaction(() => withContext(result.prompt, query), {
+        priority: COMMAND_PRIORITIES[invocation.role],
+        label: `command:${invocation.name}`,
+        onReply: (reply) => rememberExchange(`${invocation.username}: ${getCommands().prefix}${invocation.name} ${invocation.args}`.trim(), reply)
+    });
+    console.log(`[Commands] ${invocation.name} from ${invocation.username} (${invocation.role}) queued as ${jobId}`);
+    return { ...result, jobId };
+}
+
+/**
+ * Run a command frame from the extension; plain words are mapped onto a command by the model first
+ * @param {WebSocket} ws - Sender, told when the command is refused
+ * @param {Object} frame - Validated `command` frame
+ */
+function runStreamerCommand(ws, frame) {
+    const refuse = (code, message) => send(ws, 'error', { code, message, ref: frame.id });
+    if (!chatStream) {
+        refuse('not-ready', 'Still booting up...');
+        return;
+    }
+
+    const run = ({ name, args }) => {
+        const result = runCommand({ name, args, userId: 'streamer', username: 'the streamer', role: 'streamer' });
+        if (!result.ok) refuse(`command-${result.code}`, result.error);
+    };
+
+    const invocation = parseInvocation(frame.payload.text);
+    if (invocation) {
+        run(invocation);
+        return;
+    }
+
+    const actions = getCommands().commands.filter(c => c.enabled).map(c => ({ name: c.name, description: c.description }));
+    enqueueJob((signal) => parseCommand(frame.payload.text, actions, { signal }), { priority: PRIORITY.COMMAND, label: 'command-parse' })
+        .promise
+        .then(({ action, args }) => {
+            if (action === 'unknown') {
+                refuse('command-unknown', `No command matches "${frame.payload.text}"`);
+                return;
+            }
+            run({ name: action, args });
+        })
+        .catch(err => refuse('command-failed', err.message));
+}
+
+/**
+ * Look up long-term memories relevant to a payload (empty if the model can't embed)
+ * @param {string} query - What the co-host is about to react to
+ * @returns {Promise<string[]>} Memory texts
+ */
+async function recallMemories(query) {
+    try {
+        return await findRelevantMemories(query, getEmbeddings, cosineSimilarity, getStatus().currentModel);
+    } catch (err) {
+        console.warn('Memory recall failed:', err.message);
+        return [];
+    }
+}
+
+/**
+ * Look up knowledge base chunks relevant to a payload (empty if the model can't embed)
+ * @param {string} query - What the co-host is about to react to
+ * @returns {Promise<Object[]>} Matching chunks
+ */
+async function searchProject(query) {
+    try {
+        return await searchKnowledge(query, getEmbeddings, cosineSimilarity, getStatus().currentModel);
+    } catch (err) {
+        console.warn('Knowledge search failed:', err.message);
+        return [];
+    }
+}
+
+/**
+ * Index the knowledge base folder in the background
+ * Embeds in small idle jobs so reactions can still jump ahead while a big folder indexes.
+ * @param {boolean} rebuild - Drop the existing index first
+ */
+function startKnowledgeIndexing(rebuild) {
+    const modelName = getStatus ? getStatus().currentModel : null;
+    const status = getKnowledgeStatus();
+    if (!modelName) {
+        throw new Error('Load a model first, it is used to embed the files');
+    }
+    if (!status.settings.folder) {
+        throw new Error('No knowledge base folder configured');
+    }
+    if (status.indexing.running) {
+        throw new Error('Indexing is already running');
+    }
+
+    const embedInIdleJobs = async (texts) => {
+        const vectors = [];
+        for (let i = 0; i < texts.length; i += 16) {
+            const batch = texts.slice(i, i + 16);
+            const { promise } = enqueueJob(() => getEmbeddings(batch), { priority: PRIORITY.IDLE, label: 'knowledge-index', maxWaitMs: 10 * 60 * 1000 });
+            vectors.push(...await promise);
+        }
+        return vectors;
+    };
+
+    indexKnowledgeBase({
+        chunkText,
+        embedTexts: embedInIdleJobs,
+        modelName,
+        rebuild,
+        onProgress: (status) => broadcast('knowledge-update', status)
+    }).catch(err => console.warn('Knowledge indexing stopped:', err.message));
+}
+
+/**
+ * Record an exchange and, every few exchanges, queue an idle job that turns them into memories
+ * @param {string} input - What the streamer shared
+ * @param {string} reply - What the co-host said on stream
+ */
+function rememberExchange(input, reply) {
+    const transcript = recordExchange(input, reply);
+    if (!transcript) return;
+
+    enqueueJob(async () => {
+        const summary = await summarize(transcript, 3);
+        return addExtractedFacts(summary, getEmbeddings, cosineSimilarity, getStatus().currentModel);
+    }, { priority: PRIORITY.IDLE, label: 'memory-extract', maxWaitMs: 10 * 60 * 1000 })
+        .promise.catch(err => console.warn('Memory extraction skipped:', err.message));
+}
+
+/**
+ * Queue a co-host reply and stream it to every overlay once the model is free
+ * @param {string|Function} prompt - Prompt for the LLM, or an async function that builds it once the job runs
+ * @param {Object} options - { persona, priority, label, onReply(text) called once the reply aired }
+ * @returns {string} Job id, which is also the message id of the streamed reply
+ */
+function queueReaction(prompt, { persona = getActivePersona(), priority = PRIORITY.HIGHLIGHT, label = 'reaction', onReply } = {}) {
+    const { id, promise } = enqueueJob(async (signal) => {
+        const filterContext = {
+            id,
+            personaName: persona.name,
+            judge: (judgePrompt, options) => chatWithoutHistory(judgePrompt, { ...options, maxTokens: 32, temperature: 0, signal })
+        };
+        // Without a gate (LLM judge on) nothing airs until the whole reply has been judged
+        const gate = canStreamTokens() ? createStreamGate(filterContext) : null;
+        let streamed = '';
+
+        try {
+            // Note: Tell your overlay the AI is typing until the first token lands
+            broadcast('typing', true);
+
+            // Built inside the job so lookups that need the model (memories) don't race other prompts
+            const fullPrompt = typeof prompt === 'function' ? await prompt() : prompt;
+
+            const aiResponse = await chatStream(fullPrompt, (token) => {
+                const safeText = gate ? gate.push(token) : '';
+                if (!safeText) return;
+                if (!streamed) broadcast('typing', false);
+                streamed += safeText;
+                // Every frame of this reply carries the job id so overlays can grow one bubble
+                broadcast('ai-token', { replyId: id, text: safeText });
+            }, { maxTokens: persona.maxTokens, temperature: persona.temperature, signal });
+
+            const published = await publishReply(id, aiResponse, filterContext, Boolean(streamed));
+            if (published && onReply) onReply(published);
+            return aiResponse;
+
+        } catch (err) {
+            broadcast('typing', false);
+            if (streamed.trim()) {
+                // Keep whatever already passed the filter on stream, just mark it finished
+                broadcast('ai-done', { replyId: id, text: streamed.trim() });
+            } else if (err?.code !== 'cancelled') {
+                broadcast('text', 'Core overloaded.', { source: 'ai' });
+            }
+            throw err;
+        }
+    }, { priority, label });
+
+    promise.catch(err => {
+        if (['cancelled', 'stale', 'dropped'].includes(err?.code)) {
+            console.log(`Job ${id} (${label}) ${err.code}: ${err.message}`);
+        } else {
+            console.error('LLM Chat Error:', err);
+        }
+    });
+
+    return id;
+}
+
+/**
+ * Run a finished reply through the output filter, then finish, retract or hold its bubble
+ * @param {string} id - Message id
+ * @param {string} text - Raw AI reply
+ * @param {Object} filterContext - Context for filterReply()
+ * @param {boolean} wasStreamed - Whether part of the reply is already on stream
+ * @returns {Promise<string|null>} The text that aired, or null if it was held or dropped
+ */
+async function publishReply(id, text, filterContext, wasStreamed) {
+    const result = await filterReply(text.trim(), filterContext);
+    broadcast('typing', false);
+
+    if (result.action === 'drop' || result.action === 'hold') {
+        if (wasStreamed) {
+            broadcast('ai-retract', { replyId: id });
+        }
+        if (result.action === 'hold') {
+            holdReply({ id, text: result.text, reasons: result.decisions.map(d => d.reason) });
+            broadcast('filter-update', { held: getHeldReplies() });
+        }
+        return null;
+    }
+
+    // Final frame carries the filtered reply so late joiners and dropped frames still converge
+    broadcast('ai-done', { replyId: id, text: result.text });
+    return result.text;
+}
+
+/**
+ * Send every overlay the current state again, e.g. after a replay showed old tasks and layouts
+ */
+function broadcastLiveState() {
+    broadcast('layout-update', layoutSettings);
+    broadcast('task-update', { tasks: getTasks() });
+    broadcast('focus-update', getFocusState());
+    broadcast('social-update', getSocialSettings());
+    broadcast('persona-update', getPersonas());
+    broadcast('filter-update', { held: getHeldReplies() });
+}
+
+/**
+ * Send a protocol message to every connected client
+ * @param {string} type - Message type (see shared/protocol.js)
+ * @param {*} payload - Payload matching the type's schema
+ * @param {Object} options - { source } defaults to 'backend'; co-host lines use 'ai'
+ */
+function broadcast(type, payload, { source = 'backend' } = {}) {
+    relay(createMessage(type, payload, { source }));
+}
+
+// Forward an envelope as-is (validated client frames keep their id and source) and log it for the session
+function relay(message) {
+    logEvent(message);
+    relayUnlogged(message);
+}
+
+// Replayed frames go out without landing in the current session's log
+function relayUnlogged(message) {
+    const frame = JSON.stringify(message);
     wss.clients.forEach(function each(client) {
         if (client.readyState === 1 /* WebSocket.OPEN */) {
-            client.send(msgStr);
+            client.send(frame);
         }
     });
 }
 
+function send(ws, type, payload) {
+    if (ws.readyState === 1 /* WebSocket.OPEN */) {
+        ws.send(JSON.stringify(createMessage(type, payload, { source: 'backend' })));
+    }
+}
+
 server.listen(PORTS.BACKEND, () => {
     console.log(`WebSocket & HTTP Server running on http://localhost:${PORTS.BACKEND}`);
+    console.log('🔑 Pairing (tokens are stored in ~/.cooldesk/auth.json):');
+    console.log(`   Settings / control:      http://localhost:${PORTS.FRONTEND}/?token=${authConfig.tokens.control}`);
+    console.log(`   OBS source / read-only:  http://localhost:${PORTS.FRONTEND}/?token=${authConfig.tokens.read}`);
+    console.log(`   Extension token:         ${authConfig.tokens.control}`);
 });
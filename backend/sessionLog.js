@@ -0,0 +1,243 @@
+/**
+ * Stream Session Log
+ * Every frame the backend broadcasts, appended to one JSONL file per session
+ *
+ * - A session is one run of the backend (same id as the task time report)
+ * - Files live in ~/.cooldesk/sessions/, the oldest are pruned past MAX_SESSIONS
+ * - A past session can be replayed: its frames are broadcast again at real or accelerated speed,
+ *   so overlays can be rehearsed or debugged without a model, OBS or chat
+ */
+
+import { createReadStream, createWriteStream, existsSync, mkdirSync, readdirSync, statSync, unlinkSync } from 'fs';
+import { homedir } from 'os';
+import { join } from 'path';
+import { createInterface } from 'readline';
+import { createMessage, MESSAGE_SCHEMAS } from '../shared/protocol.js';
+
+const SESSIONS_DIR = join(homedir(), '.cooldesk', 'sessions');
+
+const SESSION_CONFIG = {
+    MAX_SESSIONS: 50,
+    MAX_SPEED: 50,
+    MAX_EVENTS: 5000        // Per events request
+};
+
+// Frames about the log itself, and streamed reply pieces: ai-done carries the whole reply
+const UNLOGGED_TYPES = new Set(['replay-status', 'ai-token']);
+
+let sessionId = null;
+let stream = null;
+
+const replay = { running: false, session: null, speed: 1, sent: 0, total: 0, startedAt: null };
+let replayTimer = null;
+let onReplayEnd = null;
+// Identifies the replay that owns replayTimer, so a stopped one can't schedule another frame
+let activeRun = null;
+
+// Session ids are ISO timestamps; colons aren't allowed in Windows file names
+function fileFor(id) {
+    return join(SESSIONS_DIR, `${id.replace(/:/g, '-')}.jsonl`);
+}
+
+function idFromFile(name) {
+    return name.replace(/\.jsonl$/, '').replace(/T(\d{2})-(\d{2})-(\d{2})/, 'T$1:$2:$3');
+}
+
+function isValidId(id) {
+    return typeof id === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/.test(id);
+}
+
+/**
+ * Start logging this session; prunes the oldest session files
+ * @param {string} id - Session id (ISO timestamp of the backend start)
+ */
+export function openSessionLog(id) {
+    try {
+        if (!existsSync(SESSIONS_DIR)) {
+            mkdirSync(SESSIONS_DIR, { recursive: true });
+        }
+
+        const old = readdirSync(SESSIONS_DIR).filter(f => f.endsWith('.jsonl')).sort();
+        for (const name of old.slice(0, Math.max(0, old.length - SESSION_CONFIG.MAX_SESSIONS + 1))) {
+            unlinkSync(join(SESSIONS_DIR, name));
+        }
+
+        sessionId = id;
+        stream = createWriteStream(fileFor(id), { flags: 'a' });
+        stream.on('error', (e) => {
+            console.error('[Sessions] Logging stopped:', e.message);
+            stream = null;
+        });
+    } catch (e) {
+        console.error('[Sessions] Failed to open session log:', e);
+    }
+}
+
+/**
+ * Append a broadcast frame to the current session
+ * @param {Object} message - Envelope as sent to clients
+ */
+export function logEvent(message) {
+    if (!stream || UNLOGGED_TYPES.has(message.type)) return;
+    stream.write(`${JSON.stringify(message)}\n`);
+}
+
+/**
+ * List logged sessions, newest first
+ * @returns {Object[]} [{ id, startedAt, lastEventAt, bytes, current }]
+ */
+export function listSessions() {
+    if (!existsSync(SESSIONS_DIR)) return [];
+    return readdirSync(SESSIONS_DIR)
+        .filter(f => f.endsWith('.jsonl'))
+        .map(name => {
+            const id = idFromFile(name);
+            const { size, mtime } = statSync(join(SESSIONS_DIR, name));
+            return { id, startedAt: id, lastEventAt: mtime.toISOString(), bytes: size, current: id === sessionId };
+        })
+        .sort((a, b) => b.id.localeCompare(a.id));
+}
+
+/**
+ * Stream the frames of a session file
+ * Rejects with `status` 400 for a malformed id and 404 for a session that doesn't exist.
+ * @param {string} id - Session id
+ */
+async function* readFrames(id) {
+    if (!isValidId(id)) {
+        throw Object.assign(new Error(`Invalid session id: ${id}`), { status: 400 });
+    }
+    if (!existsSync(fileFor(id))) {
+        throw Object.assign(new Error(`Unknown session: ${id}`), { status: 404 });
+    }
+
+    const lines = createInterface({ input: createReadStream(fileFor(id), 'utf8'), crlfDelay: Infinity });
+    try {
+        for await (const line of lines) {
+            if (!line.trim()) continue;
+            try {
+                yield JSON.parse(line);
+            } catch {
+                // A crash mid-write leaves a partial last line
+                continue;
+            }
+        }
+    } finally {
+        lines.close();
+    }
+}
+
+/**
+ * Read the frames of a session
+ * @param {string} id - Session id
+ * @param {Object} options - { types: string[] to keep, limit }
+ * @returns {Promise<Object[]>} Frames in the order they were sent
+ */
+export async function getSessionEvents(id, { types, limit = SESSION_CONFIG.MAX_EVENTS } = {}) {
+    const events = [];
+    for await (const event of readFrames(id)) {
+        if (types && !types.includes(event.type)) continue;
+        events.push(event);
+        if (events.length >= limit) break;
+    }
+    return events;
+}
+
+// ==========================================
+// REPLAY
+// ==========================================
+
+/**
+ * Get the replay state
+ * @returns {Object} { running, session, speed, sent, total, startedAt }
+ */
+export function getReplayStatus() {
+    return { ...replay };
+}
+
+/**
+ * Broadcast a past session again, keeping the gaps between frames (divided by `speed`)
+ * Replayed frames get fresh ids and are not logged into the current session. Replayed state frames
+ * (task-update, layout-update, ...) overwrite what overlays show, so `onEnd` runs once the replay
+ * finishes or is stopped to put the live state back.
+ * @param {string} id - Session id
+ * @param {Object} options - { speed, send(message), onStatus(status), onEnd() }
+ * @returns {Promise<Object>} Replay status once it started
+ */
+export async function startReplay(id, { speed = 1, send, onStatus = () => {}, onEnd = () => {} }) {
+    if (id === sessionId) {
+        throw Object.assign(new Error('The current session is still being recorded; replay a past one'), { status: 400 });
+    }
+    const rate = Math.min(Math.max(Number(speed) || 1, 0.1), SESSION_CONFIG.MAX_SPEED);
+
+    // Count first, then stream the frames again while sending, so a long session is never held in memory
+    let total = 0;
+    for await (const _frame of replayFrames(id)) total++;
+    if (total === 0) {
+        throw Object.assign(new Error('This session has nothing to replay'), { status: 400 });
+    }
+
+    stopReplay();
+    const frames = replayFrames(id);
+    const run = {};
+    activeRun = run;
+    onReplayEnd = onEnd;
+    Object.assign(replay, { running: true, session: id, speed: rate, sent: 0, total, startedAt: new Date().toISOString() });
+    console.log(`[Sessions] Replaying ${total} frames from ${id} at ${rate}x`);
+    onStatus(getReplayStatus());
+
+    const sendNext = async (event) => {
+        send(createMessage(event.type, event.payload, { source: event.source }));
+        replay.sent++;
+
+        const next = await frames.next().catch(() => ({ done: true }));
+        // Stopped, or replaced by another replay, while the next line was read
+        if (activeRun !== run) {
+            frames.return();
+            return;
+        }
+        if (next.done) {
+            replay.running = false;
+            replayTimer = null;
+            activeRun = null;
+            console.log(`[Sessions] Replay of ${id} finished`);
+            endReplay();
+            onStatus(getReplayStatus());
+            return;
+        }
+        // Progress every 50 frames is plenty for a progress bar
+        if (replay.sent % 50 === 0) onStatus(getReplayStatus());
+        replayTimer = setTimeout(sendNext, Math.max(0, next.value.ts - event.ts) / rate, next.value);
+    };
+    const first = await frames.next();
+    if (activeRun === run) replayTimer = setTimeout(sendNext, 0, first.value);
+
+    return getReplayStatus();
+}
+
+// Frames of a session that the server sent, i.e. the ones worth broadcasting again
+async function* replayFrames(id) {
+    for await (const event of readFrames(id)) {
+        if (MESSAGE_SCHEMAS[event.type]?.from.includes('server')) yield event;
+    }
+}
+
+/**
+ * Stop a running replay
+ * @returns {boolean} Whether a replay was running
+ */
+export function stopReplay() {
+    clearTimeout(replayTimer);
+    replayTimer = null;
+    activeRun = null;
+    const wasRunning = replay.running;
+    replay.running = false;
+    if (wasRunning) endReplay();
+    return wasRunning;
+}
+
+function endReplay() {
+    const onEnd = onReplayEnd;
+    onReplayEnd = null;
+    onEnd?.();
+}
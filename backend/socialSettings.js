@@ -0,0 +1,107 @@
+/**
+ * Social Settings
+ * The links the SocialFeed widget lists and the messages its ticker rotates through
+ *
+ * - links: ordered [{ id, platform, handle, icon, color }]. `icon` is a key the overlay maps to an
+ *   icon (src/socials.js) and `color` a #rrggbb hex; either left empty falls back to the platform's.
+ * - ticker: { secondsPerMessage, messages: [text] }. Messages are shown as written, except for
+ *   {task}, {uptime}, {lastChatter} and {scene}, which the overlay fills in live.
+ */
+
+import { randomUUID } from 'crypto';
+import fs from 'fs';
+
+const socialSettingsFile = './social-settings.json';
+
+const MAX_LINKS = 12;
+const MAX_MESSAGES = 20;
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+const DEFAULT_TICKER = {
+    secondsPerMessage: 10,
+    messages: ['/// SYSTEM STATUS: ONLINE /// STREAMING: ACTIVE ///']
+};
+
+let settings = { links: [], ticker: DEFAULT_TICKER };
+let loadedFromFile = false;
+
+try {
+    if (fs.existsSync(socialSettingsFile)) {
+        const saved = JSON.parse(fs.readFileSync(socialSettingsFile, 'utf8'));
+        settings = { links: normalizeLinks(saved.links), ticker: normalizeTicker(saved.ticker) };
+        loadedFromFile = true;
+    }
+} catch (e) {
+    console.error('Failed to load social settings from file', e);
+}
+
+function saveSocialSettings() {
+    try {
+        fs.writeFileSync(socialSettingsFile, JSON.stringify(settings, null, 2));
+    } catch (e) {
+        console.error('Failed to save social settings to file', e);
+    }
+}
+
+function normalizeLinks(links) {
+    if (!Array.isArray(links)) return [];
+    return links.slice(0, MAX_LINKS).map(link => ({
+        id: String(link?.id || randomUUID()),
+        platform: String(link?.platform ?? '').trim().slice(0, 30) || 'website',
+        handle: String(link?.handle ?? '').trim().slice(0, 80),
+        icon: String(link?.icon ?? '').trim().slice(0, 30),
+        color: HEX_COLOR.test(link?.color) ? link.color : ''
+    })).filter(link => link.handle);
+}
+
+function normalizeTicker(ticker = {}) {
+    const seconds = Number(ticker?.secondsPerMessage);
+    return {
+        secondsPerMessage: Number.isFinite(seconds) && seconds >= 3 && seconds <= 120 ? seconds : DEFAULT_TICKER.secondsPerMessage,
+        messages: Array.isArray(ticker?.messages)
+            ? ticker.messages.map(m => String(m).trim().slice(0, 200)).filter(Boolean).slice(0, MAX_MESSAGES)
+            : DEFAULT_TICKER.messages
+    };
+}
+
+/**
+ * Get the social links and ticker
+ * @returns {Object} { links, ticker }
+ */
+export function getSocialSettings() {
+    return settings;
+}
+
+/**
+ * Replace the links and/or the ticker
+ * Links without a handle are dropped; bad colors fall back to the platform's.
+ * @param {Object} updates - { links, ticker }
+ * @returns {Object} Saved settings
+ */
+export function updateSocialSettings(updates = {}) {
+    if (updates.links !== undefined && !Array.isArray(updates.links)) {
+        throw new Error('links must be a list');
+    }
+    if (updates.links?.length > MAX_LINKS) {
+        throw new Error(`At most ${MAX_LINKS} social links`);
+    }
+
+    settings = {
+        links: updates.links ? normalizeLinks(updates.links) : settings.links,
+        ticker: updates.ticker ? normalizeTicker({ ...settings.ticker, ...updates.ticker }) : settings.ticker
+    };
+    loadedFromFile = true;
+    saveSocialSettings();
+    return settings;
+}
+
+/**
+ * Start the links list from the three handles older versions kept in layout-settings.json
+ * Only runs while nothing has been saved here yet.
+ * @param {Object} legacy - { github, twitter, linkedin }
+ */
+export function seedSocialLinks(legacy) {
+    if (loadedFromFile) return;
+    // Ids from the platform key stay the same across restarts until the list is saved
+    settings.links = normalizeLinks(Object.entries(legacy).map(([platform, handle]) => ({ id: platform, platform, handle, icon: platform })));
+}
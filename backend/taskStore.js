@@ -0,0 +1,314 @@
+/**
+ * Task List
+ * The streamer's objectives shown in the CurrentTask widget, persisted next to layout-settings.json
+ *
+ * - Order of the array is the order on stream
+ * - Status is 'active', 'pending' or 'done'; only one task is active at a time
+ * - Every change is broadcast as `task-update` by server.js so all overlays agree
+ *
+ * Time tracking: each stretch a task spends active is logged as an interval { taskId, start, end, session }.
+ * A session is one run of the backend, which is one stream for most setups.
+ */
+
+import { randomUUID } from 'crypto';
+import fs from 'fs';
+
+const tasksFile = './tasks.json';
+
+export const TASK_STATUSES = ['active', 'pending', 'done'];
+
+const TASK_CONFIG = {
+    MAX_TEXT_LENGTH: 200,
+    MAX_TASKS: 100,
+    HEARTBEAT_MS: 60 * 1000     // How often tasks.json records that the backend is still up while a task runs
+};
+
+// This run of the backend
+export const SESSION_ID = new Date().toISOString();
+
+let tasks = [];
+let intervals = [];
+
+try {
+    if (fs.existsSync(tasksFile)) {
+        const saved = JSON.parse(fs.readFileSync(tasksFile, 'utf8'));
+        tasks = Array.isArray(saved.tasks) ? saved.tasks.filter(t => t && t.text).map(normalizeTask) : [];
+        intervals = Array.isArray(saved.intervals) ? saved.intervals.filter(i => i && i.taskId && i.start) : [];
+
+        // The backend stopped while a task was running; the last heartbeat is when it was last seen up
+        // (files from before the heartbeat only have their modification time)
+        const lastSeen = saved.lastSeenAt || fs.statSync(tasksFile).mtime.toISOString();
+        for (const interval of intervals.filter(i => !i.end)) {
+            interval.end = lastSeen;
+            const task = tasks.find(t => t.id === interval.taskId);
+            if (task) task.trackedMs += Math.max(0, Date.parse(lastSeen) - Date.parse(interval.start));
+        }
+        // ...and the task picks up again in this session
+        for (const task of tasks) {
+            if (task.status === 'active') startInterval(task);
+        }
+        saveTasks();
+    }
+} catch (e) {
+    console.error('Failed to load tasks from file', e);
+}
+
+function saveTasks() {
+    try {
+        fs.writeFileSync(tasksFile, JSON.stringify({ tasks, intervals, lastSeenAt: new Date().toISOString() }, null, 2));
+    } catch (e) {
+        console.error('Failed to save tasks to file', e);
+    }
+}
+
+// While a task is running, keep lastSeenAt fresh so a crash or Ctrl+C loses at most a minute of tracked time
+setInterval(() => {
+    if (intervals.some(i => !i.end)) saveTasks();
+}, TASK_CONFIG.HEARTBEAT_MS).unref();
+
+/**
+ * Fill in missing fields so older or hand-edited entries stay usable
+ */
+function normalizeTask(task) {
+    const now = new Date().toISOString();
+    return {
+        id: task.id ? String(task.id) : randomUUID(),
+        text: String(task.text).trim().slice(0, TASK_CONFIG.MAX_TEXT_LENGTH),
+        status: TASK_STATUSES.includes(task.status) ? task.status : 'pending',
+        createdAt: task.createdAt || now,
+        updatedAt: task.updatedAt || now,
+        completedAt: task.status === 'done' ? task.completedAt || now : null,
+        trackedMs: Number(task.trackedMs) || 0,     // Closed intervals only
+        activeSince: null                           // Start of the running interval
+    };
+}
+
+function startInterval(task) {
+    const start = new Date().toISOString();
+    // The text is kept so deleted tasks still have a name in reports
+    intervals.push({ taskId: task.id, text: task.text, start, end: null, session: SESSION_ID });
+    task.activeSince = start;
+}
+
+function stopInterval(task) {
+    const open = intervals.find(i => i.taskId === task.id && !i.end);
+    if (!open) return;
+    open.end = new Date().toISOString();
+    task.trackedMs += Date.parse(open.end) - Date.parse(open.start);
+    task.activeSince = null;
+}
+
+// Keep the clock in step with the status: running while active, stopped otherwise
+function setTaskStatus(task, status) {
+    if (task.status === status) return;
+    if (task.status === 'active') stopInterval(task);
+    task.status = status;
+    task.updatedAt = new Date().toISOString();
+    task.completedAt = status === 'done' ? task.updatedAt : null;
+    if (status === 'active') startInterval(task);
+}
+
+function findTask(id) {
+    const task = tasks.find(t => t.id === id);
+    if (!task) {
+        throw new Error(`Unknown task: ${id}`);
+    }
+    return task;
+}
+
+function requireText(text) {
+    const value = String(text ?? '').trim();
+    if (!value) {
+        throw new Error('Task text is required');
+    }
+    return value.slice(0, TASK_CONFIG.MAX_TEXT_LENGTH);
+}
+
+// Starting a task pauses whatever was active before
+function pauseOthers(id) {
+    for (const task of tasks) {
+        if (task.id !== id && task.status === 'active') {
+            setTaskStatus(task, 'pending');
+        }
+    }
+}
+
+/**
+ * Get all tasks in display order
+ * @returns {Object[]} Tasks
+ */
+export function getTasks() {
+    return tasks;
+}
+
+/**
+ * Add a task at the end of the list
+ * @param {Object} data - { text, status } the first task added to an empty list starts active
+ * @returns {Object} New task
+ */
+export function addTask(data = {}) {
+    if (tasks.length >= TASK_CONFIG.MAX_TASKS) {
+        throw new Error(`At most ${TASK_CONFIG.MAX_TASKS} tasks; delete some done ones first`);
+    }
+
+    const status = TASK_STATUSES.includes(data.status) ? data.status
+        : tasks.some(t => t.status === 'active') ? 'pending' : 'active';
+    const task = normalizeTask({ text: requireText(data.text), status });
+
+    if (task.status === 'active') {
+        pauseOthers(task.id);
+        startInterval(task);
+    }
+    tasks.push(task);
+    saveTasks();
+    return task;
+}
+
+/**
+ * Edit a task's text and/or status
+ * @param {string} id - Task id
+ * @param {Object} updates - { text, status }
+ * @returns {Object} Updated task
+ */
+export function updateTask(id, updates = {}) {
+    const task = findTask(id);
+    if (updates.status !== undefined && !TASK_STATUSES.includes(updates.status)) {
+        throw new Error(`Status must be one of ${TASK_STATUSES.join(', ')}`);
+    }
+
+    if (updates.text !== undefined) {
+        task.text = requireText(updates.text);
+    }
+    if (updates.status !== undefined) {
+        if (updates.status === 'active') pauseOthers(task.id);
+        setTaskStatus(task, updates.status);
+    }
+
+    task.updatedAt = new Date().toISOString();
+    saveTasks();
+    return task;
+}
+
+/**
+ * Delete a task
+ * @param {string} id - Task id
+ */
+export function deleteTask(id) {
+    // Its time stays in the log, so reports still add up
+    stopInterval(findTask(id));
+    tasks = tasks.filter(t => t.id !== id);
+    saveTasks();
+}
+
+/**
+ * Put the tasks in a new order
+ * Ids that are missing keep their relative order at the end, so a stale client can't drop tasks.
+ * @param {string[]} ids - Task ids in the new order
+ * @returns {Object[]} Reordered tasks
+ */
+export function reorderTasks(ids) {
+    if (!Array.isArray(ids)) {
+        throw new Error('ids must be an array of task ids');
+    }
+
+    const position = new Map(ids.map((id, i) => [id, i]));
+    tasks = [...tasks].sort((a, b) => (position.get(a.id) ?? Infinity) - (position.get(b.id) ?? Infinity));
+    saveTasks();
+    return tasks;
+}
+
+// ==========================================
+// REPORTS
+// ==========================================
+
+function formatDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes === 0 && ms > 0) return '<1m';
+    const hours = Math.floor(minutes / 60);
+    return hours > 0 ? `${hours}h ${String(minutes % 60).padStart(2, '0')}m` : `${minutes}m`;
+}
+
+function localDate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Time spent per task during one day or one session
+ * Intervals that cross midnight are split between the days; the running interval counts up to now.
+ * @param {Object} options - { date: 'YYYY-MM-DD' in the backend's local time, default today } or { session: id or 'current' }
+ * @returns {Object} { range, generatedAt, totalMs, tasks: [{ taskId, text, status, totalMs, intervals }], sessions }
+ */
+export function getTimeReport({ date, session } = {}) {
+    const now = Date.now();
+    let range, from, to, matching;
+
+    if (session) {
+        const id = session === 'current' ? SESSION_ID : session;
+        matching = intervals.filter(i => i.session === id);
+        if (matching.length === 0 && id !== SESSION_ID) {
+            throw new Error(`Unknown session: ${session}`);
+        }
+        range = { type: 'session', session: id };
+        from = -Infinity;
+        to = Infinity;
+    } else {
+        const day = date || localDate(new Date(now));
+        const parts = /^(\d{4})-(\d{2})-(\d{2})$/.exec(day);
+        if (!parts) {
+            throw new Error('date must be YYYY-MM-DD');
+        }
+        const [year, month, dayOfMonth] = parts.slice(1).map(Number);
+        range = { type: 'day', date: day };
+        from = new Date(year, month - 1, dayOfMonth).getTime();
+        to = new Date(year, month - 1, dayOfMonth + 1).getTime();
+        matching = intervals;
+    }
+
+    const byTask = new Map();
+    for (const interval of matching) {
+        const start = Math.max(Date.parse(interval.start), from);
+        const end = Math.min(interval.end ? Date.parse(interval.end) : now, to);
+        if (end <= start) continue;
+
+        const entry = byTask.get(interval.taskId) || { taskId: interval.taskId, text: interval.text, totalMs: 0, intervals: 0 };
+        entry.totalMs += end - start;
+        entry.intervals++;
+        byTask.set(interval.taskId, entry);
+    }
+
+    const rows = [...byTask.values()].map(entry => {
+        const task = tasks.find(t => t.id === entry.taskId);
+        return { ...entry, text: task?.text ?? entry.text ?? '(deleted task)', status: task?.status ?? 'deleted' };
+    }).sort((a, b) => b.totalMs - a.totalMs);
+
+    return {
+        range,
+        generatedAt: new Date(now).toISOString(),
+        totalMs: rows.reduce((sum, row) => sum + row.totalMs, 0),
+        tasks: rows,
+        // Newest first, so a client can offer "previous stream"
+        sessions: [...new Set([SESSION_ID, ...intervals.map(i => i.session)])].sort().reverse()
+    };
+}
+
+/**
+ * Render a report from getTimeReport() as Markdown (for notes, VOD descriptions, standups)
+ * @param {Object} report - Report
+ * @returns {string} Markdown
+ */
+export function formatReportMarkdown(report) {
+    const title = report.range.type === 'day'
+        ? `Work Report: ${report.range.date}`
+        : `Work Report: stream started ${new Date(report.range.session).toLocaleString()}`;
+
+    const lines = [`# ${title}`, '', `**Total:** ${formatDuration(report.totalMs)}`, ''];
+    if (report.tasks.length === 0) {
+        lines.push('_No tracked time._');
+    } else {
+        lines.push('| Task | Status | Time |', '| --- | --- | ---: |');
+        for (const row of report.tasks) {
+            lines.push(`| ${row.text.replace(/\|/g, '\\|')} | ${row.status} | ${formatDuration(row.totalMs)} |`);
+        }
+    }
+    return `${lines.join('\n')}\n`;
+}
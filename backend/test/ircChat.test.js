@@ -0,0 +1,112 @@
+/**
+ * IRC chat adapter against a local IRC stand-in
+ * The stand-in registers the client, lets it join, and can ping, send chat or drop the connection.
+ * Run with `npm test` in backend/.
+ */
+
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import net from 'node:net';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import process from 'node:process';
+import { after, before, test } from 'node:test';
+
+// Chat settings are saved next to the backend's cwd, so keep them out of the repo
+const cwd = process.cwd();
+const dir = mkdtempSync(join(tmpdir(), 'cooldesk-chat-'));
+process.chdir(dir);
+const { parseLine, startChat, stopChat, updateChatSettings } = await import('../ircChat.js');
+
+const received = [];   // Lines the adapter sent to the stand-in
+const messages = [];   // Chat messages the adapter passed on
+const states = [];
+let connections = 0;
+let client = null;
+
+const server = net.createServer((socket) => {
+    connections++;
+    client = socket;
+    socket.setEncoding('utf8');
+    let buffer = '';
+    socket.on('data', (chunk) => {
+        buffer += chunk;
+        const lines = buffer.split('\r\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+            received.push(line);
+            const [command, arg] = line.split(' ');
+            if (command === 'USER') socket.write(`:tmi.local 001 ${arg} :Welcome\r\n`);
+            if (command === 'JOIN') socket.write(`:viewer!viewer@tmi.local JOIN ${arg}\r\n`);
+        }
+    });
+    socket.on('error', () => {});
+});
+
+// Poll until the adapter caught up; its timers and the stand-in both run on this event loop
+async function waitFor(check, what) {
+    for (let i = 0; i < 100; i++) {
+        if (check()) return;
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    assert.fail(`Timed out waiting for ${what}`);
+}
+
+before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    startChat({
+        onMessage: (message, reaction) => messages.push({ message, reaction }),
+        onStatus: (status) => states.push(status.state)
+    });
+    updateChatSettings({ enabled: true, host: '127.0.0.1', port: server.address().port, tls: false, channel: '#Stream', reactMode: 'prefix', reactCooldown: 0 });
+    await waitFor(() => states.includes('connected'), 'the adapter to join');
+});
+
+after(() => {
+    stopChat();
+    client?.destroy();
+    server.close();
+    process.chdir(cwd);
+    rmSync(dir, { recursive: true, force: true });
+});
+
+test('registers anonymously and joins the channel', () => {
+    assert.ok(received.includes('CAP REQ :twitch.tv/tags twitch.tv/commands'));
+    assert.match(received.find(line => line.startsWith('NICK ')), /^NICK justinfan\d+$/);
+    assert.ok(received.includes('JOIN #stream'));
+});
+
+test('answers PING with PONG', async () => {
+    client.write('PING :tmi.local\r\n');
+    await waitFor(() => received.includes('PONG :tmi.local'), 'the PONG');
+});
+
+test('parses IRCv3 tags into display name, color and badges', async () => {
+    client.write('@badges=moderator/1,subscriber/12;color=#FF4500;display-name=Some\\sViewer;emotes= :someviewer!someviewer@tmi.local PRIVMSG #stream :!ai what is this?\r\n');
+    await waitFor(() => messages.length === 1, 'the chat message');
+
+    const { message, reaction } = messages[0];
+    assert.equal(message.username, 'someviewer');
+    assert.equal(message.displayName, 'Some Viewer');
+    assert.equal(message.color, '#FF4500');
+    assert.deepEqual(message.badges, [{ name: 'moderator', version: '1' }, { name: 'subscriber', version: '12' }]);
+    assert.equal(message.text, '!ai what is this?');
+    assert.equal(reaction, 'what is this?');
+});
+
+test('unescapes tag values', () => {
+    const { tags, command, params } = parseLine('@msg=a\\:b\\\\c\\sd;empty= :tmi.local NOTICE #stream :hi');
+    assert.equal(tags.msg, 'a;b\\c d');
+    assert.equal(tags.empty, '');
+    assert.equal(command, 'NOTICE');
+    assert.deepEqual(params, ['#stream', 'hi']);
+});
+
+test('reconnects after the server drops the connection', async () => {
+    const previous = connections;
+    states.length = 0;
+    client.destroy();
+
+    await waitFor(() => states.includes('reconnecting'), 'the reconnect to be scheduled');
+    await waitFor(() => connections > previous && states.at(-1) === 'connected', 'the adapter to rejoin');
+});
@@ -0,0 +1,97 @@
+/**
+ * Model downloads against a local HTTP stand-in for Hugging Face
+ * Serves a fake GGUF that drops the connection halfway, stalls, or doesn't match its checksum.
+ * Run with `npm test` in backend/.
+ */
+
+import assert from 'node:assert/strict';
+import { Buffer } from 'node:buffer';
+import { createHash, randomBytes } from 'node:crypto';
+import { existsSync, mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import http from 'node:http';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import process from 'node:process';
+import { after, before, test } from 'node:test';
+
+// Models and the registry live under ~/.cooldesk, so point HOME somewhere disposable first
+const home = mkdtempSync(join(tmpdir(), 'cooldesk-download-'));
+process.env.HOME = home;
+const { addModel, CONFIG, downloadModel } = await import('../locaLLM.js');
+
+const model = Buffer.concat([Buffer.from('GGUF'), randomBytes(256 * 1024)]);
+const sha256 = createHash('sha256').update(model).digest('hex');
+const rangeRequests = [];
+
+const server = http.createServer((req, res) => {
+    const range = /^bytes=(\d+)-$/.exec(req.headers.range || '');
+    const start = range ? Number(range[1]) : 0;
+    if (range) rangeRequests.push({ url: req.url, start });
+
+    if (req.url === '/stall.gguf') {
+        res.writeHead(200, { 'Content-Length': model.length });
+        res.write(model.subarray(0, 1024));
+        return;
+    }
+
+    if (range) {
+        res.writeHead(206, { 'Content-Length': model.length - start, 'Content-Range': `bytes ${start}-${model.length - 1}/${model.length}` });
+        res.end(model.subarray(start));
+        return;
+    }
+
+    res.writeHead(200, { 'Content-Length': model.length });
+    if (req.url === '/flaky.gguf') {
+        // Half the file, then the connection drops
+        res.write(model.subarray(0, model.length / 2), () => setTimeout(() => req.socket.destroy(), 50));
+        return;
+    }
+    res.end(model);
+});
+
+let baseUrl;
+
+before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    CONFIG.DOWNLOAD_RETRY_DELAY = 10;
+});
+
+after(() => {
+    server.closeAllConnections();
+    server.close();
+    rmSync(home, { recursive: true, force: true });
+});
+
+test('resumes a dropped download with a Range request and verifies it', async () => {
+    addModel({ url: `${baseUrl}/flaky.gguf`, sha256 });
+
+    const path = await downloadModel('flaky.gguf');
+
+    assert.ok(rangeRequests.some(r => r.url === '/flaky.gguf' && r.start > 0), 'expected a resumed Range request');
+    assert.deepEqual(readFileSync(path), model);
+    assert.equal(existsSync(`${path}.part`), false);
+});
+
+test('refuses a download whose checksum does not match', async () => {
+    addModel({ url: `${baseUrl}/wrong.gguf`, sha256: 'a'.repeat(64) });
+
+    await assert.rejects(downloadModel('wrong.gguf'), /Checksum mismatch/);
+
+    const path = join(CONFIG.MODELS_DIR, 'wrong.gguf');
+    assert.equal(existsSync(path), false);
+    assert.equal(existsSync(`${path}.part`), false);
+});
+
+test('gives up on a stalled connection instead of hanging', async () => {
+    const { DOWNLOAD_IDLE_TIMEOUT, DOWNLOAD_RETRIES } = CONFIG;
+    Object.assign(CONFIG, { DOWNLOAD_IDLE_TIMEOUT: 200, DOWNLOAD_RETRIES: 1 });
+    addModel({ url: `${baseUrl}/stall.gguf`, sha256 });
+
+    try {
+        await assert.rejects(downloadModel('stall.gguf'), /No data for/);
+        assert.equal(existsSync(join(CONFIG.MODELS_DIR, 'stall.gguf')), false);
+    } finally {
+        Object.assign(CONFIG, { DOWNLOAD_IDLE_TIMEOUT, DOWNLOAD_RETRIES });
+    }
+});
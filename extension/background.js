@@ -1,3 +1,5 @@
+import { sendOnce } from './protocol.js';
+
 // ⚙️ Backend WebSocket URL — change the port here if you changed it in ports.config.js
 const BACKEND_WS = 'ws://127.0.0.1:3388';
 
@@ -9,20 +11,19 @@ chrome.runtime.onInstalled.addListener(() => {
     });
 });
 
-function sendToOverlay(type, payload) {
-    const ws = new WebSocket(BACKEND_WS);
-
-    ws.onopen = () => {
-        ws.send(JSON.stringify({ type, payload }));
-        ws.close();
-    };
+async function sendToOverlay(type, payload) {
+    // Pairing token is pasted into the popup once and kept in extension storage
+    const { token = '' } = await chrome.storage.local.get('token');
+    if (!token) {
+        console.error("No pairing token set. Open the extension popup and paste the token server.js printed.");
+        return;
+    }
 
-    ws.onerror = (error) => {
-        console.error("WebSocket Error, is the local server running?", error);
-    };
+    sendOnce(`${BACKEND_WS}/?token=${encodeURIComponent(token)}`, type, payload, { source: 'extension' })
+        .catch(error => console.error("WebSocket Error, is the local server running and the token correct?", error));
 }
 
-chrome.contextMenus.onClicked.addListener((info, tab) => {
+chrome.contextMenus.onClicked.addListener((info) => {
     if (info.menuItemId === "send_to_overlay") {
         let payload = "";
         let type = "text";
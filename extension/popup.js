@@ -1,35 +1,58 @@
+import { sendOnce } from './protocol.js';
+
 // ⚙️ Backend WebSocket URL — change the port here if you changed it in ports.config.js
 const BACKEND_WS = 'ws://127.0.0.1:3388';
 
-document.getElementById('sendBtn').addEventListener('click', () => {
+const tokenInput = document.getElementById('tokenInput');
+
+// The pairing token server.js prints on start; shared with the context menu via extension storage
+chrome.storage.local.get('token').then(({ token = '' }) => {
+    tokenInput.value = token;
+});
+tokenInput.addEventListener('change', () => {
+    chrome.storage.local.set({ token: tokenInput.value.trim() });
+});
+
+function sendFromPopup(type, btn, label, sentMessage) {
     const text = document.getElementById('msgInput').value;
     if (!text.trim()) return;
 
     const statusDiv = document.getElementById('status');
+    const token = tokenInput.value.trim();
+    if (!token) {
+        statusDiv.textContent = 'Paste the pairing token from the server console first.';
+        statusDiv.style.color = "#ef4444";
+        return;
+    }
     statusDiv.textContent = 'Sending...';
+    statusDiv.style.color = '';
 
-    const ws = new WebSocket(BACKEND_WS);
+    // Typed straight into the popup, so it jumps ahead of queued highlights
+    const payload = type === 'command' ? { text: text.trim() } : text;
+    sendOnce(`${BACKEND_WS}/?token=${encodeURIComponent(token)}`, type, payload, { source: 'extension-popup', priority: 'command' })
+        .then(() => {
+            document.getElementById('msgInput').value = '';
 
-    ws.onopen = () => {
-        ws.send(JSON.stringify({ type: 'text', payload: text }));
-        document.getElementById('msgInput').value = '';
+            // UI Feedback
+            btn.textContent = "Sent! 🚀";
+            btn.style.background = "#10b981";
+            statusDiv.textContent = sentMessage;
 
-        // UI Feedback
-        const btn = document.getElementById('sendBtn');
-        btn.textContent = "Sent! 🚀";
-        btn.style.background = "#10b981";
-        statusDiv.textContent = 'Message sent to stream overlay.';
+            setTimeout(() => {
+                btn.textContent = label;
+                btn.style.background = '';
+                statusDiv.textContent = '';
+            }, 1500);
+        })
+        .catch(() => {
+            statusDiv.textContent = "Error: Cannot connect to WebSocket server. Is node server.js running and the token correct?";
+            statusDiv.style.color = "#ef4444";
+        });
+}
 
-        setTimeout(() => {
-            btn.textContent = "Send Message";
-            btn.style.background = "#3b82f6";
-            statusDiv.textContent = '';
-            ws.close();
-        }, 1500);
-    };
+const sendBtn = document.getElementById('sendBtn');
+sendBtn.addEventListener('click', () => sendFromPopup('text', sendBtn, 'Send Message', 'Message sent to stream overlay.'));
 
-    ws.onerror = (err) => {
-        statusDiv.textContent = "Error: Cannot connect to WebSocket server. Is node server.js running?";
-        statusDiv.style.color = "#ef4444";
-    }
-});
+// `!ask ...` runs directly; plain words are matched to a command by the co-host
+const commandBtn = document.getElementById('commandBtn');
+commandBtn.addEventListener('click', () => sendFromPopup('command', commandBtn, 'Run as Command', 'Command sent to the co-host.'));
@@ -0,0 +1,404 @@
+/**
+ * WebSocket Message Protocol
+ * The one contract between the backend, the overlay and the browser extension
+ *
+ * Every frame is a JSON envelope:
+ *   { v, type, id, source, ts, payload }
+ *
+ * - v        Protocol version (PROTOCOL_VERSION); frames from another version are rejected
+ * - type     Key of MESSAGE_SCHEMAS
+ * - id       Unique frame id
+ * - source   Who sent it: 'extension', 'overlay', 'backend', 'ai', ...
+ * - ts       Unix time in milliseconds
+ * - payload  Shape depends on the type, see MESSAGE_SCHEMAS
+ *
+ * Client frames may also carry `priority` ('idle' | 'highlight' | 'command') to order co-host reactions.
+ *
+ * The extension can't load files outside its own folder, so extension/protocol.js is a copy of this
+ * file. Edit this one and run `npm run sync-extension`.
+ */
+
+export const PROTOCOL_VERSION = 1;
+
+const highlight = (maxLength) => ({
+    from: ['client', 'server'],
+    payload: { type: 'string', minLength: 1, maxLength },
+    description: 'Something the streamer shared; relayed to every overlay and reacted to by the co-host'
+});
+
+const object = (properties = {}, required = []) => ({ type: 'object', properties, required });
+
+/**
+ * Schema per message type
+ * `from` says who may send it: 'client' (extension, overlay) or 'server' (backend).
+ * Payload schemas are a small JSON Schema subset: type, enum, minLength, maxLength, properties, required.
+ */
+export const MESSAGE_SCHEMAS = {
+    text: highlight(20000),
+    image: highlight(4096),
+    link: highlight(4096),
+    url: highlight(4096),
+    system: {
+        from: ['client'],
+        payload: { type: 'string', enum: ['status-check'] },
+        description: 'Asks the backend for a `status` frame; answered to the sender only'
+    },
+    'cancel-job': {
+        from: ['client'],
+        payload: object({ id: { type: 'string', minLength: 1 } }, ['id']),
+        description: 'Cancels a queued or running co-host reply'
+    },
+    command: {
+        from: ['client'],
+        payload: object({ text: { type: 'string', minLength: 1, maxLength: 500 } }, ['text']),
+        description: 'A streamer command: `!name args`, or plain words the co-host maps onto a command'
+    },
+    'obs-health': {
+        from: ['client'],
+        payload: object({
+            kind: { type: 'string', enum: ['render', 'encode', 'network'] },
+            droppedPct: { type: 'number' }
+        }, ['kind', 'droppedPct']),
+        description: 'An overlay saw OBS start dropping frames; the co-host may mention it'
+    },
+    'obs-scene': {
+        from: ['client'],
+        payload: object({ sceneName: { type: 'string', minLength: 1, maxLength: 200 } }, ['sceneName']),
+        description: 'OBS switched program scenes; the backend applies the layout preset mapped to it'
+    },
+    'obs-camera': {
+        from: ['client'],
+        payload: object({
+            slot: { type: 'string', enum: ['face', 'hand', 'room'] },
+            visible: { type: 'boolean' }
+        }, ['slot', 'visible']),
+        description: 'A camera mapped to an OBS scene item was shown or hidden in OBS; the backend saves it to the layout'
+    },
+    status: {
+        from: ['server'],
+        payload: object({ llm: { type: 'object' }, queue: { type: 'object' } }),
+        description: 'Answer to a `system` status check'
+    },
+    typing: {
+        from: ['server'],
+        payload: { type: 'boolean' },
+        description: 'The co-host started or stopped thinking'
+    },
+    'ai-token': {
+        from: ['server'],
+        payload: object({ replyId: { type: 'string' }, text: { type: 'string' } }, ['replyId', 'text']),
+        description: 'Next piece of a streamed co-host reply'
+    },
+    'ai-done': {
+        from: ['server'],
+        payload: object({ replyId: { type: 'string' }, text: { type: 'string' } }, ['replyId', 'text']),
+        description: 'Final, filtered text of a co-host reply; replaces whatever was streamed'
+    },
+    'ai-retract': {
+        from: ['server'],
+        payload: object({ replyId: { type: 'string' } }, ['replyId']),
+        description: 'Removes a reply the output filter pulled after it started streaming'
+    },
+    chat: {
+        from: ['server'],
+        payload: object({
+            username: { type: 'string' },
+            displayName: { type: 'string' },
+            color: { type: 'string' },
+            badges: { type: 'array' },
+            text: { type: 'string', maxLength: 500 }
+        }, ['username', 'displayName', 'text']),
+        description: 'A viewer message from the IRC chat adapter; badges are [{ name, version }]'
+    },
+    'chat-status': { from: ['server'], payload: object({ state: { type: 'string' } }, ['state']), description: 'Chat connection state changed' },
+    'llm-progress': {
+        from: ['server'],
+        payload: object({ type: { type: 'string' } }, ['type']),
+        description: 'Model download / load progress'
+    },
+    'layout-update': { from: ['server'], payload: object(), description: 'Layout settings changed' },
+    'persona-update': { from: ['server'], payload: object(), description: 'Personas changed' },
+    'filter-update': { from: ['server'], payload: object(), description: 'Held replies changed' },
+    'task-update': {
+        from: ['server'],
+        payload: object({ tasks: { type: 'array' } }, ['tasks']),
+        description: 'The task list changed; carries the whole list in display order'
+    },
+    'focus-update': {
+        from: ['server'],
+        payload: object({ phase: { type: 'string' }, running: { type: 'boolean' } }, ['phase', 'running']),
+        description: 'Focus timer state; clients count down from `endsAt` themselves'
+    },
+    'replay-status': {
+        from: ['server'],
+        payload: object({ running: { type: 'boolean' }, session: { type: 'string' } }, ['running']),
+        description: 'Progress of a session replay (`sent` of `total` frames at `speed`)'
+    },
+    'obs-update': {
+        from: ['server'],
+        payload: object({ url: { type: 'string' }, hasPassword: { type: 'boolean' } }, ['url']),
+        description: 'OBS connection settings changed; overlays refetch GET /obs and reconnect'
+    },
+    'social-update': {
+        from: ['server'],
+        payload: object({ links: { type: 'array' }, ticker: { type: 'object' } }, ['links', 'ticker']),
+        description: 'Social links or ticker messages changed; carries the whole settings'
+    },
+    'knowledge-update': { from: ['server'], payload: object(), description: 'Knowledge base indexing progress' },
+    error: {
+        from: ['server'],
+        payload: object({ code: { type: 'string' }, message: { type: 'string' }, ref: { type: 'string' } }, ['code', 'message']),
+        description: 'A frame was rejected; `ref` is the id of the offending frame when known'
+    }
+};
+
+export const PRIORITIES = ['idle', 'highlight', 'command'];
+
+// Types an overlay chat feed shows as bubbles
+export const HIGHLIGHT_TYPES = ['text', 'image', 'link', 'url'];
+
+function newId() {
+    return globalThis.crypto?.randomUUID ? globalThis.crypto.randomUUID() : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * Build an envelope
+ * @param {string} type - Message type
+ * @param {*} payload - Payload matching the type's schema
+ * @param {Object} options - { source, id, priority }
+ * @returns {Object} Envelope
+ */
+export function createMessage(type, payload, { source = 'unknown', id = newId(), priority } = {}) {
+    const message = { v: PROTOCOL_VERSION, type, id, source, ts: Date.now(), payload };
+    if (priority) message.priority = priority;
+    return message;
+}
+
+/**
+ * Check a value against a schema in the MESSAGE_SCHEMAS subset
+ * @param {Object} schema - { type, enum, minLength, maxLength, properties, required }
+ * @param {*} value - Value to check
+ * @param {string} path - Name used in the error, e.g. 'payload'
+ * @returns {string|null} Error message, or null if the value matches
+ */
+export function checkValue(schema, value, path) {
+    if (!schema || schema.type === undefined) return null;
+
+    const actual = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+    if (actual !== schema.type) return `${path} must be ${schema.type}, got ${actual}`;
+
+    if (schema.enum && !schema.enum.includes(value)) return `${path} must be one of ${schema.enum.join(', ')}`;
+    if (schema.type === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) return `${path} is too short`;
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) return `${path} is longer than ${schema.maxLength} characters`;
+    }
+    if (schema.type === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) return `${path}.${key} is required`;
+        }
+        for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+            if (value[key] === undefined) continue;
+            const error = checkValue(propSchema, value[key], `${path}.${key}`);
+            if (error) return error;
+        }
+    }
+    return null;
+}
+
+/**
+ * Check an envelope against the protocol
+ * @param {Object} message - Parsed frame
+ * @param {string} from - 'client' or 'server', who is supposed to have sent it
+ * @returns {{code: string, message: string}|null} Error, or null if the frame is valid
+ */
+export function validateMessage(message, from) {
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+        return { code: 'bad-envelope', message: 'Frame must be a JSON object' };
+    }
+    if (message.v !== PROTOCOL_VERSION) {
+        return { code: 'unsupported-version', message: `Expected protocol version ${PROTOCOL_VERSION}, got ${message.v}` };
+    }
+
+    const envelopeError = checkValue(object({
+        type: { type: 'string' },
+        id: { type: 'string', minLength: 1, maxLength: 100 },
+        source: { type: 'string', minLength: 1, maxLength: 50 },
+        ts: { type: 'number' },
+        priority: { type: 'string', enum: PRIORITIES }
+    }, ['type', 'id', 'source', 'ts']), message, 'frame');
+    if (envelopeError) {
+        return { code: 'bad-envelope', message: envelopeError };
+    }
+
+    const schema = MESSAGE_SCHEMAS[message.type];
+    if (!schema) {
+        return { code: 'unknown-type', message: `Unknown message type: ${message.type}` };
+    }
+    if (from && !schema.from.includes(from)) {
+        return { code: 'bad-direction', message: `${message.type} frames can't be sent by a ${from}` };
+    }
+
+    const payloadError = checkValue(schema.payload, message.payload, 'payload');
+    return payloadError ? { code: 'bad-payload', message: payloadError } : null;
+}
+
+/**
+ * Parse and validate a raw frame
+ * @param {string} raw - Frame as received
+ * @param {string} from - 'client' or 'server'
+ * @returns {{message?: Object, error?: Object}} Exactly one of the two
+ */
+export function parseMessage(raw, from) {
+    let message;
+    try {
+        message = JSON.parse(String(raw));
+    } catch {
+        return { error: { code: 'bad-json', message: 'Frame is not valid JSON' } };
+    }
+
+    const error = validateMessage(message, from);
+    return error ? { error: { ...error, ref: typeof message?.id === 'string' ? message.id : undefined } } : { message };
+}
+
+// ==========================================
+// CLIENT
+// ==========================================
+
+/**
+ * Connect to the backend WebSocket
+ * Validates both directions, queues sends until the socket is open and reconnects when it drops.
+ * @param {string} url - Backend WebSocket URL
+ * @param {Object} options - { source, reconnectMs (0 = don't reconnect) }
+ * @returns {Object} { send, subscribe, onStatus, close }
+ */
+export function createBackendClient(url, { source = 'overlay', reconnectMs = 3000 } = {}) {
+    const listeners = new Set();
+    const statusListeners = new Set();
+    const outbox = [];
+    let ws = null;
+    let status = 'connecting';
+    let reconnectTimer = null;
+    let closed = false;
+
+    const setStatus = (next) => {
+        status = next;
+        statusListeners.forEach(listener => listener(next));
+    };
+
+    const connect = () => {
+        if (closed) return;
+        setStatus('connecting');
+        ws = new WebSocket(url);
+
+        ws.onopen = () => {
+            setStatus('open');
+            while (outbox.length > 0) ws.send(outbox.shift());
+        };
+
+        ws.onmessage = (event) => {
+            const { message, error } = parseMessage(event.data, 'server');
+            if (error) {
+                console.warn(`[Protocol] Dropped frame from backend: ${error.message}`);
+                return;
+            }
+            if (message.type === 'error') {
+                console.warn(`[Protocol] Backend rejected frame ${message.payload.ref || ''}: ${message.payload.message}`);
+            }
+            listeners.forEach(({ types, handler }) => {
+                if (!types || types.includes(message.type)) handler(message);
+            });
+        };
+
+        ws.onerror = () => {
+            // onclose follows and handles the reconnect
+        };
+
+        ws.onclose = () => {
+            if (closed) return;
+            setStatus('closed');
+            if (reconnectMs > 0) {
+                reconnectTimer = setTimeout(connect, reconnectMs);
+            }
+        };
+    };
+
+    connect();
+
+    return {
+        /**
+         * Send a message; throws if it doesn't match the protocol
+         * @returns {Object} The envelope that was sent
+         */
+        send(type, payload, options = {}) {
+            const message = createMessage(type, payload, { source, ...options });
+            const error = validateMessage(message, 'client');
+            if (error) throw new Error(error.message);
+
+            const frame = JSON.stringify(message);
+            if (ws && ws.readyState === WebSocket.OPEN) ws.send(frame);
+            else outbox.push(frame);
+            return message;
+        },
+
+        /**
+         * Listen for messages
+         * @param {string|string[]|null} types - Types to receive, null for all
+         * @param {Function} handler - (message) => void
+         * @returns {Function} Unsubscribe
+         */
+        subscribe(types, handler) {
+            const entry = { types: types ? [].concat(types) : null, handler };
+            listeners.add(entry);
+            return () => listeners.delete(entry);
+        },
+
+        /**
+         * Listen for connection changes ('connecting', 'open', 'closed'); called right away with the current one
+         * @returns {Function} Unsubscribe
+         */
+        onStatus(handler) {
+            statusListeners.add(handler);
+            handler(status);
+            return () => statusListeners.delete(handler);
+        },
+
+        /** Close once everything queued has been sent */
+        close() {
+            closed = true;
+            clearTimeout(reconnectTimer);
+            if (!ws) return;
+            if (ws.readyState === WebSocket.CONNECTING && outbox.length > 0) {
+                ws.addEventListener('open', () => ws.close(), { once: true });
+            } else {
+                ws.close();
+            }
+        }
+    };
+}
+
+/**
+ * Open a connection, send one message and close again (extension popup and context menu)
+ * @param {string} url - Backend WebSocket URL
+ * @param {string} type - Message type
+ * @param {*} payload - Payload
+ * @param {Object} options - { source, priority }
+ * @returns {Promise<Object>} The envelope, once it was handed to the socket
+ */
+export function sendOnce(url, type, payload, { source = 'extension', priority } = {}) {
+    return new Promise((resolve, reject) => {
+        const message = createMessage(type, payload, { source, priority });
+        const error = validateMessage(message, 'client');
+        if (error) {
+            reject(new Error(error.message));
+            return;
+        }
+
+        const ws = new WebSocket(url);
+        ws.onopen = () => {
+            ws.send(JSON.stringify(message));
+            ws.close();
+            resolve(message);
+        };
+        ws.onerror = () => reject(new Error(`Cannot connect to ${url}`));
+    });
+}
@@ -0,0 +1,13 @@
+/**
+ * OBS health thresholds
+ * The backend stores them in backend/obs-settings.json (Settings → OBS Connection) and the overlay
+ * checks each stats sample against them. 0 turns a check off.
+ */
+
+export const DEFAULT_HEALTH = {
+    maxCpu: 80,             // % of the machine
+    fpsTolerance: 10,       // % below the frame rate set in OBS
+    maxDroppedPct: 2,       // % of frames skipped rendering, encoding or sending, per poll window
+    minBitrateKbps: 0,      // While streaming
+    mention: false          // Co-host mentions dropped frame spikes
+};
@@ -1,10 +1,14 @@
 import OverlayLayout from './components/OverlayLayout';
 import { OBSProvider } from './context/OBSContext';
+import WidgetPage from './widgets/WidgetPage';
+
+// /widget/<route> renders a single widget for its own browser source; anything else is the full overlay
+const widgetRoute = window.location.pathname.match(/^\/widget\/([\w-]+)\/?$/);
 
 function App() {
   return (
     <OBSProvider>
-      <OverlayLayout />
+      {widgetRoute ? <WidgetPage route={widgetRoute[1]} /> : <OverlayLayout />}
     </OBSProvider>
   );
 }
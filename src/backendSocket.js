@@ -0,0 +1,35 @@
+/**
+ * Shared backend WebSocket for the overlay
+ *
+ * Every component subscribes to the message types it cares about on one connection
+ * instead of opening its own socket. Frames follow the protocol in /shared/protocol.js.
+ */
+
+import { useEffect, useEffectEvent } from 'react';
+import { createBackendClient } from '../shared/protocol.js';
+import { BACKEND_WS } from './config.js';
+
+let client = null;
+
+/**
+ * Get the shared client (connects on first use, reconnects on its own)
+ * @returns {Object} Client from createBackendClient()
+ */
+export function getBackendSocket() {
+    if (!client) {
+        client = createBackendClient(BACKEND_WS, { source: 'overlay' });
+    }
+    return client;
+}
+
+/**
+ * Run a handler for every backend message of the given types while the component is mounted
+ * @param {string|string[]} types - Message types
+ * @param {Function} handler - (message) => void; always sees the latest props and state
+ */
+export function useBackendMessages(types, handler) {
+    const onMessage = useEffectEvent(handler);
+    const key = [].concat(types).join(',');
+
+    useEffect(() => getBackendSocket().subscribe(key.split(','), (message) => onMessage(message)), [key]);
+}
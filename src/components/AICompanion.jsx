@@ -1,118 +1,110 @@
 import { AnimatePresence, motion } from 'framer-motion';
-import { Bot, Image as ImageIcon, Link as LinkIcon, User } from 'lucide-react';
-import { useEffect, useState } from 'react';
-import { BACKEND_WS } from '../config.js';
+import { Bot, Image as ImageIcon, Link as LinkIcon, MessageSquare, User } from 'lucide-react';
+import { useState } from 'react';
+import { HIGHLIGHT_TYPES } from '../../shared/protocol.js';
+import { useBackendMessages } from '../backendSocket.js';
+
+// Short labels for common Twitch badges; anything else shows its first letters
+const BADGE_LABELS = {
+    broadcaster: 'host',
+    moderator: 'mod',
+    vip: 'vip',
+    subscriber: 'sub',
+    founder: 'fdr'
+};
 
-const AICompanion = () => {
+const AICompanion = ({ title = 'AI Companion', maxMessages = 15 }) => {
+    const keep = Math.max(1, Number(maxMessages) || 15);
     const [messages, setMessages] = useState([]);
     const [isTyping, setIsTyping] = useState(false);
 
-    useEffect(() => {
-        let ws;
-        let reconnectTimeout;
-        let isMounted = true;
-
-        const connectWs = () => {
-            if (!isMounted) return;
-
-            ws = new WebSocket(BACKEND_WS);
-
-            ws.onopen = () => {
-                console.log('Connected to AI Companion WebSocket');
-            };
-
-            ws.onmessage = (event) => {
-                try {
-                    const data = JSON.parse(event.data);
-                    console.log("AICompanion Received WS Data:", data);
-
-                    // Filter out system and control messages so they don't break the chat feed
-                    if (data.type?.startsWith('llm-') || data.type === 'system' || data.type === 'layout-update') return;
-
-                    if (data.type === 'typing') {
-                        setIsTyping(Boolean(data.payload));
-                        return;
-                    }
-
-                    // Determine Role
-                    let isAi = data.role === 'ai';
-                    let displayPayload = data.payload;
-                    if (typeof displayPayload === 'string') {
-                        if (displayPayload.includes('🤖 AI:')) {
-                            isAi = true;
-                            displayPayload = displayPayload.replace(/🤖 AI:\s*/g, '').trim();
-                        } else if (displayPayload.includes('AI: ')) {
-                            isAi = true;
-                            displayPayload = displayPayload.replace(/AI:\s*/g, '').trim();
-                        }
-                    }
-
-                    // Failsafe: if payload is somehow an object here, skip it to avoid React crashes
-                    if (typeof displayPayload === 'object') return;
-
-                    // Add new message and keep up to 15 to allow a readable history
-                    setMessages(prev => {
-                        // Prevent consecutive duplicate payloads
-                        if (prev.length > 0 && prev[prev.length - 1].payload === displayPayload) {
-                            return prev;
-                        }
-
-                        const newMsg = {
-                            id: typeof crypto !== 'undefined' && crypto.randomUUID ? crypto.randomUUID() : Date.now() + Math.random(),
-                            type: data.type,
-                            payload: displayPayload,
-                            isAi: isAi,
-                            timestamp: new Date()
-                        };
-                        return [...prev, newMsg].slice(-15);
-                    });
-                } catch (e) {
-                    console.error("Invalid WS Payload", e);
-                }
-            };
+    useBackendMessages('typing', (message) => setIsTyping(message.payload));
+
+    // The output filter pulled a reply that had already started streaming
+    useBackendMessages('ai-retract', (message) => {
+        setMessages(prev => prev.filter(m => m.id !== message.payload.replyId));
+    });
+
+    // Streamed AI reply: grow the bubble with the same reply id as tokens arrive
+    useBackendMessages(['ai-token', 'ai-done'], (message) => {
+        const isDone = message.type === 'ai-done';
+        const { replyId, text } = message.payload;
+        setIsTyping(false);
+        setMessages(prev => {
+            if (!prev.some(m => m.id === replyId)) {
+                const newMsg = {
+                    id: replyId,
+                    type: 'text',
+                    payload: text,
+                    isAi: true,
+                    streaming: !isDone,
+                    timestamp: new Date(message.ts)
+                };
+                return [...prev, newMsg].slice(-keep);
+            }
+            return prev.map(m => m.id === replyId
+                ? { ...m, payload: isDone ? text : m.payload + text, streaming: !isDone }
+                : m
+            );
+        });
+    });
+
+    // Highlights from the extension, plus one-off lines from the co-host (source 'ai')
+    useBackendMessages(HIGHLIGHT_TYPES, (message) => {
+        // Add new message and keep the last few (maxMessages) to allow a readable history
+        setMessages(prev => {
+            // Prevent consecutive duplicate payloads
+            if (prev.length > 0 && prev[prev.length - 1].payload === message.payload) {
+                return prev;
+            }
 
-            ws.onclose = () => {
-                if (!isMounted) return;
-                // Reconnect after 3 seconds
-                reconnectTimeout = setTimeout(connectWs, 3000);
+            const newMsg = {
+                id: message.id,
+                type: message.type,
+                payload: message.payload,
+                isAi: message.source === 'ai',
+                timestamp: new Date(message.ts)
             };
-        };
-
-        connectWs();
-
-        return () => {
-            isMounted = false;
-            clearTimeout(reconnectTimeout);
-            if (ws) {
-                // Remove onclose listener so it doesn't trigger when we explicitly close it
-                ws.onclose = null;
-                ws.close();
-            }
-        };
-    }, []);
+            return [...prev, newMsg].slice(-keep);
+        });
+    });
+
+    // Viewer chat from the backend's IRC adapter
+    useBackendMessages('chat', (message) => {
+        const { displayName, color, badges = [], text } = message.payload;
+        setMessages(prev => [...prev, {
+            id: message.id,
+            type: 'chat',
+            payload: text,
+            author: { displayName, color, badges },
+            isAi: false,
+            timestamp: new Date(message.ts)
+        }].slice(-keep));
+    });
 
     const getIcon = (type, isAi) => {
-        if (isAi) return <Bot size={14} className="text-purple-400" />;
-        if (type === 'image') return <ImageIcon size={14} className="text-pink-400" />;
-        if (type === 'link' || type === 'url') return <LinkIcon size={14} className="text-blue-400" />;
-        return <User size={14} className="text-blue-400" />;
+        if (isAi) return <Bot size={14} className="text-ai" />;
+        if (type === 'chat') return <MessageSquare size={14} className="text-chat" />;
+        if (type === 'image') return <ImageIcon size={14} className="text-ai" />;
+        if (type === 'link' || type === 'url') return <LinkIcon size={14} className="text-accent" />;
+        return <User size={14} className="text-accent" />;
     };
 
     return (
-        <div className="w-full bg-black/80 backdrop-blur-md rounded-xl border border-white/10 p-3 flex flex-col gap-2 shadow-lg h-full overflow-hidden">
+        <div className="w-full bg-panel/80 backdrop-blur-md rounded-xl border border-fg/10 p-3 flex flex-col gap-2 shadow-lg h-full overflow-hidden">
             {/* Header */}
-            <div className="flex items-center gap-2 border-b border-white/5 pb-2">
-                <div className="p-1.5 bg-purple-500/20 rounded-md">
-                    <Bot className="text-purple-400" size={16} />
+            <div className="flex items-center gap-2 border-b border-fg/5 pb-2">
+                <div className="p-1.5 bg-ai/20 rounded-md">
+                    <Bot className="text-ai" size={16} />
                 </div>
-                <span className="text-xs font-bold text-white/80 uppercase tracking-widest flex-1">AI Companion</span>
+                <span className="text-xs font-bold text-fg/80 uppercase tracking-widest flex-1">{title}</span>
 
                 <div className="flex items-center gap-2">
                     <span className="relative flex h-2 w-2">
-                        <span className="animate-ping absolute inline-flex h-full w-full rounded-full bg-green-400 opacity-75"></span>
-                        <span className="relative inline-flex rounded-full h-2 w-2 bg-green-500"></span>
+                        <span className="animate-ping absolute inline-flex h-full w-full rounded-full bg-ok opacity-75"></span>
+                        <span className="relative inline-flex rounded-full h-2 w-2 bg-ok"></span>
                     </span>
-                    <span className="text-[10px] text-green-400 font-mono">SYNCED</span>
+                    <span className="text-[10px] text-ok font-mono">SYNCED</span>
                 </div>
             </div>
 
@@ -120,7 +112,7 @@ const AICompanion = () => {
             <div className="flex-1 overflow-y-auto custom-scrollbar min-h-0 flex flex-col pr-1">
                 <div className="flex flex-col gap-2 mt-auto pb-1">
                     {messages.length === 0 ? (
-                        <div className="text-center text-white/20 text-[10px] uppercase font-bold tracking-widest py-4">Waiting for data...</div>
+                        <div className="text-center text-fg/20 text-[10px] uppercase font-bold tracking-widest py-4">Waiting for data...</div>
                     ) : (
                         <AnimatePresence initial={false}>
                             {messages.map((msg) => (
@@ -130,24 +122,35 @@ const AICompanion = () => {
                                     animate={{ opacity: 1, x: 0, scale: 1 }}
                                     className={`p-2.5 rounded-2xl flex gap-3 items-start relative overflow-hidden group flex-shrink-0 max-w-[95%]
                                         ${msg.isAi
-                                            ? "bg-purple-500/10 border border-purple-500/20 self-start rounded-tl-sm ml-1"
-                                            : "bg-blue-500/10 border border-blue-500/20 self-end rounded-tr-sm flex-row-reverse mr-1 text-left"
+                                            ? "bg-ai/10 border border-ai/20 self-start rounded-tl-sm ml-1"
+                                            : "bg-accent/10 border border-accent/20 self-end rounded-tr-sm flex-row-reverse mr-1 text-left"
                                         }`}
                                 >
                                     {/* Glowing corner effect for AI vibe */}
-                                    {msg.isAi && <div className="absolute top-0 left-0 w-8 h-8 bg-purple-500/20 blur-xl rounded-full pointer-events-none" />}
-                                    {!msg.isAi && <div className="absolute top-0 right-0 w-8 h-8 bg-blue-500/20 blur-xl rounded-full pointer-events-none" />}
+                                    {msg.isAi && <div className="absolute top-0 left-0 w-8 h-8 bg-ai/20 blur-xl rounded-full pointer-events-none" />}
+                                    {!msg.isAi && <div className="absolute top-0 right-0 w-8 h-8 bg-accent/20 blur-xl rounded-full pointer-events-none" />}
 
-                                    <div className="mt-0.5 relative z-10 shrink-0 bg-black/40 p-1.5 rounded-lg border border-white/5">
+                                    <div className="mt-0.5 relative z-10 shrink-0 bg-panel/40 p-1.5 rounded-lg border border-fg/5">
                                         {getIcon(msg.type, msg.isAi)}
                                     </div>
                                     <div className="flex-1 min-w-0 relative z-10 leading-snug">
+                                        {msg.author && (
+                                            <div className="flex items-center gap-1 mb-0.5 text-[11px] font-bold">
+                                                {msg.author.badges.map(badge => (
+                                                    <span key={badge.name} title={badge.name} className="px-1 rounded bg-fg/10 text-[9px] uppercase text-fg/70">
+                                                        {BADGE_LABELS[badge.name] || badge.name.slice(0, 3)}
+                                                    </span>
+                                                ))}
+                                                <span style={{ color: msg.author.color }}>{msg.author.displayName}</span>
+                                            </div>
+                                        )}
                                         {msg.type === 'image' ? (
                                             // eslint-disable-next-line @next/next/no-img-element
-                                            <img src={msg.payload} alt="Shared" className="w-full rounded-md object-cover max-h-32 border border-white/10" />
+                                            <img src={msg.payload} alt="Shared" className="w-full rounded-md object-cover max-h-32 border border-fg/10" />
                                         ) : (
-                                            <p className={`text-[13px] break-words font-medium ${msg.isAi ? "text-gray-200 whitespace-pre-wrap" : "text-blue-100/90 whitespace-pre-wrap"}`}>
-                                                {msg.payload}
+                                            <p className="text-[13px] break-words font-medium text-fg/90 whitespace-pre-wrap">
+                                                {msg.streaming ? msg.payload.trimStart() : msg.payload}
+                                                {msg.streaming && <span className="inline-block w-1.5 h-3 ml-0.5 align-middle bg-ai/70 animate-pulse" />}
                                             </p>
                                         )}
                                     </div>
@@ -159,14 +162,14 @@ const AICompanion = () => {
                                     initial={{ opacity: 0, y: 10, scale: 0.95 }}
                                     animate={{ opacity: 1, y: 0, scale: 1 }}
                                     exit={{ opacity: 0, scale: 0.95, transition: { duration: 0.2 } }}
-                                    className="bg-purple-500/10 border border-purple-500/20 p-2.5 rounded-2xl rounded-tl-sm flex gap-3 items-center relative overflow-hidden group flex-shrink-0 w-24 self-start ml-1"
+                                    className="bg-ai/10 border border-ai/20 p-2.5 rounded-2xl rounded-tl-sm flex gap-3 items-center relative overflow-hidden group flex-shrink-0 w-24 self-start ml-1"
                                 >
-                                    <div className="absolute top-0 left-0 w-8 h-8 bg-purple-500/20 blur-xl rounded-full pointer-events-none" />
-                                    <div className="relative z-10 shrink-0 bg-black/40 p-1.5 rounded-lg border border-white/5"><Bot size={14} className="text-purple-400" /></div>
+                                    <div className="absolute top-0 left-0 w-8 h-8 bg-ai/20 blur-xl rounded-full pointer-events-none" />
+                                    <div className="relative z-10 shrink-0 bg-panel/40 p-1.5 rounded-lg border border-fg/5"><Bot size={14} className="text-ai" /></div>
                                     <div className="flex-1 relative z-10 flex justify-center items-center gap-1 mt-0.5">
-                                        <span className="w-1.5 h-1.5 bg-white/50 rounded-full animate-bounce [animation-delay:-0.3s]"></span>
-                                        <span className="w-1.5 h-1.5 bg-white/50 rounded-full animate-bounce [animation-delay:-0.15s]"></span>
-                                        <span className="w-1.5 h-1.5 bg-white/50 rounded-full animate-bounce"></span>
+                                        <span className="w-1.5 h-1.5 bg-fg/50 rounded-full animate-bounce [animation-delay:-0.3s]"></span>
+                                        <span className="w-1.5 h-1.5 bg-fg/50 rounded-full animate-bounce [animation-delay:-0.15s]"></span>
+                                        <span className="w-1.5 h-1.5 bg-fg/50 rounded-full animate-bounce"></span>
                                     </div>
                                 </motion.div>
                             )}
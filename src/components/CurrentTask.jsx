@@ -1,41 +1,114 @@
-import { AnimatePresence, motion } from 'framer-motion';
-import { Activity, CheckCircle2, Terminal, X } from 'lucide-react';
-import { useRef, useState } from 'react';
+import { AnimatePresence, motion, Reorder } from 'framer-motion';
+import { Activity, CheckCircle2, Circle, GripVertical, Play, Terminal, X } from 'lucide-react';
+import { useEffect, useState } from 'react';
+import { useBackendMessages } from '../backendSocket.js';
+import { backendFetch, backendPost } from '../config.js';
+
+// h:mm:ss once past the hour, m:ss before
+function formatElapsed(ms) {
+    const seconds = Math.floor(ms / 1000);
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = String(seconds % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+// Time tracked by the backend, plus the running interval of the active task
+function elapsedFor(task, now) {
+    const running = task.activeSince ? Math.max(0, now - Date.parse(task.activeSince)) : 0;
+    return (task.trackedMs || 0) + running;
+}
 
 const CurrentTask = () => {
-    // State for tasks and input
-    const [tasks, setTasks] = useState([
-        { id: 1, text: "Refactoring Overlay", status: "active" }
-    ]);
+    // Tasks live in the backend; every overlay renders the list it broadcasts
+    const [tasks, setTasks] = useState([]);
     const [newItem, setNewItem] = useState("");
-    const [isEditing, setIsEditing] = useState(false);
-    const inputRef = useRef(null);
+    const [editingId, setEditingId] = useState(null);
+    const [editText, setEditText] = useState("");
+    const [now, setNow] = useState(() => Date.now());
+    const hasRunningTask = tasks.some(t => t.activeSince);
+
+    const loadTasks = () => {
+        backendFetch('/tasks')
+            .then(res => res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`)))
+            .then(data => Array.isArray(data) && setTasks(data))
+            .catch(err => console.error('Failed to load tasks:', err.message));
+    };
+
+    useEffect(loadTasks, []);
+
+    useBackendMessages('task-update', (message) => {
+        setTasks(message.payload.tasks);
+    });
+
+    // Tick the clock only while something is being timed
+    useEffect(() => {
+        if (!hasRunningTask) return;
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, [hasRunningTask]);
+
+    // Show the change right away; the broadcast confirms it, a failure reloads the real list
+    const mutate = (path, data, optimistic) => {
+        if (optimistic) setTasks(optimistic);
+        backendPost(path, data).catch(err => {
+            console.error(err);
+            loadTasks();
+        });
+    };
 
     const handleAddTask = (e) => {
         if (e.key === 'Enter' && newItem.trim()) {
-            setTasks([...tasks, { id: Date.now(), text: newItem, status: 'pending' }]);
+            mutate('/tasks', { text: newItem.trim() });
             setNewItem("");
         }
     };
 
     const removeTask = (id) => {
-        setTasks(tasks.filter(t => t.id !== id));
+        mutate('/tasks/delete', { id }, tasks.filter(t => t.id !== id));
     };
 
-    const toggleStatus = (id) => {
-        setTasks(tasks.map(t =>
-            t.id === id ? { ...t, status: t.status === 'active' ? 'pending' : 'active' } : t
-        ));
+    const setStatus = (id, status) => {
+        mutate('/tasks/update', { id, status }, tasks.map(t => {
+            if (t.id === id) return { ...t, status };
+            // Starting a task pauses the one that was active
+            return status === 'active' && t.status === 'active' ? { ...t, status: 'pending' } : t;
+        }));
+    };
+
+    const toggleDone = (task) => {
+        setStatus(task.id, task.status === 'done' ? 'pending' : 'done');
+    };
+
+    const startEditing = (task) => {
+        setEditingId(task.id);
+        setEditText(task.text);
+    };
+
+    const finishEditing = () => {
+        const task = tasks.find(t => t.id === editingId);
+        setEditingId(null);
+        if (!task || !editText.trim() || editText.trim() === task.text) return;
+        mutate('/tasks/update', { id: task.id, text: editText.trim() }, tasks.map(t => t.id === task.id ? { ...t, text: editText.trim() } : t));
+    };
+
+    const handleEditKey = (e) => {
+        if (e.key === 'Enter') finishEditing();
+        if (e.key === 'Escape') setEditingId(null);
+    };
+
+    const saveOrder = () => {
+        mutate('/tasks/reorder', { ids: tasks.map(t => t.id) });
     };
 
     return (
         <motion.div
-            className="w-full h-full bg-black/80 backdrop-blur-xl rounded-xl border border-white/10 flex flex-col overflow-hidden shadow-2xl relative group"
+            className="w-full h-full bg-panel/80 backdrop-blur-xl rounded-xl border border-fg/10 flex flex-col overflow-hidden shadow-2xl relative group"
         >
             {/* Header / Input Area */}
-            <div className="flex items-center gap-3 p-3 border-b border-white/10 bg-white/5">
-                <div className="p-1.5 bg-blue-500/20 rounded-md">
-                    <Terminal className="text-blue-400" size={16} />
+            <div className="flex items-center gap-3 p-3 border-b border-fg/10 bg-fg/5">
+                <div className="p-1.5 bg-accent/20 rounded-md">
+                    <Terminal className="text-accent" size={16} />
                 </div>
 
                 <div className="flex-1">
@@ -45,62 +118,96 @@ const CurrentTask = () => {
                         onChange={(e) => setNewItem(e.target.value)}
                         onKeyDown={handleAddTask}
                         placeholder="Type objective & hit Enter..."
-                        className="w-full bg-transparent border-none outline-none text-white text-sm placeholder:text-white/20 font-medium"
+                        className="w-full bg-transparent border-none outline-none text-fg text-sm placeholder:text-fg/20 font-medium"
                     />
                 </div>
 
-                <div className="flex items-center gap-2 text-[10px] text-blue-300/80 font-mono uppercase tracking-wider opacity-60">
+                <div className="flex items-center gap-2 text-[10px] text-accent/80 font-mono uppercase tracking-wider opacity-60">
                     <span className="relative flex h-1.5 w-1.5">
-                        <span className="animate-ping absolute inline-flex h-full w-full rounded-full bg-blue-400 opacity-75"></span>
-                        <span className="relative inline-flex rounded-full h-1.5 w-1.5 bg-blue-500"></span>
+                        <span className="animate-ping absolute inline-flex h-full w-full rounded-full bg-accent opacity-75"></span>
+                        <span className="relative inline-flex rounded-full h-1.5 w-1.5 bg-accent"></span>
                     </span>
                     LIVE
                 </div>
             </div>
 
-            {/* Task List - Scrollable */}
-            <div className="flex-1 overflow-y-auto p-2 space-y-1 custom-scrollbar">
+            {/* Task List - Scrollable, drag to reorder */}
+            <Reorder.Group as="div" axis="y" values={tasks} onReorder={setTasks} className="flex-1 overflow-y-auto p-2 space-y-1 custom-scrollbar">
                 <AnimatePresence mode='popLayout'>
                     {tasks.map((task) => (
-                        <motion.div
+                        <Reorder.Item
+                            as="div"
                             key={task.id}
+                            value={task}
+                            onDragEnd={saveOrder}
                             initial={{ x: -20, opacity: 0 }}
                             animate={{ x: 0, opacity: 1 }}
                             exit={{ x: 20, opacity: 0 }}
-                            layout
-                            className={`flex items-center gap-3 p-2 rounded-md border group/item transition-all ${task.status === 'active'
-                                    ? 'bg-blue-500/10 border-blue-500/30'
-                                    : 'bg-white/5 border-white/5 opacity-60 hover:opacity-100'
+                            className={`flex items-center gap-3 p-2 rounded-md border group/item transition-colors ${task.status === 'active'
+                                    ? 'bg-accent/10 border-accent/30'
+                                    : 'bg-fg/5 border-fg/5 opacity-60 hover:opacity-100'
                                 }`}
                         >
-                            <button onClick={() => toggleStatus(task.id)} className="shrink-0 focus:outline-none">
-                                {task.status === 'active' ? (
-                                    <Activity className="text-blue-400 animate-pulse" size={14} />
-                                ) : (
-                                    <CheckCircle2 className="text-gray-500 hover:text-green-400 transition-colors" size={14} />
-                                )}
+                            <GripVertical className="shrink-0 -mr-2 text-fg/20 cursor-grab active:cursor-grabbing opacity-0 group-hover/item:opacity-100 transition-opacity" size={12} />
+
+                            <button onClick={() => toggleDone(task)} className="shrink-0 focus:outline-none" title={task.status === 'done' ? 'Mark as not done' : 'Mark as done'}>
+                                {task.status === 'active' && <Activity className="text-accent animate-pulse" size={14} />}
+                                {task.status === 'pending' && <Circle className="text-fg/50 hover:text-ok transition-colors" size={14} />}
+                                {task.status === 'done' && <CheckCircle2 className="text-ok/70 hover:text-fg/60 transition-colors" size={14} />}
                             </button>
 
-                            <span className={`text-sm font-medium truncate flex-1 ${task.status === 'active' ? 'text-white' : 'text-gray-400 line-through decoration-white/20'}`}>
-                                {task.text}
-                            </span>
+                            {editingId === task.id ? (
+                                <input
+                                    autoFocus
+                                    type="text"
+                                    value={editText}
+                                    onChange={(e) => setEditText(e.target.value)}
+                                    onKeyDown={handleEditKey}
+                                    onBlur={finishEditing}
+                                    className="flex-1 min-w-0 bg-fg/5 rounded px-1 -mx-1 border-none outline-none text-fg text-sm font-medium"
+                                />
+                            ) : (
+                                <span
+                                    onDoubleClick={() => startEditing(task)}
+                                    title="Double-click to edit"
+                                    className={`text-sm font-medium truncate flex-1 cursor-text ${task.status === 'active' ? 'text-fg' : task.status === 'done' ? 'text-fg/60 line-through decoration-fg/20' : 'text-fg/80'}`}
+                                >
+                                    {task.text}
+                                </span>
+                            )}
+
+                            {(task.activeSince || task.trackedMs > 0) && (
+                                <span className={`shrink-0 text-[10px] font-mono tabular-nums ${task.activeSince ? 'text-accent' : 'text-fg/30'}`}>
+                                    {formatElapsed(elapsedFor(task, task.activeSince ? now : 0))}
+                                </span>
+                            )}
+
+                            {task.status === 'pending' && (
+                                <button
+                                    onClick={() => setStatus(task.id, 'active')}
+                                    title="Work on this now"
+                                    className="opacity-0 group-hover/item:opacity-100 text-fg/20 hover:text-accent transition-all focus:outline-none"
+                                >
+                                    <Play size={12} />
+                                </button>
+                            )}
 
                             <button
                                 onClick={() => removeTask(task.id)}
-                                className="opacity-0 group-hover/item:opacity-100 text-white/20 hover:text-red-400 transition-all focus:outline-none"
+                                className="opacity-0 group-hover/item:opacity-100 text-fg/20 hover:text-live transition-all focus:outline-none"
                             >
                                 <X size={14} />
                             </button>
-                        </motion.div>
+                        </Reorder.Item>
                     ))}
                 </AnimatePresence>
 
                 {tasks.length === 0 && (
-                    <div className="text-center py-4 text-white/10 text-xs italic">
+                    <div className="text-center py-4 text-fg/10 text-xs italic">
                         No active objectives. Type above to add one.
                     </div>
                 )}
-            </div>
+            </Reorder.Group>
         </motion.div>
     );
 };
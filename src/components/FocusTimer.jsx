@@ -0,0 +1,58 @@
+import { Pause, Play, RotateCcw, SkipForward } from 'lucide-react';
+import { formatCountdown, PHASE_STYLES, useFocusTimer } from '../focusTimer.js';
+
+const FocusTimer = () => {
+    const [state, control, remainingMs] = useFocusTimer();
+    const style = PHASE_STYLES[state.phase] || PHASE_STYLES.idle;
+    const Icon = style.icon;
+    const progress = state.durationMs > 0 ? 1 - remainingMs / state.durationMs : 0;
+
+    const handlePlayPause = () => {
+        if (state.phase === 'idle') control('start');
+        else control(state.running ? 'pause' : 'resume');
+    };
+
+    return (
+        <div className="w-full h-full bg-panel/80 backdrop-blur-xl rounded-xl border border-fg/10 flex flex-col overflow-hidden shadow-2xl relative group">
+            {/* Header */}
+            <div className="flex items-center gap-2 p-3 border-b border-fg/10 bg-fg/5">
+                <Icon className={style.color} size={14} />
+                <span className={`text-xs font-semibold uppercase tracking-wider ${style.color}`}>{style.label}</span>
+                <div className="ml-auto flex gap-1">
+                    {Array.from({ length: state.longBreakEvery }, (_, i) => (
+                        <span key={i} className={`w-1.5 h-1.5 rounded-full ${i < state.completedFocus ? 'bg-accent' : 'bg-fg/10'}`} />
+                    ))}
+                </div>
+            </div>
+
+            {/* Countdown */}
+            <div className="flex-1 flex flex-col items-center justify-center gap-2 px-4">
+                <span className={`text-4xl font-mono font-semibold tabular-nums ${state.phase === 'idle' ? 'text-fg/20' : 'text-fg'} ${state.phase !== 'idle' && !state.running ? 'animate-pulse' : ''}`}>
+                    {state.phase === 'idle' ? '--:--' : formatCountdown(remainingMs)}
+                </span>
+                <div className="w-full h-1 rounded-full bg-fg/5 overflow-hidden">
+                    <div className={`h-full ${style.bar} transition-[width] duration-300`} style={{ width: `${Math.min(progress, 1) * 100}%` }} />
+                </div>
+            </div>
+
+            {/* Controls (hover, so they stay off the stream unless used) */}
+            <div className="absolute bottom-2 right-2 flex gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
+                <button onClick={handlePlayPause} title={state.running ? 'Pause' : 'Start'} className="p-1.5 rounded-md bg-fg/5 text-fg/50 hover:text-fg hover:bg-fg/10 transition-colors">
+                    {state.running ? <Pause size={12} /> : <Play size={12} />}
+                </button>
+                {state.phase !== 'idle' && (
+                    <>
+                        <button onClick={() => control('skip')} title="Skip to next phase" className="p-1.5 rounded-md bg-fg/5 text-fg/50 hover:text-fg hover:bg-fg/10 transition-colors">
+                            <SkipForward size={12} />
+                        </button>
+                        <button onClick={() => control('reset')} title="Reset" className="p-1.5 rounded-md bg-fg/5 text-fg/50 hover:text-live hover:bg-fg/10 transition-colors">
+                            <RotateCcw size={12} />
+                        </button>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default FocusTimer;
@@ -0,0 +1,52 @@
+import { Activity, AlertTriangle } from 'lucide-react';
+import { useOBS } from '../context/OBSContext';
+import { formatUptime } from '../obsStats.js';
+
+const ObsHealth = () => {
+    const { status, stats, health } = useOBS();
+    const warning = health.length > 0;
+
+    if (!stats) {
+        return (
+            <div className="w-full bg-panel/60 backdrop-blur-xl rounded-xl border border-fg/10 px-3 py-2 flex items-center gap-2">
+                <Activity size={12} className="text-fg/20" />
+                <span className="text-[10px] font-mono uppercase tracking-wider text-fg/30">OBS {status.state}</span>
+            </div>
+        );
+    }
+
+    const dropped = stats.renderSkipped + stats.encodeSkipped + stats.networkSkipped;
+    const metrics = [
+        { key: 'cpu', label: 'CPU', value: `${Math.round(stats.cpu)}%` },
+        { key: 'fps', label: 'FPS', value: stats.fps.toFixed(0) },
+        { key: 'dropped', label: 'Dropped', value: dropped, issue: health.some(i => i.dropped) },
+        { key: 'bitrate', label: 'kbps', value: stats.streaming ? Math.round(stats.bitrateKbps) : '--' }
+    ];
+
+    return (
+        <div className={`w-full bg-panel/60 backdrop-blur-xl rounded-xl border px-3 py-2 flex flex-col gap-1.5 transition-colors ${warning ? 'border-warn/60 shadow-[0_0_12px_color-mix(in_oklab,var(--color-warn)_25%,transparent)]' : 'border-fg/10'}`}>
+            <div className="flex items-center gap-2">
+                {warning
+                    ? <AlertTriangle size={12} className="text-warn animate-pulse" />
+                    : <Activity size={12} className="text-ok" />}
+                <span className={`text-[10px] font-semibold uppercase tracking-wider truncate ${warning ? 'text-warn' : 'text-fg/50'}`}>
+                    {warning ? health[0].message : 'OBS Health'}
+                </span>
+                <div className="ml-auto flex items-center gap-1.5 text-[10px] font-mono">
+                    {stats.recording && <span className="text-live">REC</span>}
+                    {stats.streaming && <span className="text-fg/70">LIVE {formatUptime(stats.streamUptimeMs)}</span>}
+                </div>
+            </div>
+            <div className="grid grid-cols-4 gap-2">
+                {metrics.map(metric => (
+                    <div key={metric.key} className="flex flex-col">
+                        <span className={`text-xs font-mono tabular-nums ${metric.issue || health.some(i => i.key === metric.key) ? 'text-warn' : 'text-fg/80'}`}>{metric.value}</span>
+                        <span className="text-[9px] uppercase tracking-wider text-fg/30">{metric.label}</span>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default ObsHealth;
@@ -1,23 +1,38 @@
-import { motion } from 'framer-motion';
-import { Camera, Cloud, Cpu, Download, Loader2, Rocket, Settings, Trash2, X } from 'lucide-react';
+import { motion, Reorder } from 'framer-motion';
+import { BookOpen, Brain, Camera, Check, Cloud, Cpu, Download, FileText, GripVertical, LayoutGrid, LayoutTemplate, Loader2, MessageSquare, Palette, Pause, Pencil, Play, RefreshCw, Plus, Rocket, RotateCcw, Settings, Share2, ShieldCheck, SkipForward, SlidersHorizontal, Sparkles, Terminal, Timer, Trash2, Video, X } from 'lucide-react';
 import { useEffect, useState } from 'react';
-import { BACKEND_HTTP, BACKEND_WS } from '../config.js';
+import { getBackendSocket, useBackendMessages } from '../backendSocket.js';
+import { BACKEND_HTTP, backendFetch } from '../config.js';
+import { useOBS } from '../context/OBSContext';
+import { formatCountdown, PHASE_STYLES, useFocusTimer } from '../focusTimer.js';
+import { CAMERA_SLOTS } from '../obsCameras.js';
+import { DEFAULT_PROFILE, RESOLUTION_PROFILES, resolveProfile } from '../resolution.js';
+import { linkStyle, SOCIAL_ICONS, SOCIAL_PLATFORMS, TICKER_VARIABLES } from '../socials.js';
+import { DEFAULT_THEME, resolveTheme, THEME_COLORS, THEMES } from '../themes.js';
+import { DEFAULT_WIDGET_LAYOUT, getWidget, listWidgets, normalizeWidgetLayout, REGIONS } from '../widgets/registry.js';
 
 const SIDECAR_URL = BACKEND_HTTP;
 
 async function sidecarGet(path) {
-    const res = await fetch(`${SIDECAR_URL}${path}`);
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const res = await backendFetch(path);
+    if (!res.ok) {
+        const body = await res.json().catch(() => null);
+        throw new Error(body?.error || `HTTP ${res.status}`);
+    }
     return res.json();
 }
 
 async function sidecarPost(path, data = {}) {
-    const res = await fetch(`${SIDECAR_URL}${path}`, {
+    const res = await backendFetch(path, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(data)
     });
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    if (!res.ok) {
+        // Surface the backend's error message instead of a bare status code
+        const body = await res.json().catch(() => null);
+        throw new Error(body?.error || `HTTP ${res.status}`);
+    }
     return res.json();
 }
 
@@ -26,10 +41,8 @@ const SettingsModal = ({
     showFaceCam, setShowFaceCam,
     showHandCam, setShowHandCam,
     showRoomCam, setShowRoomCam,
-    socialGithub, setSocialGithub,
-    socialTwitter, setSocialTwitter,
-    socialLinkedin, setSocialLinkedin,
-    useGPU, setUseGPU
+    useGPU, setUseGPU,
+    resolution, setResolution
 }) => {
     const [activeTab, setActiveTab] = useState('layout');
 
@@ -72,12 +85,84 @@ const SettingsModal = ({
                             active={activeTab === 'layout'}
                             onClick={() => setActiveTab('layout')}
                         />
+                        <TabButton
+                            icon={LayoutGrid}
+                            label="Widgets"
+                            active={activeTab === 'widgets'}
+                            onClick={() => setActiveTab('widgets')}
+                        />
+                        <TabButton
+                            icon={Share2}
+                            label="Socials & Ticker"
+                            active={activeTab === 'socials'}
+                            onClick={() => setActiveTab('socials')}
+                        />
+                        <TabButton
+                            icon={Palette}
+                            label="Theme"
+                            active={activeTab === 'theme'}
+                            onClick={() => setActiveTab('theme')}
+                        />
+                        <TabButton
+                            icon={LayoutTemplate}
+                            label="Layout Presets"
+                            active={activeTab === 'presets'}
+                            onClick={() => setActiveTab('presets')}
+                        />
+                        <TabButton
+                            icon={Video}
+                            label="OBS Connection"
+                            active={activeTab === 'obs'}
+                            onClick={() => setActiveTab('obs')}
+                        />
                         <TabButton
                             icon={Cpu}
                             label="Local AI Config"
                             active={activeTab === 'ai'}
                             onClick={() => setActiveTab('ai')}
                         />
+                        <TabButton
+                            icon={Sparkles}
+                            label="Personas"
+                            active={activeTab === 'personas'}
+                            onClick={() => setActiveTab('personas')}
+                        />
+                        <TabButton
+                            icon={ShieldCheck}
+                            label="Output Safety"
+                            active={activeTab === 'safety'}
+                            onClick={() => setActiveTab('safety')}
+                        />
+                        <TabButton
+                            icon={Brain}
+                            label="Memory"
+                            active={activeTab === 'memory'}
+                            onClick={() => setActiveTab('memory')}
+                        />
+                        <TabButton
+                            icon={MessageSquare}
+                            label="Chat"
+                            active={activeTab === 'chat'}
+                            onClick={() => setActiveTab('chat')}
+                        />
+                        <TabButton
+                            icon={Terminal}
+                            label="Commands"
+                            active={activeTab === 'commands'}
+                            onClick={() => setActiveTab('commands')}
+                        />
+                        <TabButton
+                            icon={Timer}
+                            label="Focus Timer"
+                            active={activeTab === 'focus'}
+                            onClick={() => setActiveTab('focus')}
+                        />
+                        <TabButton
+                            icon={BookOpen}
+                            label="Knowledge Base"
+                            active={activeTab === 'knowledge'}
+                            onClick={() => setActiveTab('knowledge')}
+                        />
                     </div>
 
                     {/* Main Area */}
@@ -87,15 +172,49 @@ const SettingsModal = ({
                                 showFaceCam={showFaceCam} setShowFaceCam={setShowFaceCam}
                                 showHandCam={showHandCam} setShowHandCam={setShowHandCam}
                                 showRoomCam={showRoomCam} setShowRoomCam={setShowRoomCam}
-                                socialGithub={socialGithub} setSocialGithub={setSocialGithub}
-                                socialTwitter={socialTwitter} setSocialTwitter={setSocialTwitter}
-                                socialLinkedin={socialLinkedin} setSocialLinkedin={setSocialLinkedin}
                                 useGPU={useGPU} setUseGPU={setUseGPU}
+                                resolution={resolution} setResolution={setResolution}
                             />
                         )}
+                        {activeTab === 'widgets' && (
+                            <WidgetsTab />
+                        )}
+                        {activeTab === 'socials' && (
+                            <SocialsTab />
+                        )}
+                        {activeTab === 'theme' && (
+                            <ThemeTab />
+                        )}
+                        {activeTab === 'presets' && (
+                            <PresetsTab />
+                        )}
+                        {activeTab === 'obs' && (
+                            <ObsTab />
+                        )}
                         {activeTab === 'ai' && (
                             <LocalAITab />
                         )}
+                        {activeTab === 'personas' && (
+                            <PersonasTab />
+                        )}
+                        {activeTab === 'safety' && (
+                            <SafetyTab />
+                        )}
+                        {activeTab === 'memory' && (
+                            <MemoryTab />
+                        )}
+                        {activeTab === 'knowledge' && (
+                            <KnowledgeTab />
+                        )}
+                        {activeTab === 'chat' && (
+                            <ChatTab />
+                        )}
+                        {activeTab === 'commands' && (
+                            <CommandsTab />
+                        )}
+                        {activeTab === 'focus' && (
+                            <FocusTab />
+                        )}
                     </div>
                 </div>
             </motion.div>
@@ -128,28 +247,14 @@ const ToggleItem = ({ label, description, active, onClick }) => (
     </div>
 );
 
-const LayoutTab = ({ showFaceCam, setShowFaceCam, showHandCam, setShowHandCam, showRoomCam, setShowRoomCam, socialGithub, setSocialGithub, socialTwitter, setSocialTwitter, socialLinkedin, setSocialLinkedin, useGPU, setUseGPU }) => {
-    const [localGithub, setLocalGithub] = useState(socialGithub || '');
-    const [localTwitter, setLocalTwitter] = useState(socialTwitter || '');
-    const [localLinkedin, setLocalLinkedin] = useState(socialLinkedin || '');
-
-    useEffect(() => {
-        setLocalGithub(socialGithub || '');
-        setLocalTwitter(socialTwitter || '');
-        setLocalLinkedin(socialLinkedin || '');
-    }, [socialGithub, socialTwitter, socialLinkedin]);
-
-    const handleSaveSocials = () => {
-        if (localGithub !== socialGithub) setSocialGithub(localGithub);
-        if (localTwitter !== socialTwitter) setSocialTwitter(localTwitter);
-        if (localLinkedin !== socialLinkedin) setSocialLinkedin(localLinkedin);
-    };
+const LayoutTab = ({ showFaceCam, setShowFaceCam, showHandCam, setShowHandCam, showRoomCam, setShowRoomCam, useGPU, setUseGPU, resolution, setResolution }) => {
+    const profile = resolveProfile(resolution);
 
     return (
         <div className="flex flex-col gap-6 animate-in fade-in slide-in-from-bottom-4 duration-500">
             <div>
                 <h3 className="text-lg font-semibold text-white mb-1">Camera Visibility</h3>
-                <p className="text-sm text-white/50 mb-4">Toggle cameras on your overlay on or off.</p>
+                <p className="text-sm text-white/50 mb-4">Toggle cameras on your overlay on or off. Map them to OBS sources under OBS Connection to toggle those too.</p>
 
                 <div className="flex flex-col gap-3">
                     <ToggleItem
@@ -174,50 +279,15 @@ const LayoutTab = ({ showFaceCam, setShowFaceCam, showHandCam, setShowHandCam, s
             </div>
 
             <div className="pt-2">
-                <h3 className="text-lg font-semibold text-white mb-1">Social URLs</h3>
-                <p className="text-sm text-white/50 mb-4">Set the text for the social feed ticker.</p>
-
-                <div className="flex flex-col gap-3">
-                    <div className="flex flex-col gap-1">
-                        <label className="text-xs text-white/60 font-medium ml-1">Github URL / Handle</label>
-                        <input
-                            type="text"
-                            className="w-full bg-white/5 border border-white/10 rounded-xl px-4 py-2 text-sm text-white placeholder:text-white/30 focus:outline-none focus:border-blue-500/50"
-                            placeholder="/raghu-dev"
-                            value={localGithub}
-                            onChange={(e) => setLocalGithub(e.target.value)}
-                        />
-                    </div>
-
-                    <div className="flex flex-col gap-1">
-                        <label className="text-xs text-white/60 font-medium ml-1">Twitter Handle</label>
-                        <input
-                            type="text"
-                            className="w-full bg-white/5 border border-white/10 rounded-xl px-4 py-2 text-sm text-white placeholder:text-white/30 focus:outline-none focus:border-blue-500/50"
-                            placeholder="@raghu_codes"
-                            value={localTwitter}
-                            onChange={(e) => setLocalTwitter(e.target.value)}
-                        />
-                    </div>
-
-                    <div className="flex flex-col gap-1">
-                        <label className="text-xs text-white/60 font-medium ml-1">LinkedIn URL</label>
-                        <input
-                            type="text"
-                            className="w-full bg-white/5 border border-white/10 rounded-xl px-4 py-2 text-sm text-white placeholder:text-white/30 focus:outline-none focus:border-blue-500/50"
-                            placeholder="/in/raghu"
-                            value={localLinkedin}
-                            onChange={(e) => setLocalLinkedin(e.target.value)}
-                        />
-                    </div>
+                <h3 className="text-lg font-semibold text-white mb-1">Canvas</h3>
+                <p className="text-sm text-white/50 mb-4">Resolution of the OBS canvas; the whole layout scales to it. Set the browser source to the same size. Add <code className="text-white/70">?profile=vertical</code> (or 720p, 1440p, 4k) to one overlay URL to give it its own canvas.</p>
 
-                    <button
-                        onClick={handleSaveSocials}
-                        className="mt-2 w-full py-2.5 bg-blue-500 hover:bg-blue-600 text-white font-medium rounded-xl text-sm transition-colors shadow-lg shadow-blue-500/20"
-                    >
-                        Save Socials
-                    </button>
-                </div>
+                <select className={inputClass} value={profile.fromUrl ? (resolution || DEFAULT_PROFILE) : profile.key} onChange={(e) => setResolution(e.target.value)}>
+                    {Object.entries(RESOLUTION_PROFILES).map(([key, p]) => <option key={key} value={key} className="bg-black">{p.label}</option>)}
+                </select>
+                {profile.fromUrl && (
+                    <p className="text-xs text-amber-400/80 mt-2 ml-1">This overlay uses {profile.label} from its URL.</p>
+                )}
             </div>
 
             <div className="pt-2">
@@ -246,8 +316,29 @@ function LocalAITab() {
     const [loadingModel, setLoadingModel] = useState(null);
     const [sidecarAvailable, setSidecarAvailable] = useState(null);
 
+    useBackendMessages('status', (message) => {
+        setStatus({ ...message.payload.llm, queue: message.payload.queue });
+    });
+
+    useBackendMessages('llm-progress', (message) => {
+        const { type: progressType, progress, modelName, error: progressError } = message.payload;
+        if (progressType === 'download') {
+            setDownloadProgress(prev => ({ ...prev, [modelName]: progress }));
+        } else if (progressType === 'verifying') {
+            setDownloadProgress(prev => ({ ...prev, [modelName]: 100 }));
+        } else if (progressType === 'loading') {
+            setLoadingModel(modelName);
+        } else if (progressType === 'loaded') {
+            setLoadingModel(null);
+            loadStatus();
+            loadModels();
+        } else if (progressType === 'error') {
+            setError(progressError || 'Unknown error');
+            setLoadingModel(null);
+        }
+    });
+
     useEffect(() => {
-        let ws = null;
         let mounted = true;
 
         async function checkSidecar() {
@@ -258,39 +349,8 @@ function LocalAITab() {
                     loadStatus();
                     loadModels();
 
-                    ws = new WebSocket(BACKEND_WS);
-                    ws.onopen = () => {
-                        ws.send(JSON.stringify({ type: 'system', client: 'localAITab', payload: 'status-check' }));
-                    };
-                    ws.onmessage = (event) => {
-                        try {
-                            const data = JSON.parse(event.data);
-                            if (data.type === 'llm-progress' || data.type === 'llm-download-progress') {
-                                const { type: progressType, progress, modelName, error: progressError } = data.payload || {};
-                                if (progressType === 'download' || data.type === 'llm-download-progress') {
-                                    setDownloadProgress(prev => ({ ...prev, [modelName]: progress }));
-                                } else if (progressType === 'loading') {
-                                    setLoadingModel(modelName);
-                                } else if (progressType === 'loaded') {
-                                    setLoadingModel(null);
-                                    loadStatus();
-                                    loadModels();
-                                } else if (progressType === 'error') {
-                                    setError(progressError || 'Unknown error');
-                                    setLoadingModel(null);
-                                }
-                            } else if (data.type === 'llm-loaded') {
-                                setLoadingModel(null);
-                                loadStatus();
-                                loadModels();
-                            } else if (data.type === 'llm-error') {
-                                setError(data.payload?.error || 'Unknown error');
-                                setLoadingModel(null);
-                            }
-                        } catch (e) {
-                            // Ignore
-                        }
-                    };
+                    // Answered to this client only, never shown on stream
+                    getBackendSocket().send('system', 'status-check');
                 } else if (mounted) {
                     setSidecarAvailable(false);
                 }
@@ -305,7 +365,6 @@ function LocalAITab() {
 
         return () => {
             mounted = false;
-            if (ws) ws.close();
         };
     }, []);
 
@@ -368,6 +427,16 @@ function LocalAITab() {
         }
     };
 
+    const handleRemove = async (modelName) => {
+        setError('');
+        try {
+            await sidecarPost('/llm/models/remove', { modelName });
+            loadModels();
+        } catch (e) {
+            setError(e.message);
+        }
+    };
+
     const handleUnload = async () => {
         setError('');
         try {
@@ -424,6 +493,7 @@ function LocalAITab() {
                                 : status?.initialized
                                     ? 'Ready - No model loaded'
                                     : 'Initializing...'}
+                            {status?.queue?.depth > 0 && ` · ${status.queue.depth} in queue`}
                         </div>
                     </div>
                     {status?.modelLoaded && (
@@ -486,12 +556,15 @@ function LocalAITab() {
                                 downloadProgress={downloadProgress[filename]}
                                 onDownload={() => handleDownload(filename)}
                                 onLoad={() => handleLoad(filename)}
+                                onRemove={() => handleRemove(filename)}
                             />
                         ))}
                     </div>
                 )}
             </div>
 
+            <AddModelForm onAdded={loadModels} />
+
             <div className="p-4 bg-blue-500/10 border border-blue-500/20 rounded-xl">
                 <strong className="text-blue-400 text-sm mb-2 block">How it works:</strong>
                 <ul className="text-xs text-white/70 list-disc pl-5 space-y-1">
@@ -505,101 +578,2350 @@ function LocalAITab() {
     );
 }
 
-function ModelCard({ filename, model, isLoaded, isLoading, downloadProgress, onDownload, onLoad }) {
-    const isDownloading = downloadProgress !== undefined;
+const TEMPLATE_LABELS = {
+    text: 'Highlighted Text',
+    image: 'Image',
+    link: 'Link',
+    url: 'Page URL',
+    chat: 'Viewer Chat ({{username}})',
+    focus: 'Focus Timer Phase ({{phase}}, {{task}})',
+    health: 'OBS Dropping Frames ({{kind}}, {{droppedPct}})',
+    default: 'Anything Else'
+};
 
-    const getQualityColor = (quality) => {
-        switch (quality?.toLowerCase()) {
-            case 'high': return 'bg-green-500/20 text-green-400';
-            case 'good': return 'bg-blue-500/20 text-blue-400';
-            case 'basic': return 'bg-amber-500/20 text-amber-500';
-            default: return 'bg-gray-500/20 text-gray-400';
+const inputClass = "w-full bg-white/5 border border-white/10 rounded-xl px-4 py-2 text-sm text-white placeholder:text-white/30 focus:outline-none focus:border-blue-500/50";
+
+function PersonasTab() {
+    const [personas, setPersonas] = useState([]);
+    const [activeId, setActiveId] = useState(null);
+    const [draft, setDraft] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const loadPersonas = async (selectId) => {
+        try {
+            const data = await sidecarGet('/personas');
+            setPersonas(data.personas || []);
+            setActiveId(data.activeId);
+            const selected = data.personas?.find(p => p.id === selectId) || data.personas?.find(p => p.id === data.activeId);
+            setDraft(selected ? { ...selected, reactionTemplates: { ...selected.reactionTemplates } } : null);
+        } catch (e) {
+            setError(e.message);
+        } finally {
+            setLoading(false);
         }
     };
 
-    return (
-        <div className={`p-4 rounded-xl border transition-all ${isLoaded ? 'bg-green-500/10 border-green-500/30' : 'bg-white/[0.02] border-white/5 hover:bg-white/[0.04]'
-            }`}>
-            <div className="flex items-start gap-4">
-                <div className={`w-11 h-11 rounded-xl flex items-center justify-center flex-shrink-0 text-white shadow-md ${isLoaded
-                    ? 'bg-gradient-to-br from-green-400 to-green-600'
-                    : model.downloaded
-                        ? 'bg-gradient-to-br from-indigo-500 to-purple-600'
-                        : 'bg-white/10'
-                    }`}>
-                    {isLoaded ? <Rocket size={20} /> : <Cpu size={20} />}
-                </div>
+    useEffect(() => {
+        loadPersonas();
+    }, []);
 
-                <div className="flex-1 min-w-0">
-                    <div className="flex items-center gap-2 mb-1">
-                        <span className="font-semibold text-white text-sm truncate">
-                            {model.name}
-                        </span>
-                        {isLoaded && (
-                            <span className="text-[10px] px-2 py-0.5 rounded backdrop-blur-sm bg-green-500/20 text-green-400 font-bold uppercase tracking-wider">
-                                Active
-                            </span>
-                        )}
-                        <span className={`text-[10px] px-2 py-0.5 rounded backdrop-blur-sm font-semibold tracking-wider ${getQualityColor(model.quality)}`}>
-                            {model.quality}
-                        </span>
-                    </div>
+    const selectPersona = (persona) => {
+        setError('');
+        setDraft({ ...persona, reactionTemplates: { ...persona.reactionTemplates } });
+    };
 
-                    <div className="text-xs text-white/50 mb-3 truncate">
-                        {model.description}
-                    </div>
+    const handleNew = () => {
+        const base = personas.find(p => p.id === activeId) || personas[0];
+        setError('');
+        setDraft({
+            name: 'New Persona',
+            systemPrompt: base?.systemPrompt || '',
+            reactionTemplates: { ...(base?.reactionTemplates || {}) },
+            temperature: base?.temperature ?? 0.8,
+            maxTokens: base?.maxTokens ?? 100
+        });
+    };
 
-                    <div className="flex gap-4 text-[11px] text-white/40">
-                        <span>Size: <strong className="text-white/60">{model.size}</strong></span>
-                        <span>RAM: <strong className="text-white/60">{model.ram}</strong></span>
-                        <span>Speed: <strong className="text-white/60">{model.speed}</strong></span>
-                    </div>
+    const handleSave = async () => {
+        setError('');
+        setSaving(true);
+        try {
+            const result = await sidecarPost('/personas', draft);
+            await loadPersonas(result.persona?.id);
+        } catch (e) {
+            setError(e.message);
+        } finally {
+            setSaving(false);
+        }
+    };
 
-                    {isDownloading && (
-                        <div className="mt-3">
-                            <div className="h-1.5 rounded-full bg-black/40 overflow-hidden">
-                                <div
-                                    className="h-full rounded-full bg-gradient-to-r from-blue-500 to-indigo-500 transition-all duration-300"
-                                    style={{ width: `${downloadProgress}%` }}
-                                />
-                            </div>
-                            <div className="text-[10px] text-blue-400 mt-1.5 font-medium tracking-wide">
-                                Downloading... {downloadProgress.toFixed(1)}%
-                            </div>
-                        </div>
-                    )}
+    const handleDelete = async () => {
+        setError('');
+        try {
+            await sidecarPost('/personas/delete', { id: draft.id });
+            await loadPersonas();
+        } catch (e) {
+            setError(e.message);
+        }
+    };
+
+    const handleActivate = async () => {
+        setError('');
+        try {
+            await sidecarPost('/personas/activate', { id: draft.id });
+            await loadPersonas(draft.id);
+        } catch (e) {
+            setError(e.message);
+        }
+    };
+
+    const updateDraft = (updates) => setDraft(d => ({ ...d, ...updates }));
+    const updateTemplate = (type, value) => setDraft(d => ({ ...d, reactionTemplates: { ...d.reactionTemplates, [type]: value } }));
+
+    if (loading) {
+        return (
+            <div className="flex justify-center p-8">
+                <Loader2 className="w-6 h-6 animate-spin text-white/50" />
+            </div>
+        );
+    }
+
+    return (
+        <div className="flex flex-col gap-6 animate-in fade-in slide-in-from-bottom-4 duration-500">
+            <div>
+                <h3 className="text-lg font-semibold text-white mb-1">Co-host Personas</h3>
+                <p className="text-sm text-white/50">Pick who the AI co-host speaks as. Switching applies live without reloading the model.</p>
+            </div>
+
+            {error && (
+                <div className="p-4 rounded-xl bg-red-500/10 border border-red-500/20 text-red-400 text-sm">
+                    {error}
                 </div>
+            )}
 
-                <div className="flex-shrink-0">
-                    {!model.downloaded ? (
+            <div className="flex gap-4 min-h-0">
+                {/* Persona List */}
+                <div className="w-48 flex-shrink-0 flex flex-col gap-2">
+                    {personas.map(persona => (
                         <button
-                            onClick={onDownload}
-                            disabled={isDownloading}
-                            className={`px-3 py-1.5 rounded-lg font-medium text-xs flex items-center gap-2 transition-all shadow-md
-                                ${isDownloading
-                                    ? 'bg-white/10 text-white/50 cursor-wait'
-                                    : 'bg-white text-black hover:bg-white/90'
+                            key={persona.id}
+                            onClick={() => selectPersona(persona)}
+                            className={`flex items-center justify-between gap-2 px-3 py-2 rounded-xl text-left text-sm transition-colors border ${draft?.id === persona.id
+                                ? 'bg-blue-500/10 text-blue-400 border-blue-500/20'
+                                : 'text-white/70 hover:bg-white/5 border-transparent'
                                 }`}
                         >
-                            {isDownloading ? <Loader2 size={14} className="animate-spin" /> : <Download size={14} />}
-                            {isDownloading ? 'Downloading' : 'Download'}
+                            <span className="truncate">{persona.name}</span>
+                            {persona.id === activeId && (
+                                <span className="text-[9px] px-1.5 py-0.5 rounded bg-green-500/20 text-green-400 font-bold uppercase tracking-wider">Live</span>
+                            )}
                         </button>
-                    ) : isLoaded ? (
-                        <div className="px-3 py-1.5 rounded-lg bg-green-500/20 text-green-400 text-xs font-semibold shadow-inner">
-                            In Use
+                    ))}
+                    <button
+                        onClick={handleNew}
+                        className="flex items-center gap-2 px-3 py-2 rounded-xl text-sm text-white/50 hover:text-white hover:bg-white/5 border border-dashed border-white/10 transition-colors"
+                    >
+                        <Plus size={14} />
+                        New Persona
+                    </button>
+                </div>
+
+                {/* Persona Editor */}
+                {draft && (
+                    <div className="flex-1 min-w-0 flex flex-col gap-3">
+                        <div className="flex flex-col gap-1">
+                            <label className="text-xs text-white/60 font-medium ml-1">Name</label>
+                            <input type="text" className={inputClass} value={draft.name} onChange={(e) => updateDraft({ name: e.target.value })} />
                         </div>
-                    ) : (
-                        <button
-                            onClick={onLoad}
-                            disabled={isLoading}
-                            className={`px-3 py-1.5 rounded-lg text-xs font-medium flex items-center gap-2 transition-all border
-                                ${isLoading
-                                    ? 'bg-white/5 border-transparent text-white/50 cursor-wait'
-                                    : 'bg-white/5 border-white/10 text-white hover:bg-white/10 hover:border-white/20'
-                                }`}
-                        >
-                            {isLoading ? <Loader2 size={14} className="animate-spin" /> : <Rocket size={14} />}
-                            {isLoading ? 'Loading' : 'Load Model'}
+
+                        <div className="flex flex-col gap-1">
+                            <label className="text-xs text-white/60 font-medium ml-1">System Prompt</label>
+                            <textarea rows={6} className={`${inputClass} font-mono text-xs resize-y`} value={draft.systemPrompt} onChange={(e) => updateDraft({ systemPrompt: e.target.value })} />
+                        </div>
+
+                        <div className="grid grid-cols-2 gap-3">
+                            <div className="flex flex-col gap-1">
+                                <label className="text-xs text-white/60 font-medium ml-1">Temperature ({Number(draft.temperature).toFixed(1)})</label>
+                                <input type="range" min="0" max="2" step="0.1" className="accent-blue-500" value={draft.temperature} onChange={(e) => updateDraft({ temperature: Number(e.target.value) })} />
+                            </div>
+                            <div className="flex flex-col gap-1">
+                                <label className="text-xs text-white/60 font-medium ml-1">Max Tokens</label>
+                                <input type="number" min="1" className={inputClass} value={draft.maxTokens} onChange={(e) => updateDraft({ maxTokens: e.target.value })} />
+                            </div>
+                        </div>
+
+                        <div className="pt-2">
+                            <h4 className="text-sm font-semibold text-white mb-1">Reaction Templates</h4>
+                            <p className="text-xs text-white/50 mb-3">Use <code className="text-blue-300">{'{{payload}}'}</code> for the shared content and <code className="text-blue-300">{'{{type}}'}</code> for its kind.</p>
+                            <div className="flex flex-col gap-3">
+                                {Object.entries(TEMPLATE_LABELS).map(([type, label]) => (
+                                    <div key={type} className="flex flex-col gap-1">
+                                        <label className="text-xs text-white/60 font-medium ml-1">{label}</label>
+                                        <textarea rows={3} className={`${inputClass} font-mono text-xs resize-y`} value={draft.reactionTemplates[type] || ''} onChange={(e) => updateTemplate(type, e.target.value)} />
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+
+                        <div className="flex gap-2 pt-2">
+                            <button
+                                onClick={handleSave}
+                                disabled={saving}
+                                className="flex-1 py-2.5 bg-blue-500 hover:bg-blue-600 text-white font-medium rounded-xl text-sm transition-colors shadow-lg shadow-blue-500/20"
+                            >
+                                {saving ? 'Saving...' : 'Save Persona'}
+                            </button>
+                            {draft.id && draft.id !== activeId && (
+                                <button
+                                    onClick={handleActivate}
+                                    className="px-4 py-2.5 rounded-xl text-sm font-medium border border-green-500/30 bg-green-500/10 text-green-400 hover:bg-green-500/20 transition-colors"
+                                >
+                                    Go Live
+                                </button>
+                            )}
+                            {draft.id && personas.length > 1 && (
+                                <button
+                                    onClick={handleDelete}
+                                    className="flex items-center gap-2 px-4 py-2.5 rounded-xl text-sm border border-red-500/30 bg-red-500/10 text-red-400 hover:bg-red-500/20 transition-colors"
+                                >
+                                    <Trash2 size={14} />
+                                    Delete
+                                </button>
+                            )}
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+const FILTER_ACTION_LABELS = {
+    rewrite: 'Rewrite',
+    hold: 'Hold for review',
+    drop: 'Drop reply'
+};
+
+const ActionSelect = ({ value, onChange, actions = Object.keys(FILTER_ACTION_LABELS) }) => (
+    <select className={`${inputClass} w-auto`} value={value} onChange={(e) => onChange(e.target.value)}>
+        {actions.map(action => <option key={action} value={action} className="bg-black">{FILTER_ACTION_LABELS[action]}</option>)}
+    </select>
+);
+
+function SafetyTab() {
+    const [settings, setSettings] = useState(null);
+    const [blocklistText, setBlocklistText] = useState('');
+    const [held, setHeld] = useState([]);
+    const [saving, setSaving] = useState(false);
+    const [saved, setSaved] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        let mounted = true;
+
+        sidecarGet('/filter')
+            .then(data => {
+                if (!mounted) return;
+                setSettings(data.settings);
+                setBlocklistText((data.settings.blocklist || []).join(', '));
+                setHeld(data.held || []);
+            })
+            .catch(e => mounted && setError(e.message));
+
+        return () => {
+            mounted = false;
+        };
+    }, []);
+
+    // Held replies show up here live while the tab is open
+    useBackendMessages('filter-update', (message) => {
+        if (message.payload.held) setHeld(message.payload.held);
+    });
+
+    const update = (updates) => {
+        setSaved(false);
+        setSettings(s => ({ ...s, ...updates }));
+    };
+
+    const updatePattern = (index, updates) => update({ patterns: settings.patterns.map((p, i) => i === index ? { ...p, ...updates } : p) });
+
+    const handleSave = async () => {
+        setError('');
+        setSaving(true);
+        try {
+            const result = await sidecarPost('/filter', { ...settings, blocklist: blocklistText.split(/[,\n]/) });
+            setSettings(result.settings);
+            setBlocklistText(result.settings.blocklist.join(', '));
+            setSaved(true);
+        } catch (e) {
+            setError(e.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleReview = async (id, approve) => {
+        setError('');
+        try {
+            await sidecarPost(approve ? '/filter/held/approve' : '/filter/held/reject', { id });
+            setHeld(h => h.filter(r => r.id !== id));
+        } catch (e) {
+            setError(e.message);
+        }
+    };
+
+    if (!settings) {
+        return error ? (
+            <div className="p-4 rounded-xl bg-red-500/10 border border-red-500/20 text-red-400 text-sm">{error}</div>
+        ) : (
+            <div className="flex justify-center p-8">
+                <Loader2 className="w-6 h-6 animate-spin text-white/50" />
+            </div>
+        );
+    }
+
+    return (
+        <div className="flex flex-col gap-6 animate-in fade-in slide-in-from-bottom-4 duration-500">
+            <div>
+                <h3 className="text-lg font-semibold text-white mb-1">Output Safety Filter</h3>
+                <p className="text-sm text-white/50 mb-4">Every AI reply runs through these stages before it reaches the stream. Decisions are logged to <code className="text-blue-300">~/.cooldesk/logs</code>.</p>
+
+                <div className="flex flex-col gap-3">
+                    <ToggleItem
+                        label="Enable Filter"
+                        description="Turn the whole pipeline on or off."
+                        active={settings.enabled}
+                        onClick={() => update({ enabled: !settings.enabled })}
+                    />
+                    <ToggleItem
+                        label="Strip Role Prefixes"
+                        description={'Removes "AI:", "Assistant:" or the persona name from the start of replies.'}
+                        active={settings.stripRolePrefixes}
+                        onClick={() => update({ stripRolePrefixes: !settings.stripRolePrefixes })}
+                    />
+                    <ToggleItem
+                        label="LLM Safety Judge"
+                        description="A second model pass judges each reply. Replies then appear all at once instead of streaming."
+                        active={settings.llmJudge}
+                        onClick={() => update({ llmJudge: !settings.llmJudge })}
+                    />
+                </div>
+            </div>
+
+            <div className="flex flex-col gap-3">
+                <div className="flex items-end gap-3">
+                    <div className="flex-1 flex flex-col gap-1">
+                        <label className="text-xs text-white/60 font-medium ml-1">Blocklist (comma separated)</label>
+                        <textarea rows={2} className={`${inputClass} resize-y`} placeholder="word, another word" value={blocklistText} onChange={(e) => { setSaved(false); setBlocklistText(e.target.value); }} />
+                    </div>
+                    <ActionSelect value={settings.blocklistAction} onChange={(blocklistAction) => update({ blocklistAction })} />
+                </div>
+
+                <div className="flex gap-3">
+                    <div className="flex-1 flex flex-col gap-1">
+                        <label className="text-xs text-white/60 font-medium ml-1">Max Length (characters, 0 = off)</label>
+                        <input type="number" min="0" className={inputClass} value={settings.maxLength} onChange={(e) => update({ maxLength: e.target.value })} />
+                    </div>
+                    <div className="flex flex-col gap-1">
+                        <label className="text-xs text-white/60 font-medium ml-1">When the Judge Says Unsafe</label>
+                        <ActionSelect value={settings.llmJudgeAction} actions={['hold', 'drop']} onChange={(llmJudgeAction) => update({ llmJudgeAction })} />
+                    </div>
+                </div>
+
+                <div className="flex flex-col gap-2">
+                    <label className="text-xs text-white/60 font-medium ml-1">Regex Patterns</label>
+                    {settings.patterns.map((p, index) => (
+                        <div key={index} className="flex gap-2 items-center">
+                            <input type="text" className={`${inputClass} font-mono text-xs`} placeholder="https?://\S+" value={p.pattern} onChange={(e) => updatePattern(index, { pattern: e.target.value })} />
+                            <ActionSelect value={p.action} onChange={(action) => updatePattern(index, { action })} />
+                            {p.action === 'rewrite' && (
+                                <input type="text" className={`${inputClass} w-32`} placeholder="Replacement" value={p.replacement || ''} onChange={(e) => updatePattern(index, { replacement: e.target.value })} />
+                            )}
+                            <button onClick={() => update({ patterns: settings.patterns.filter((_, i) => i !== index) })} className="p-2 text-white/30 hover:text-red-400 transition-colors">
+                                <Trash2 size={14} />
+                            </button>
+                        </div>
+                    ))}
+                    <button
+                        onClick={() => update({ patterns: [...settings.patterns, { pattern: '', flags: 'i', action: 'drop' }] })}
+                        className="flex items-center justify-center gap-2 py-2 rounded-xl text-xs text-white/50 hover:text-white hover:bg-white/5 border border-dashed border-white/10 transition-colors"
+                    >
+                        <Plus size={14} />
+                        Add Pattern
+                    </button>
+                </div>
+
+                {error && (
+                    <div className="p-4 rounded-xl bg-red-500/10 border border-red-500/20 text-red-400 text-sm">
+                        {error}
+                    </div>
+                )}
+
+                <button
+                    onClick={handleSave}
+                    disabled={saving}
+                    className="w-full py-2.5 bg-blue-500 hover:bg-blue-600 text-white font-medium rounded-xl text-sm transition-colors shadow-lg shadow-blue-500/20"
+                >
+                    {saving ? 'Saving...' : saved ? 'Saved' : 'Save Filter'}
+                </button>
+            </div>
+
+            <div>
+                <h4 className="text-sm font-semibold text-white mb-1">Held for Review ({held.length})</h4>
+                <p className="text-xs text-white/50 mb-3">Approve to show a held reply on stream, reject to discard it.</p>
+                <div className="flex flex-col gap-2">
+                    {held.length === 0 && (
+                        <div className="text-center py-4 text-white/20 text-xs italic">Nothing waiting.</div>
+                    )}
+                    {held.map(reply => (
+                        <div key={reply.id} className="p-3 rounded-xl bg-amber-500/5 border border-amber-500/20 flex gap-3 items-start">
+                            <div className="flex-1 min-w-0">
+                                <p className="text-sm text-white/90 whitespace-pre-wrap break-words">{reply.text}</p>
+                                <p className="text-[11px] text-amber-400/80 mt-1">{reply.reasons?.join(' · ')}</p>
+                            </div>
+                            <button onClick={() => handleReview(reply.id, true)} title="Approve" className="p-1.5 rounded-lg text-green-400 hover:bg-green-500/10 transition-colors">
+                                <Check size={16} />
+                            </button>
+                            <button onClick={() => handleReview(reply.id, false)} title="Reject" className="p-1.5 rounded-lg text-red-400 hover:bg-red-500/10 transition-colors">
+                                <X size={16} />
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+function MemoryTab() {
+    const [settings, setSettings] = useState(null);
+    const [memories, setMemories] = useState([]);
+    const [newText, setNewText] = useState('');
+    const [editing, setEditing] = useState(null);
+    const [error, setError] = useState('');
+
+    const applyData = (data) => {
+        setSettings(data.settings);
+        setMemories(data.memories);
+    };
+
+    useEffect(() => {
+        let mounted = true;
+        sidecarGet('/memory')
+            .then(data => mounted && applyData(data))
+            .catch(e => mounted && setError(e.message));
+        return () => { mounted = false; };
+    }, []);
+
+    // Every change refetches so edits made by the auto-extractor in the meantime show up too
+    const run = async (action) => {
+        setError('');
+        try {
+            await action();
+            applyData(await sidecarGet('/memory'));
+        } catch (e) {
+            setError(e.message);
+        }
+    };
+
+    const toggleSetting = (key) => run(async () => {
+        await sidecarPost('/memory/settings', { [key]: !settings[key] });
+    });
+
+    const handleAdd = () => run(async () => {
+        await sidecarPost('/memory', { text: newText });
+        setNewText('');
+    });
+
+    const handleSaveEdit = () => run(async () => {
+        await sidecarPost('/memory', editing);
+        setEditing(null);
+    });
+
+    const handleDelete = (id) => run(async () => {
+        await sidecarPost('/memory/delete', { id });
+    });
+
+    if (!settings) {
+        return error ? (
+            <div className="p-4 rounded-xl bg-red-500/10 border border-red-500/20 text-red-400 text-sm">{error}</div>
+        ) : (
+            <div className="flex justify-center p-8">
+                <Loader2 className="w-6 h-6 animate-spin text-white/50" />
+            </div>
+        );
+    }
+
+    return (
+        <div className="flex flex-col gap-6 animate-in fade-in slide-in-from-bottom-4 duration-500">
+            <div>
+                <h3 className="text-lg font-semibold text-white mb-1">Long-term Memory</h3>
+                <p className="text-sm text-white/50 mb-4">Facts the co-host remembers across streams. The most relevant ones are added to each prompt.</p>
+
+                <div className="flex flex-col gap-3">
+                    <ToggleItem
+                        label="Use Memories"
+                        description="Look up relevant memories before every reaction."
+                        active={settings.enabled}
+                        onClick={() => toggleSetting('enabled')}
+                    />
+                    <ToggleItem
+                        label="Learn Automatically"
+                        description="Every few exchanges, summarize the conversation into new memories while the model is idle."
+                        active={settings.autoExtract}
+                        onClick={() => toggleSetting('autoExtract')}
+                    />
+                </div>
+            </div>
+
+            <div className="flex gap-2">
+                <input
+                    type="text"
+                    className={inputClass}
+                    placeholder="e.g. The streamer is building CoolDesk in React"
+                    value={newText}
+                    onChange={(e) => setNewText(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && newText.trim() && handleAdd()}
+                />
+                <button
+                    onClick={handleAdd}
+                    disabled={!newText.trim()}
+                    className="flex items-center gap-2 px-4 bg-blue-500 hover:bg-blue-600 disabled:opacity-50 text-white font-medium rounded-xl text-sm transition-colors"
+                >
+                    <Plus size={14} />
+                    Add
+                </button>
+            </div>
+
+            {error && (
+                <div className="p-4 rounded-xl bg-red-500/10 border border-red-500/20 text-red-400 text-sm">
+                    {error}
+                </div>
+            )}
+
+            <div>
+                <h4 className="text-sm font-semibold text-white mb-3">Memories ({memories.length})</h4>
+                <div className="flex flex-col gap-2">
+                    {memories.length === 0 && (
+                        <div className="text-center py-4 text-white/20 text-xs italic">Nothing remembered yet.</div>
+                    )}
+                    {memories.map(memory => (
+                        <div key={memory.id} className="p-3 rounded-xl bg-white/5 border border-white/10 flex gap-3 items-start">
+                            {editing?.id === memory.id ? (
+                                <>
+                                    <textarea rows={2} className={`${inputClass} resize-y`} value={editing.text} onChange={(e) => setEditing({ ...editing, text: e.target.value })} />
+                                    <button onClick={handleSaveEdit} title="Save" className="p-1.5 rounded-lg text-green-400 hover:bg-green-500/10 transition-colors">
+                                        <Check size={16} />
+                                    </button>
+                                    <button onClick={() => setEditing(null)} title="Cancel" className="p-1.5 rounded-lg text-white/40 hover:bg-white/10 transition-colors">
+                                        <X size={16} />
+                                    </button>
+                                </>
+                            ) : (
+                                <>
+                                    <div className="flex-1 min-w-0">
+                                        <p className="text-sm text-white/90 whitespace-pre-wrap break-words">{memory.text}</p>
+                                        <p className="text-[11px] text-white/40 mt-1">
+                                            {memory.source === 'auto' ? 'Learned' : 'Added by you'} · {new Date(memory.updatedAt).toLocaleDateString()}
+                                        </p>
+                                    </div>
+                                    <button onClick={() => setEditing({ id: memory.id, text: memory.text })} title="Edit" className="p-1.5 rounded-lg text-white/40 hover:text-white hover:bg-white/10 transition-colors">
+                                        <Pencil size={14} />
+                                    </button>
+                                    <button onClick={() => handleDelete(memory.id)} title="Delete" className="p-1.5 rounded-lg text-white/30 hover:text-red-400 transition-colors">
+                                        <Trash2 size={14} />
+                                    </button>
+                                </>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+const CHAT_REACT_MODES = {
+    off: 'Never',
+    mentions: 'When @mentioned',
+    prefix: 'Messages starting with the prefix',
+    all: 'Every message'
+};
+
+const CHAT_STATE_STYLES = {
+    connected: 'text-green-400',
+    connecting: 'text-amber-400',
+    reconnecting: 'text-amber-400',
+    'auth-failed': 'text-red-400',
+    disabled: 'text-white/40'
+};
+
+function ChatTab() {
+    const [settings, setSettings] = useState(null);
+    const [password, setPassword] = useState('');
+    const [status, setStatus] = useState(null);
+    const [saving, setSaving] = useState(false);
+    const [saved, setSaved] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        let mounted = true;
+        sidecarGet('/chat')
+            .then(data => {
+                if (!mounted) return;
+                setSettings(data.settings);
+                setStatus(data.status);
+            })
+            .catch(e => mounted && setError(e.message));
+        return () => { mounted = false; };
+    }, []);
+
+    useBackendMessages('chat-status', (message) => setStatus(message.payload));
+
+    const update = (updates) => {
+        setSaved(false);
+        setSettings(s => ({ ...s, ...updates }));
+    };
+
+    const handleSave = async () => {
+        setError('');
+        setSaving(true);
+        try {
+            const result = await sidecarPost('/chat/settings', { ...settings, password });
+            setSettings(result.settings);
+            setStatus(result.status);
+            setPassword('');
+            setSaved(true);
+        } catch (e) {
+            setError(e.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (!settings || !status) {
+        return error ? (
+            <div className="p-4 rounded-xl bg-red-500/10 border border-red-500/20 text-red-400 text-sm">{error}</div>
+        ) : (
+            <div className="flex justify-center p-8">
+                <Loader2 className="w-6 h-6 animate-spin text-white/50" />
+            </div>
+        );
+    }
+
+    return (
+        <div className="flex flex-col gap-6 animate-in fade-in slide-in-from-bottom-4 duration-500">
+            <div>
+                <div className="flex items-center justify-between mb-1">
+                    <h3 className="text-lg font-semibold text-white">Viewer Chat</h3>
+                    <span className={`text-xs font-mono ${CHAT_STATE_STYLES[status.state] || 'text-white/40'}`}>
+                        {status.state}{status.channel && status.state === 'connected' ? ` · #${status.channel}` : ''}
+                        {status.retryInMs ? ` · retry in ${Math.round(status.retryInMs / 1000)}s` : ''}
+                    </span>
+                </div>
+                <p className="text-sm text-white/50 mb-4">Connects to an IRC chat such as Twitch and shows viewer messages on the overlay with their name, color and badges.</p>
+                {status.error && status.state !== 'connected' && (
+                    <p className="text-xs text-red-400 mb-3">{status.error}</p>
+                )}
+
+                <div className="flex flex-col gap-3">
+                    <ToggleItem
+                        label="Connect to Chat"
+                        description="Stays connected and reconnects on its own when the connection drops."
+                        active={settings.enabled}
+                        onClick={() => update({ enabled: !settings.enabled })}
+                    />
+                    <ToggleItem
+                        label="Use TLS"
+                        description="Twitch: port 6697 with TLS. Local test servers usually use 6667 without."
+                        active={settings.tls}
+                        onClick={() => update({ tls: !settings.tls })}
+                    />
+                </div>
+            </div>
+
+            <div className="flex flex-col gap-3">
+                <div className="flex gap-3">
+                    <div className="flex-1 flex flex-col gap-1">
+                        <label className="text-xs text-white/60 font-medium ml-1">Host</label>
+                        <input type="text" className={inputClass} value={settings.host} onChange={(e) => update({ host: e.target.value })} />
+                    </div>
+                    <div className="flex flex-col gap-1">
+                        <label className="text-xs text-white/60 font-medium ml-1">Port</label>
+                        <input type="number" className={`${inputClass} w-28`} value={settings.port} onChange={(e) => update({ port: e.target.value })} />
+                    </div>
+                </div>
+                <div className="flex flex-col gap-1">
+                    <label className="text-xs text-white/60 font-medium ml-1">Channel</label>
+                    <input type="text" className={inputClass} placeholder="yourchannel" value={settings.channel} onChange={(e) => update({ channel: e.target.value })} />
+                </div>
+                <div className="flex gap-3">
+                    <div className="flex-1 flex flex-col gap-1">
+                        <label className="text-xs text-white/60 font-medium ml-1">Nickname (empty = anonymous)</label>
+                        <input type="text" className={inputClass} value={settings.nickname} onChange={(e) => update({ nickname: e.target.value })} />
+                    </div>
+                    <div className="flex-1 flex flex-col gap-1">
+                        <label className="text-xs text-white/60 font-medium ml-1">Password / OAuth Token</label>
+                        <input type="password" className={inputClass} placeholder={settings.hasPassword ? 'Saved (leave empty to keep)' : 'oauth:...'} value={password} onChange={(e) => { setSaved(false); setPassword(e.target.value); }} />
+                    </div>
+                </div>
+            </div>
+
+            <div className="flex flex-col gap-3">
+                <h4 className="text-sm font-semibold text-white">Co-host Answers</h4>
+                <div className="flex gap-3">
+                    <div className="flex-1 flex flex-col gap-1">
+                        <label className="text-xs text-white/60 font-medium ml-1">Answer</label>
+                        <select className={inputClass} value={settings.reactMode} onChange={(e) => update({ reactMode: e.target.value })}>
+                            {Object.entries(CHAT_REACT_MODES).map(([mode, label]) => <option key={mode} value={mode} className="bg-black">{label}</option>)}
+                        </select>
+                    </div>
+                    {settings.reactMode === 'prefix' && (
+                        <div className="flex flex-col gap-1">
+                            <label className="text-xs text-white/60 font-medium ml-1">Prefix</label>
+                            <input type="text" className={`${inputClass} w-28`} value={settings.reactPrefix} onChange={(e) => update({ reactPrefix: e.target.value })} />
+                        </div>
+                    )}
+                    <div className="flex flex-col gap-1">
+                        <label className="text-xs text-white/60 font-medium ml-1">Cooldown (s)</label>
+                        <input type="number" min="0" className={`${inputClass} w-28`} value={settings.reactCooldown} onChange={(e) => update({ reactCooldown: e.target.value })} />
+                    </div>
+                </div>
+            </div>
+
+            {error && (
+                <div className="p-4 rounded-xl bg-red-500/10 border border-red-500/20 text-red-400 text-sm">
+                    {error}
+                </div>
+            )}
+
+            <button
+                onClick={handleSave}
+                disabled={saving}
+                className="w-full py-2.5 bg-blue-500 hover:bg-blue-600 text-white font-medium rounded-xl text-sm transition-colors shadow-lg shadow-blue-500/20"
+            >
+                {saving ? 'Saving...' : saved ? 'Saved' : 'Save & Reconnect'}
+            </button>
+        </div>
+    );
+}
+
+const COMMAND_ROLES = {
+    viewer: 'Everyone',
+    mod: 'Mods & streamer',
+    streamer: 'Streamer only'
+};
+
+const NEW_COMMAND = {
+    name: '',
+    description: '',
+    role: 'viewer',
+    cooldown: 30,
+    enabled: true,
+    template: `{{username}} asks: "{{args}}"
+
+Answer in one short sentence for the live audience.`
+};
+
+function CommandsTab() {
+    const [commands, setCommands] = useState([]);
+    const [prefix, setPrefix] = useState('!');
+    const [draft, setDraft] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const loadCommands = async (selectName) => {
+        try {
+            const data = await sidecarGet('/commands');
+            setCommands(data.commands || []);
+            setPrefix(data.prefix);
+            const selected = data.commands?.find(c => c.name === selectName) || data.commands?.[0];
+            setDraft(selected ? { ...selected } : null);
+        } catch (e) {
+            setError(e.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        loadCommands();
+    }, []);
+
+    const selectCommand = (command) => {
+        setError('');
+        setDraft({ ...command });
+    };
+
+    const handleNew = () => {
+        setError('');
+        setDraft({ ...NEW_COMMAND });
+    };
+
+    const handleSave = async () => {
+        setError('');
+        setSaving(true);
+        try {
+            const result = await sidecarPost('/commands', draft);
+            await loadCommands(result.command?.name);
+        } catch (e) {
+            setError(e.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async () => {
+        setError('');
+        try {
+            await sidecarPost('/commands/delete', { name: draft.name });
+            await loadCommands();
+        } catch (e) {
+            setError(e.message);
+        }
+    };
+
+    const handlePrefixSave = async () => {
+        setError('');
+        try {
+            const result = await sidecarPost('/commands/settings', { prefix });
+            setPrefix(result.prefix);
+        } catch (e) {
+            setError(e.message);
+        }
+    };
+
+    const updateDraft = (updates) => setDraft(d => ({ ...d, ...updates }));
+    const isSaved = Boolean(draft && commands.some(c => c.name === draft.name));
+
+    if (loading) {
+        return (
+            <div className="flex justify-center p-8">
+                <Loader2 className="w-6 h-6 animate-spin text-white/50" />
+            </div>
+        );
+    }
+
+    return (
+        <div className="flex flex-col gap-6 animate-in fade-in slide-in-from-bottom-4 duration-500">
+            <div>
+                <h3 className="text-lg font-semibold text-white mb-1">Chat Commands</h3>
+                <p className="text-sm text-white/50">Viewers run these from chat, you run them from the extension popup. Each command has its own prompt, who may use it, and a cooldown per viewer. You are never rate limited.</p>
+            </div>
+
+            {error && (
+                <div className="p-4 rounded-xl bg-red-500/10 border border-red-500/20 text-red-400 text-sm">
+                    {error}
+                </div>
+            )}
+
+            <div className="flex items-end gap-3">
+                <div className="flex flex-col gap-1">
+                    <label className="text-xs text-white/60 font-medium ml-1">Prefix</label>
+                    <input type="text" maxLength={3} className={`${inputClass} w-28 font-mono`} value={prefix} onChange={(e) => setPrefix(e.target.value)} />
+                </div>
+                <button
+                    onClick={handlePrefixSave}
+                    className="px-4 py-2 rounded-xl text-sm font-medium border border-white/10 bg-white/5 text-white/70 hover:bg-white/10 transition-colors"
+                >
+                    Save Prefix
+                </button>
+            </div>
+
+            <div className="flex gap-4 min-h-0">
+                {/* Command List */}
+                <div className="w-48 flex-shrink-0 flex flex-col gap-2">
+                    {commands.map(command => (
+                        <button
+                            key={command.name}
+                            onClick={() => selectCommand(command)}
+                            className={`flex items-center justify-between gap-2 px-3 py-2 rounded-xl text-left text-sm font-mono transition-colors border ${draft?.name === command.name && isSaved
+                                ? 'bg-blue-500/10 text-blue-400 border-blue-500/20'
+                                : 'text-white/70 hover:bg-white/5 border-transparent'
+                                } ${command.enabled ? '' : 'opacity-50'}`}
+                        >
+                            <span className="truncate">{prefix}{command.name}</span>
+                            {command.role !== 'viewer' && (
+                                <span className="text-[9px] px-1.5 py-0.5 rounded bg-white/10 text-white/60 font-sans font-bold uppercase tracking-wider">{command.role}</span>
+                            )}
+                        </button>
+                    ))}
+                    <button
+                        onClick={handleNew}
+                        className="flex items-center gap-2 px-3 py-2 rounded-xl text-sm text-white/50 hover:text-white hover:bg-white/5 border border-dashed border-white/10 transition-colors"
+                    >
+                        <Plus size={14} />
+                        New Command
+                    </button>
+                </div>
+
+                {/* Command Editor */}
+                {draft && (
+                    <div className="flex-1 min-w-0 flex flex-col gap-3">
+                        <div className="flex gap-3">
+                            <div className="flex-1 flex flex-col gap-1">
+                                <label className="text-xs text-white/60 font-medium ml-1">Name</label>
+                                <input type="text" className={`${inputClass} font-mono`} placeholder="hype" disabled={isSaved} value={draft.name} onChange={(e) => updateDraft({ name: e.target.value })} />
+                            </div>
+                            <div className="flex flex-col gap-1">
+                                <label className="text-xs text-white/60 font-medium ml-1">Cooldown (s)</label>
+                                <input type="number" min="0" className={`${inputClass} w-28`} value={draft.cooldown} onChange={(e) => updateDraft({ cooldown: e.target.value })} />
+                            </div>
+                        </div>
+
+                        <div className="flex flex-col gap-1">
+                            <label className="text-xs text-white/60 font-medium ml-1">Description (helps the co-host match plain-word commands)</label>
+                            <input type="text" className={inputClass} value={draft.description} onChange={(e) => updateDraft({ description: e.target.value })} />
+                        </div>
+
+                        <div className="flex flex-col gap-1">
+                            <label className="text-xs text-white/60 font-medium ml-1">Who can use it</label>
+                            <select className={inputClass} value={draft.role} onChange={(e) => updateDraft({ role: e.target.value })}>
+                                {Object.entries(COMMAND_ROLES).map(([role, label]) => <option key={role} value={role} className="bg-black">{label}</option>)}
+                            </select>
+                        </div>
+
+                        <ToggleItem
+                            label="Enabled"
+                            description="Disabled commands are ignored and stay a normal chat line."
+                            active={draft.enabled}
+                            onClick={() => updateDraft({ enabled: !draft.enabled })}
+                        />
+
+                        <div className="flex flex-col gap-1">
+                            <label className="text-xs text-white/60 font-medium ml-1">Prompt Template</label>
+                            <textarea rows={6} className={`${inputClass} font-mono text-xs resize-y`} value={draft.template} onChange={(e) => updateDraft({ template: e.target.value })} />
+                            <p className="text-xs text-white/50 ml-1">
+                                <code className="text-blue-300">{'{{username}}'}</code> who ran it, <code className="text-blue-300">{'{{args}}'}</code> the text after the command, <code className="text-blue-300">{'{{highlight}}'}</code> the last thing you shared, <code className="text-blue-300">{'{{role}}'}</code> viewer, mod or streamer.
+                            </p>
+                        </div>
+
+                        <div className="flex gap-2 pt-2">
+                            <button
+                                onClick={handleSave}
+                                disabled={saving}
+                                className="flex-1 py-2.5 bg-blue-500 hover:bg-blue-600 text-white font-medium rounded-xl text-sm transition-colors shadow-lg shadow-blue-500/20"
+                            >
+                                {saving ? 'Saving...' : 'Save Command'}
+                            </button>
+                            {isSaved && !draft.builtin && (
+                                <button
+                                    onClick={handleDelete}
+                                    className="flex items-center gap-2 px-4 py-2.5 rounded-xl text-sm border border-red-500/30 bg-red-500/10 text-red-400 hover:bg-red-500/20 transition-colors"
+                                >
+                                    <Trash2 size={14} />
+                                    Delete
+                                </button>
+                            )}
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+const FOCUS_DURATIONS = {
+    focusMinutes: 'Focus',
+    shortBreakMinutes: 'Short Break',
+    longBreakMinutes: 'Long Break',
+    longBreakEvery: 'Long Break Every'
+};
+
+const OBS_STATE_STYLES = {
+    connected: 'text-green-400',
+    connecting: 'text-amber-400',
+    'auth-failed': 'text-red-400',
+    offline: 'text-white/40'
+};
+
+function WidgetsTab() {
+    const [regions, setRegions] = useState(DEFAULT_WIDGET_LAYOUT);
+    const [adding, setAdding] = useState({});
+    const [editingId, setEditingId] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+    const [saved, setSaved] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        sidecarGet('/layout')
+            .then(layout => setRegions(normalizeWidgetLayout(layout.widgets)))
+            .catch(e => setError(e.message))
+            .finally(() => setLoading(false));
+    }, []);
+
+    const edit = (update) => {
+        setSaved(false);
+        setRegions(update);
+    };
+
+    const updateEntry = (region, id, updates) => edit(r => ({
+        ...r,
+        [region]: r[region].map(entry => entry.id === id ? { ...entry, ...updates } : entry)
+    }));
+
+    const setProp = (region, entry, key, value) => {
+        const props = { ...entry.props };
+        if (value === '') delete props[key];
+        else props[key] = value;
+        updateEntry(region, entry.id, { props });
+    };
+
+    const moveEntry = (from, entry, to) => edit(r => ({
+        ...r,
+        [from]: r[from].filter(e => e.id !== entry.id),
+        [to]: [...r[to], entry]
+    }));
+
+    const removeEntry = (region, id) => edit(r => ({ ...r, [region]: r[region].filter(e => e.id !== id) }));
+
+    const addEntry = (region) => {
+        const type = adding[region];
+        if (!type) return;
+        // Same widget can sit in the layout more than once, each with its own props
+        const taken = Object.values(regions).flat().some(e => e.id === type);
+        const id = taken ? `${type}-${Date.now().toString(36)}` : type;
+        edit(r => ({ ...r, [region]: [...r[region], { id, type, props: {} }] }));
+        setAdding(a => ({ ...a, [region]: '' }));
+    };
+
+    const handleSave = async () => {
+        setError('');
+        setSaving(true);
+        try {
+            await sidecarPost('/layout', { widgets: regions });
+            setSaved(true);
+        } catch (e) {
+            setError(e.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className="flex justify-center p-8">
+                <Loader2 className="w-6 h-6 animate-spin text-white/50" />
+            </div>
+        );
+    }
+
+    return (
+        <div className="flex flex-col gap-6 animate-in fade-in slide-in-from-bottom-4 duration-500">
+            <div>
+                <div className="flex items-center justify-between mb-1">
+                    <h3 className="text-lg font-semibold text-white">Widgets</h3>
+                    <button
+                        onClick={() => edit(DEFAULT_WIDGET_LAYOUT)}
+                        className="px-3 py-1.5 rounded-lg text-xs font-medium flex items-center gap-2 bg-white/5 border border-white/10 text-white hover:bg-white/10 transition-colors"
+                    >
+                        <RotateCcw size={14} /> Defaults
+                    </button>
+                </div>
+                <p className="text-sm text-white/50">Drag to reorder. Layout presets can still hide a widget without removing it from here.</p>
+            </div>
+
+            {Object.entries(REGIONS).map(([region, regionLabel]) => (
+                <div key={region} className="flex flex-col gap-2">
+                    <h4 className="text-sm font-semibold text-white">{regionLabel}</h4>
+                    <Reorder.Group as="div" axis="y" values={regions[region]} onReorder={(next) => edit(r => ({ ...r, [region]: next }))} className="flex flex-col gap-2">
+                        {regions[region].map(entry => {
+                            const definition = getWidget(entry.type);
+                            const fields = Object.entries(definition.props);
+                            return (
+                                <Reorder.Item as="div" key={entry.id} value={entry} className="flex flex-col gap-3 p-3 rounded-xl bg-white/5 border border-white/5">
+                                    <div className="flex items-center gap-3">
+                                        <GripVertical size={14} className="shrink-0 text-white/30 cursor-grab active:cursor-grabbing" />
+                                        <span className="flex-1 text-sm text-white truncate">
+                                            {definition.label}
+                                            {entry.props.title && <span className="text-white/40"> · {entry.props.title}</span>}
+                                        </span>
+                                        {definition.regions.length > 1 && (
+                                            <select className={`${inputClass} w-36 py-1 text-xs`} value={region} onChange={(e) => moveEntry(region, entry, e.target.value)}>
+                                                {definition.regions.map(key => <option key={key} value={key} className="bg-black">{REGIONS[key]}</option>)}
+                                            </select>
+                                        )}
+                                        {fields.length > 0 && (
+                                            <button onClick={() => setEditingId(id => id === entry.id ? null : entry.id)} title="Options" className={`p-1.5 rounded-lg hover:bg-white/10 transition-colors ${editingId === entry.id ? 'text-blue-400' : 'text-white/50 hover:text-white'}`}>
+                                                <SlidersHorizontal size={14} />
+                                            </button>
+                                        )}
+                                        <button onClick={() => removeEntry(region, entry.id)} title="Remove" className="p-1.5 rounded-lg text-white/30 hover:text-red-400 hover:bg-red-500/10 transition-colors">
+                                            <Trash2 size={14} />
+                                        </button>
+                                    </div>
+                                    {editingId === entry.id && (
+                                        <div className="grid grid-cols-2 gap-3 pl-7">
+                                            {fields.map(([key, field]) => (
+                                                <div key={key} className="flex flex-col gap-1">
+                                                    <label className="text-xs text-white/60 font-medium ml-1">{field.label}</label>
+                                                    <input
+                                                        type={field.type}
+                                                        className={inputClass}
+                                                        placeholder={String(field.default)}
+                                                        value={entry.props[key] ?? ''}
+                                                        onChange={(e) => setProp(region, entry, key, field.type === 'number' && e.target.value !== '' ? Number(e.target.value) : e.target.value)}
+                                                    />
+                                                </div>
+                                            ))}
+                                        </div>
+                                    )}
+                                </Reorder.Item>
+                            );
+                        })}
+                    </Reorder.Group>
+                    {regions[region].length === 0 && (
+                        <p className="text-xs text-white/30 p-3 rounded-xl border border-dashed border-white/10">Empty: this region is hidden on the overlay.</p>
+                    )}
+                    <div className="flex gap-2">
+                        <select className={inputClass} value={adding[region] || ''} onChange={(e) => setAdding(a => ({ ...a, [region]: e.target.value }))}>
+                            <option value="" className="bg-black">Add a widget...</option>
+                            {listWidgets().filter(w => w.regions.includes(region)).map(w => (
+                                <option key={w.type} value={w.type} className="bg-black">{w.label}</option>
+                            ))}
+                        </select>
+                        <button
+                            onClick={() => addEntry(region)}
+                            disabled={!adding[region]}
+                            className="px-4 rounded-xl text-xs font-medium flex items-center gap-2 bg-white/5 border border-white/10 text-white/70 hover:bg-white/10 disabled:opacity-40 transition-colors"
+                        >
+                            <Plus size={14} /> Add
+                        </button>
+                    </div>
+                </div>
+            ))}
+
+            <button
+                onClick={handleSave}
+                disabled={saving}
+                className="w-full py-2.5 bg-blue-500 hover:bg-blue-600 text-white font-medium rounded-xl text-sm transition-colors shadow-lg shadow-blue-500/20 flex items-center justify-center gap-2"
+            >
+                {saving ? 'Saving...' : saved ? 'Saved' : 'Save Widgets'}
+            </button>
+
+            {error && (
+                <div className="p-4 rounded-xl bg-red-500/10 border border-red-500/20 text-red-400 text-sm">
+                    {error}
+                </div>
+            )}
+        </div>
+    );
+}
+
+function ThemeTab() {
+    const [theme, setTheme] = useState(DEFAULT_THEME);
+    const [custom, setCustom] = useState(resolveTheme(DEFAULT_THEME));
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+    const [saved, setSaved] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        sidecarGet('/layout')
+            .then(layout => {
+                setTheme(layout.theme === 'custom' || THEMES[layout.theme] ? layout.theme : DEFAULT_THEME);
+                setCustom(resolveTheme('custom', layout.customTheme));
+            })
+            .catch(e => setError(e.message))
+            .finally(() => setLoading(false));
+    }, []);
+
+    const save = async (updates) => {
+        setError('');
+        setSaving(true);
+        try {
+            await sidecarPost('/layout', updates);
+            setSaved(true);
+        } catch (e) {
+            setError(e.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    // Built-in themes switch every overlay right away
+    const handlePick = (key) => {
+        setTheme(key);
+        setSaved(false);
+        if (key !== 'custom') save({ theme: key });
+    };
+
+    const setColor = (slot, value) => {
+        setSaved(false);
+        setCustom(c => ({ ...c, [slot]: value }));
+    };
+
+    if (loading) {
+        return (
+            <div className="flex justify-center p-8">
+                <Loader2 className="w-6 h-6 animate-spin text-white/50" />
+            </div>
+        );
+    }
+
+    const choices = [...Object.entries(THEMES).map(([key, t]) => [key, t.label, t.colors]), ['custom', 'Custom', custom]];
+
+    return (
+        <div className="flex flex-col gap-6 animate-in fade-in slide-in-from-bottom-4 duration-500">
+            <div>
+                <h3 className="text-lg font-semibold text-white mb-1">Theme</h3>
+                <p className="text-sm text-white/50 mb-4">Colors for every overlay widget. Picking a theme switches all open overlays live.</p>
+
+                <div className="grid grid-cols-2 gap-3">
+                    {choices.map(([key, label, colors]) => (
+                        <button
+                            key={key}
+                            onClick={() => handlePick(key)}
+                            className={`p-3 rounded-xl border text-left transition-colors ${theme === key ? 'border-blue-500/50 bg-blue-500/10' : 'border-white/10 bg-white/5 hover:bg-white/10'}`}
+                        >
+                            <div className="flex items-center justify-between mb-2">
+                                <span className="text-sm font-medium text-white">{label}</span>
+                                {theme === key && <Check size={14} className="text-blue-400" />}
+                            </div>
+                            <div className="flex rounded-md overflow-hidden border border-white/10" style={{ background: colors.panel }}>
+                                {Object.keys(THEME_COLORS).filter(slot => slot !== 'panel').map(slot => (
+                                    <span key={slot} className="h-5 flex-1" style={{ background: colors[slot] }} />
+                                ))}
+                            </div>
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {theme === 'custom' && (
+                <div className="flex flex-col gap-3 p-4 rounded-xl bg-white/5 border border-blue-500/20">
+                    <div className="flex items-center justify-between">
+                        <h4 className="text-sm font-semibold text-white">Custom Colors</h4>
+                        <select
+                            className={`${inputClass} w-44 py-1 text-xs`}
+                            value=""
+                            onChange={(e) => { setSaved(false); setCustom(resolveTheme(e.target.value)); }}
+                        >
+                            <option value="" className="bg-black">Start from...</option>
+                            {Object.entries(THEMES).map(([key, t]) => <option key={key} value={key} className="bg-black">{t.label}</option>)}
+                        </select>
+                    </div>
+                    <div className="grid grid-cols-2 gap-3">
+                        {Object.entries(THEME_COLORS).map(([slot, label]) => (
+                            <div key={slot} className="flex items-center gap-3">
+                                <input
+                                    type="color"
+                                    value={custom[slot]}
+                                    onChange={(e) => setColor(slot, e.target.value)}
+                                    className="w-9 h-9 shrink-0 rounded-lg bg-transparent border border-white/10 cursor-pointer"
+                                />
+                                <div className="flex flex-col min-w-0">
+                                    <span className="text-xs text-white/60 font-medium">{label}</span>
+                                    <span className="text-[11px] font-mono text-white/40">{custom[slot]}</span>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                    <button
+                        onClick={() => save({ theme: 'custom', customTheme: custom })}
+                        disabled={saving}
+                        className="w-full py-2.5 bg-blue-500 hover:bg-blue-600 text-white font-medium rounded-xl text-sm transition-colors shadow-lg shadow-blue-500/20"
+                    >
+                        {saving ? 'Saving...' : saved ? 'Saved' : 'Apply Custom Theme'}
+                    </button>
+                </div>
+            )}
+
+            {error && (
+                <div className="p-4 rounded-xl bg-red-500/10 border border-red-500/20 text-red-400 text-sm">
+                    {error}
+                </div>
+            )}
+        </div>
+    );
+}
+
+function SocialsTab() {
+    const [links, setLinks] = useState([]);
+    const [ticker, setTicker] = useState({ secondsPerMessage: 10, messages: [] });
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+    const [saved, setSaved] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        sidecarGet('/socials')
+            .then(data => {
+                setLinks(data.links);
+                setTicker(data.ticker);
+            })
+            .catch(e => setError(e.message))
+            .finally(() => setLoading(false));
+    }, []);
+
+    const editLinks = (update) => {
+        setSaved(false);
+        setLinks(update);
+    };
+
+    const editTicker = (updates) => {
+        setSaved(false);
+        setTicker(t => ({ ...t, ...updates }));
+    };
+
+    const updateLink = (id, updates) => editLinks(list => list.map(link => link.id === id ? { ...link, ...updates } : link));
+
+    // Switching platform also switches icon and color to that platform's
+    const setPlatform = (id, platform) => updateLink(id, { platform, icon: SOCIAL_PLATFORMS[platform].icon, color: '' });
+
+    const addLink = () => editLinks(list => [...list, { id: crypto.randomUUID(), platform: 'website', handle: '', icon: SOCIAL_PLATFORMS.website.icon, color: '' }]);
+
+    const setMessage = (index, text) => editTicker({ messages: ticker.messages.map((m, i) => i === index ? text : m) });
+
+    const handleSave = async () => {
+        setError('');
+        setSaving(true);
+        try {
+            const res = await sidecarPost('/socials', { links, ticker });
+            setLinks(res.settings.links);
+            setTicker(res.settings.ticker);
+            setSaved(true);
+        } catch (e) {
+            setError(e.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className="flex justify-center p-8">
+                <Loader2 className="w-6 h-6 animate-spin text-white/50" />
+            </div>
+        );
+    }
+
+    return (
+        <div className="flex flex-col gap-6 animate-in fade-in slide-in-from-bottom-4 duration-500">
+            <div>
+                <div className="flex items-center justify-between mb-1">
+                    <h3 className="text-lg font-semibold text-white">Social Links</h3>
+                    <button
+                        onClick={addLink}
+                        className="px-3 py-1.5 rounded-lg text-xs font-medium flex items-center gap-2 bg-white/5 border border-white/10 text-white hover:bg-white/10 transition-colors"
+                    >
+                        <Plus size={14} /> Add Link
+                    </button>
+                </div>
+                <p className="text-sm text-white/50 mb-4">Listed in the social feed in this order; drag to reorder. Links without a handle are dropped on save.</p>
+
+                <Reorder.Group as="div" axis="y" values={links} onReorder={editLinks} className="flex flex-col gap-2">
+                    {links.map(link => {
+                        const { Icon, color } = linkStyle(link);
+                        return (
+                            <Reorder.Item as="div" key={link.id} value={link} className="flex items-center gap-2 p-2 rounded-xl bg-white/5 border border-white/5">
+                                <GripVertical size={14} className="shrink-0 text-white/30 cursor-grab active:cursor-grabbing" />
+                                <div className="p-2 rounded-lg bg-white/5 text-white shrink-0" style={color ? { color } : undefined}>
+                                    <Icon size={16} />
+                                </div>
+                                <select className={`${inputClass} w-32 shrink-0`} value={SOCIAL_PLATFORMS[link.platform] ? link.platform : 'website'} onChange={(e) => setPlatform(link.id, e.target.value)}>
+                                    {Object.entries(SOCIAL_PLATFORMS).map(([key, p]) => <option key={key} value={key} className="bg-black">{p.label}</option>)}
+                                </select>
+                                <input type="text" className={inputClass} placeholder="@handle or URL" value={link.handle} onChange={(e) => updateLink(link.id, { handle: e.target.value })} />
+                                <select className={`${inputClass} w-28 shrink-0`} value={link.icon} onChange={(e) => updateLink(link.id, { icon: e.target.value })} title="Icon">
+                                    {Object.keys(SOCIAL_ICONS).map(key => <option key={key} value={key} className="bg-black">{key}</option>)}
+                                </select>
+                                <input
+                                    type="color"
+                                    value={color || '#ffffff'}
+                                    onChange={(e) => updateLink(link.id, { color: e.target.value })}
+                                    title="Color"
+                                    className="w-9 h-9 shrink-0 rounded-lg bg-transparent border border-white/10 cursor-pointer"
+                                />
+                                <button onClick={() => updateLink(link.id, { color: '' })} title="Platform color" className="p-1.5 rounded-lg text-white/30 hover:text-white hover:bg-white/10 transition-colors">
+                                    <RotateCcw size={14} />
+                                </button>
+                                <button onClick={() => editLinks(list => list.filter(l => l.id !== link.id))} title="Remove" className="p-1.5 rounded-lg text-white/30 hover:text-red-400 hover:bg-red-500/10 transition-colors">
+                                    <Trash2 size={14} />
+                                </button>
+                            </Reorder.Item>
+                        );
+                    })}
+                </Reorder.Group>
+            </div>
+
+            <div className="flex flex-col gap-3">
+                <div className="flex items-center justify-between">
+                    <h4 className="text-sm font-semibold text-white">Ticker</h4>
+                    <div className="flex items-center gap-2">
+                        <label className="text-xs text-white/60 font-medium">Seconds per message</label>
+                        <input type="number" min="3" max="120" className={`${inputClass} w-20 py-1`} value={ticker.secondsPerMessage} onChange={(e) => editTicker({ secondsPerMessage: Number(e.target.value) })} />
+                    </div>
+                </div>
+                <p className="text-xs text-white/50 -mt-2">
+                    Shown one after another under the links. Use {Object.entries(TICKER_VARIABLES).map(([key, label], i) => (
+                        <span key={key}>{i > 0 && ', '}<code className="text-white/70" title={label}>{`{${key}}`}</code></span>
+                    ))} for live values; a message waits until all of its values are known.
+                </p>
+                {ticker.messages.map((text, index) => (
+                    <div key={index} className="flex items-center gap-2">
+                        <input type="text" className={inputClass} placeholder="Now working on: {task}" value={text} onChange={(e) => setMessage(index, e.target.value)} />
+                        <button onClick={() => editTicker({ messages: ticker.messages.filter((_, i) => i !== index) })} title="Remove" className="p-2 rounded-lg text-white/30 hover:text-red-400 hover:bg-red-500/10 transition-colors">
+                            <Trash2 size={14} />
+                        </button>
+                    </div>
+                ))}
+                <button
+                    onClick={() => editTicker({ messages: [...ticker.messages, ''] })}
+                    className="py-2 rounded-xl text-xs font-medium flex items-center justify-center gap-2 bg-white/5 border border-white/10 text-white/70 hover:bg-white/10 transition-colors"
+                >
+                    <Plus size={14} /> Add Message
+                </button>
+            </div>
+
+            <button
+                onClick={handleSave}
+                disabled={saving}
+                className="w-full py-2.5 bg-blue-500 hover:bg-blue-600 text-white font-medium rounded-xl text-sm transition-colors shadow-lg shadow-blue-500/20"
+            >
+                {saving ? 'Saving...' : saved ? 'Saved' : 'Save Socials'}
+            </button>
+
+            {error && (
+                <div className="p-4 rounded-xl bg-red-500/10 border border-red-500/20 text-red-400 text-sm">
+                    {error}
+                </div>
+            )}
+        </div>
+    );
+}
+
+const PRESET_FIELD_LABELS = {
+    showFaceCam: 'Face Camera',
+    showHandCam: 'Hand Camera',
+    showRoomCam: 'Room Camera',
+    showTask: 'Current Task',
+    showFocusTimer: 'Focus Timer',
+    showObsHealth: 'OBS Health',
+    showSocial: 'Social Feed',
+    showCompanion: 'AI Companion'
+};
+
+const PRESET_KEYS = [...Object.keys(PRESET_FIELD_LABELS), 'sidebarSide'];
+
+function PresetsTab() {
+    const { obs, isConnected, currentScene } = useOBS();
+    const [presets, setPresets] = useState([]);
+    const [sceneRows, setSceneRows] = useState([]);
+    const [obsScenes, setObsScenes] = useState([]);
+    const [draft, setDraft] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const loadPresets = async () => {
+        try {
+            const data = await sidecarGet('/layout/presets');
+            setPresets(data.presets);
+            setSceneRows(Object.entries(data.sceneMap).map(([scene, presetId]) => ({ scene, presetId })));
+        } catch (e) {
+            setError(e.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        loadPresets();
+    }, []);
+
+    useEffect(() => {
+        if (!isConnected) return;
+        obs.call('GetSceneList')
+            .then(({ scenes }) => setObsScenes(scenes.map(s => s.sceneName)))
+            .catch(e => console.error('Failed to list OBS scenes:', e.message));
+    }, [obs, isConnected]);
+
+    const run = async (action) => {
+        setError('');
+        setSaving(true);
+        try {
+            await action();
+        } catch (e) {
+            setError(e.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleNewFromLayout = () => run(async () => {
+        const layout = await sidecarGet('/layout');
+        setDraft({ name: '', layout: Object.fromEntries(PRESET_KEYS.map(key => [key, layout[key]])) });
+    });
+
+    const handleSavePreset = () => run(async () => {
+        await sidecarPost('/layout/presets', draft);
+        setDraft(null);
+        await loadPresets();
+    });
+
+    const handleDeletePreset = (id) => run(async () => {
+        await sidecarPost('/layout/presets/delete', { id });
+        if (draft?.id === id) setDraft(null);
+        await loadPresets();
+    });
+
+    const handleSaveScenes = () => run(async () => {
+        const sceneMap = Object.fromEntries(sceneRows.filter(row => row.scene.trim() && row.presetId).map(row => [row.scene, row.presetId]));
+        await sidecarPost('/layout/scenes', { sceneMap });
+        await loadPresets();
+    });
+
+    const updateRow = (index, updates) => setSceneRows(rows => rows.map((row, i) => i === index ? { ...row, ...updates } : row));
+
+    if (loading) {
+        return (
+            <div className="flex justify-center p-8">
+                <Loader2 className="w-6 h-6 animate-spin text-white/50" />
+            </div>
+        );
+    }
+
+    return (
+        <div className="flex flex-col gap-6 animate-in fade-in slide-in-from-bottom-4 duration-500">
+            <div>
+                <div className="flex items-center justify-between mb-1">
+                    <h3 className="text-lg font-semibold text-white">Layout Presets</h3>
+                    <button
+                        onClick={handleNewFromLayout}
+                        className="px-3 py-1.5 rounded-lg text-xs font-medium flex items-center gap-2 bg-white/5 border border-white/10 text-white hover:bg-white/10 transition-colors"
+                    >
+                        <Plus size={14} /> From Current Layout
+                    </button>
+                </div>
+                <p className="text-sm text-white/50 mb-4">Named layouts: which cameras and widgets show and which side the sidebar sits on.</p>
+
+                <div className="flex flex-col gap-2">
+                    {presets.map(preset => (
+                        <div key={preset.id} className="flex items-center gap-3 p-3 rounded-xl bg-white/5 border border-white/5">
+                            <span className="flex-1 text-sm text-white truncate">{preset.name}</span>
+                            <span className="text-[10px] font-mono text-white/30">sidebar {preset.layout.sidebarSide}</span>
+                            <button onClick={() => run(() => sidecarPost('/layout/presets/apply', { id: preset.id }))} title="Apply now" className="p-1.5 rounded-lg text-white/50 hover:text-green-400 hover:bg-white/10 transition-colors">
+                                <Play size={14} />
+                            </button>
+                            <button onClick={() => setDraft({ ...preset, layout: { ...preset.layout } })} title="Edit" className="p-1.5 rounded-lg text-white/50 hover:text-white hover:bg-white/10 transition-colors">
+                                <Pencil size={14} />
+                            </button>
+                            <button onClick={() => handleDeletePreset(preset.id)} title="Delete" className="p-1.5 rounded-lg text-white/30 hover:text-red-400 hover:bg-red-500/10 transition-colors">
+                                <Trash2 size={14} />
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            </div>
+
+            {draft && (
+                <div className="flex flex-col gap-3 p-4 rounded-xl bg-white/5 border border-blue-500/20">
+                    <div className="flex gap-3">
+                        <div className="flex-1 flex flex-col gap-1">
+                            <label className="text-xs text-white/60 font-medium ml-1">Preset Name</label>
+                            <input type="text" className={inputClass} placeholder="Just Chatting" value={draft.name} onChange={(e) => setDraft(d => ({ ...d, name: e.target.value }))} />
+                        </div>
+                        <div className="flex flex-col gap-1">
+                            <label className="text-xs text-white/60 font-medium ml-1">Sidebar</label>
+                            <select className={`${inputClass} w-32`} value={draft.layout.sidebarSide || 'right'} onChange={(e) => setDraft(d => ({ ...d, layout: { ...d.layout, sidebarSide: e.target.value } }))}>
+                                <option value="right" className="bg-black">Right</option>
+                                <option value="left" className="bg-black">Left</option>
+                            </select>
+                        </div>
+                    </div>
+                    <div className="grid grid-cols-4 gap-2">
+                        {Object.entries(PRESET_FIELD_LABELS).map(([key, label]) => (
+                            <button
+                                key={key}
+                                onClick={() => setDraft(d => ({ ...d, layout: { ...d.layout, [key]: !d.layout[key] } }))}
+                                className={`px-2 py-1.5 rounded-lg text-xs border transition-colors ${draft.layout[key] ? 'bg-blue-500/10 border-blue-500/30 text-blue-300' : 'bg-white/5 border-white/10 text-white/40'}`}
+                            >
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+                    <div className="flex gap-2 justify-end">
+                        <button onClick={() => setDraft(null)} className="px-3 py-1.5 rounded-lg text-xs text-white/60 hover:text-white hover:bg-white/10 transition-colors">Cancel</button>
+                        <button onClick={handleSavePreset} disabled={saving} className="px-3 py-1.5 rounded-lg text-xs font-medium bg-blue-500 hover:bg-blue-600 text-white transition-colors">
+                            {saving ? 'Saving...' : 'Save Preset'}
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            <div className="flex flex-col gap-3">
+                <div className="flex items-center justify-between">
+                    <h4 className="text-sm font-semibold text-white">Follow OBS Scenes</h4>
+                    {currentScene && <span className="text-xs font-mono text-white/40">live: {currentScene}</span>}
+                </div>
+                <p className="text-xs text-white/50 -mt-2">Switching to a mapped scene in OBS applies its preset on every overlay. Other scenes leave the layout alone.</p>
+                <datalist id="preset-obs-scenes">
+                    {obsScenes.map(name => <option key={name} value={name} />)}
+                </datalist>
+                {sceneRows.map((row, index) => (
+                    <div key={index} className="flex items-center gap-2">
+                        <input type="text" list="preset-obs-scenes" className={inputClass} placeholder="Scene name" value={row.scene} onChange={(e) => updateRow(index, { scene: e.target.value })} />
+                        <select className={`${inputClass} w-48`} value={row.presetId} onChange={(e) => updateRow(index, { presetId: e.target.value })}>
+                            <option value="" className="bg-black">Choose preset</option>
+                            {presets.map(preset => <option key={preset.id} value={preset.id} className="bg-black">{preset.name}</option>)}
+                        </select>
+                        <button onClick={() => setSceneRows(rows => rows.filter((_, i) => i !== index))} title="Remove" className="p-2 rounded-lg text-white/30 hover:text-red-400 hover:bg-red-500/10 transition-colors">
+                            <Trash2 size={14} />
+                        </button>
+                    </div>
+                ))}
+                <div className="flex gap-2">
+                    <button
+                        onClick={() => setSceneRows(rows => [...rows, { scene: currentScene || '', presetId: '' }])}
+                        className="flex-1 py-2 rounded-xl text-xs font-medium flex items-center justify-center gap-2 bg-white/5 border border-white/10 text-white/70 hover:bg-white/10 transition-colors"
+                    >
+                        <Plus size={14} /> Add Scene
+                    </button>
+                    <button
+                        onClick={handleSaveScenes}
+                        disabled={saving}
+                        className="flex-1 py-2 bg-blue-500 hover:bg-blue-600 text-white font-medium rounded-xl text-xs transition-colors shadow-lg shadow-blue-500/20"
+                    >
+                        Save Scene Mapping
+                    </button>
+                </div>
+            </div>
+
+            {error && (
+                <div className="p-4 rounded-xl bg-red-500/10 border border-red-500/20 text-red-400 text-sm">
+                    {error}
+                </div>
+            )}
+        </div>
+    );
+}
+
+const OBS_HEALTH_FIELDS = [
+    { key: 'maxCpu', label: 'Max CPU (%)' },
+    { key: 'fpsTolerance', label: 'FPS Below Target (%)' },
+    { key: 'maxDroppedPct', label: 'Dropped Frames (%)' },
+    { key: 'minBitrateKbps', label: 'Min Bitrate (kbps)' }
+];
+
+function ObsTab() {
+    const { obs, isConnected, status, reconnect } = useOBS();
+    const [url, setUrl] = useState('');
+    const [hasPassword, setHasPassword] = useState(false);
+    const [password, setPassword] = useState('');
+    const [cameras, setCameras] = useState({});
+    const [health, setHealth] = useState({});
+    // sceneName -> source names, offered as suggestions while OBS is connected
+    const [sceneSources, setSceneSources] = useState({});
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+    const [saved, setSaved] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        let mounted = true;
+        sidecarGet('/obs')
+            .then(data => {
+                if (!mounted) return;
+                setUrl(data.url);
+                setHasPassword(Boolean(data.password));
+                setCameras(data.cameras || {});
+                setHealth(data.health || {});
+            })
+            .catch(e => mounted && setError(e.message))
+            .finally(() => mounted && setLoading(false));
+        return () => { mounted = false; };
+    }, []);
+
+    useEffect(() => {
+        if (!isConnected) return;
+        let mounted = true;
+        (async () => {
+            const { scenes } = await obs.call('GetSceneList');
+            const entries = await Promise.all(scenes.map(async ({ sceneName }) => {
+                const { sceneItems } = await obs.call('GetSceneItemList', { sceneName });
+                return [sceneName, sceneItems.map(item => item.sourceName)];
+            }));
+            if (mounted) setSceneSources(Object.fromEntries(entries));
+        })().catch(e => console.error('Failed to list OBS scenes:', e.message));
+        return () => { mounted = false; };
+    }, [obs, isConnected]);
+
+    const updateHealth = (updates) => {
+        setSaved(false);
+        setHealth(h => ({ ...h, ...updates }));
+    };
+
+    const updateCamera = (slot, updates) => {
+        setSaved(false);
+        setCameras(c => ({ ...c, [slot]: { ...c[slot], ...updates } }));
+    };
+
+    const handleSave = async (updates = {}) => {
+        setError('');
+        setSaving(true);
+        try {
+            const result = await sidecarPost('/obs/settings', { url, password, cameras, health, ...updates });
+            setUrl(result.settings.url);
+            setHasPassword(result.settings.hasPassword);
+            setCameras(result.settings.cameras);
+            setHealth(result.settings.health);
+            setPassword('');
+            setSaved(true);
+        } catch (e) {
+            setError(e.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className="flex justify-center p-8">
+                <Loader2 className="w-6 h-6 animate-spin text-white/50" />
+            </div>
+        );
+    }
+
+    return (
+        <div className="flex flex-col gap-6 animate-in fade-in slide-in-from-bottom-4 duration-500">
+            <div>
+                <div className="flex items-center justify-between mb-1">
+                    <h3 className="text-lg font-semibold text-white">OBS Connection</h3>
+                    <span className={`text-xs font-mono ${OBS_STATE_STYLES[status.state] || 'text-white/40'}`}>
+                        {status.state}
+                        {status.retryInMs ? ` · retry in ${Math.round(status.retryInMs / 1000)}s` : ''}
+                    </span>
+                </div>
+                <p className="text-sm text-white/50 mb-4">Every overlay connects to obs-websocket (OBS → Tools → WebSocket Server Settings) and reconnects on its own when OBS restarts.</p>
+                {status.error && status.state !== 'connected' && (
+                    <p className="text-xs text-red-400 mb-3">{status.error}</p>
+                )}
+            </div>
+
+            <div className="flex flex-col gap-3">
+                <div className="flex flex-col gap-1">
+                    <label className="text-xs text-white/60 font-medium ml-1">WebSocket URL</label>
+                    <input type="text" className={inputClass} placeholder="ws://localhost:4455" value={url} onChange={(e) => { setSaved(false); setUrl(e.target.value); }} />
+                </div>
+                <div className="flex flex-col gap-1">
+                    <label className="text-xs text-white/60 font-medium ml-1">Password</label>
+                    <div className="flex gap-2">
+                        <input type="password" className={inputClass} placeholder={hasPassword ? 'Saved (leave empty to keep)' : 'No password'} value={password} onChange={(e) => { setSaved(false); setPassword(e.target.value); }} />
+                        {hasPassword && (
+                            <button
+                                onClick={() => handleSave({ password: '', clearPassword: true })}
+                                title="Remove the saved password"
+                                className="px-3 rounded-xl bg-white/5 border border-white/10 text-white/50 hover:text-red-400 hover:bg-red-500/10 transition-colors"
+                            >
+                                <Trash2 size={14} />
+                            </button>
+                        )}
+                    </div>
+                </div>
+            </div>
+
+            <div className="flex flex-col gap-3">
+                <div>
+                    <h4 className="text-sm font-semibold text-white">Camera Sources</h4>
+                    <p className="text-xs text-white/50 mt-1">The camera toggles show and hide these scene items in OBS, and changes made in OBS show up on the overlay. Leave a camera empty to only toggle its box on the overlay.</p>
+                </div>
+                <datalist id="obs-scenes">
+                    {Object.keys(sceneSources).map(name => <option key={name} value={name} />)}
+                </datalist>
+                {Object.entries(CAMERA_SLOTS).map(([slot, { label }]) => (
+                    <div key={slot} className="flex items-end gap-3">
+                        <span className="w-28 pb-2 text-sm text-white/80">{label}</span>
+                        <div className="flex-1 flex flex-col gap-1">
+                            <label className="text-xs text-white/60 font-medium ml-1">Scene</label>
+                            <input type="text" list="obs-scenes" className={inputClass} value={cameras[slot]?.sceneName || ''} onChange={(e) => updateCamera(slot, { sceneName: e.target.value })} />
+                        </div>
+                        <div className="flex-1 flex flex-col gap-1">
+                            <label className="text-xs text-white/60 font-medium ml-1">Source</label>
+                            <input type="text" list={`obs-sources-${slot}`} className={inputClass} value={cameras[slot]?.sourceName || ''} onChange={(e) => updateCamera(slot, { sourceName: e.target.value })} />
+                            <datalist id={`obs-sources-${slot}`}>
+                                {(sceneSources[cameras[slot]?.sceneName] || []).map(name => <option key={name} value={name} />)}
+                            </datalist>
+                        </div>
+                    </div>
+                ))}
+            </div>
+
+            <div className="flex flex-col gap-3">
+                <div>
+                    <h4 className="text-sm font-semibold text-white">Health Warnings</h4>
+                    <p className="text-xs text-white/50 mt-1">The OBS health widget turns amber when a check fails. 0 turns a check off.</p>
+                </div>
+                <div className="grid grid-cols-4 gap-3">
+                    {OBS_HEALTH_FIELDS.map(({ key, label }) => (
+                        <div key={key} className="flex flex-col gap-1">
+                            <label className="text-xs text-white/60 font-medium ml-1">{label}</label>
+                            <input type="number" min="0" className={inputClass} value={health[key] ?? ''} onChange={(e) => updateHealth({ [key]: e.target.value })} />
+                        </div>
+                    ))}
+                </div>
+                <ToggleItem
+                    label="Co-host Mentions Dropped Frames"
+                    description="When frames start dropping, the co-host tells you on stream (at most every 5 minutes)."
+                    active={Boolean(health.mention)}
+                    onClick={() => updateHealth({ mention: !health.mention })}
+                />
+            </div>
+
+            {error && (
+                <div className="p-4 rounded-xl bg-red-500/10 border border-red-500/20 text-red-400 text-sm">
+                    {error}
+                </div>
+            )}
+
+            <div className="flex gap-3">
+                <button
+                    onClick={() => handleSave()}
+                    disabled={saving}
+                    className="flex-1 py-2.5 bg-blue-500 hover:bg-blue-600 text-white font-medium rounded-xl text-sm transition-colors shadow-lg shadow-blue-500/20"
+                >
+                    {saving ? 'Saving...' : saved ? 'Saved' : 'Save & Reconnect'}
+                </button>
+                <button
+                    onClick={reconnect}
+                    title="Retry now instead of waiting for the next attempt"
+                    className="px-4 py-2.5 bg-white/5 hover:bg-white/10 border border-white/10 text-white/70 rounded-xl text-sm transition-colors flex items-center gap-2"
+                >
+                    <RefreshCw size={14} /> Reconnect
+                </button>
+            </div>
+        </div>
+    );
+}
+
+function FocusTab() {
+    const [settings, setSettings] = useState(null);
+    const [saving, setSaving] = useState(false);
+    const [saved, setSaved] = useState(false);
+    const [error, setError] = useState('');
+    const [state, control, remainingMs] = useFocusTimer();
+    const phase = PHASE_STYLES[state.phase] || PHASE_STYLES.idle;
+
+    useEffect(() => {
+        let mounted = true;
+        sidecarGet('/focus')
+            .then(data => mounted && setSettings(data.settings))
+            .catch(e => mounted && setError(e.message));
+        return () => { mounted = false; };
+    }, []);
+
+    const save = async (updates) => {
+        setError('');
+        setSaving(true);
+        try {
+            const result = await sidecarPost('/focus/settings', updates);
+            setSettings(result.settings);
+            setSaved(true);
+        } catch (e) {
+            setError(e.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const update = (updates) => {
+        setSaved(false);
+        setSettings(s => ({ ...s, ...updates }));
+    };
+
+    if (!settings) {
+        return error ? (
+            <div className="p-4 rounded-xl bg-red-500/10 border border-red-500/20 text-red-400 text-sm">{error}</div>
+        ) : (
+            <div className="flex justify-center p-8">
+                <Loader2 className="w-6 h-6 animate-spin text-white/50" />
+            </div>
+        );
+    }
+
+    return (
+        <div className="flex flex-col gap-6 animate-in fade-in slide-in-from-bottom-4 duration-500">
+            <div>
+                <h3 className="text-lg font-semibold text-white mb-1">Focus Timer</h3>
+                <p className="text-sm text-white/50">A Pomodoro timer shown next to the current task. It runs in the backend, so every overlay and this page show the same countdown.</p>
+            </div>
+
+            {/* Live Controls */}
+            <div className="flex items-center gap-4 p-4 rounded-xl bg-white/5 border border-white/5">
+                <div className="flex-1">
+                    <div className={`text-xs font-semibold uppercase tracking-wider ${phase.color}`}>{phase.label}{state.phase !== 'idle' && !state.running ? ' · paused' : ''}</div>
+                    <div className="text-3xl font-mono font-semibold tabular-nums text-white">{state.phase === 'idle' ? '--:--' : formatCountdown(remainingMs)}</div>
+                </div>
+                <button
+                    onClick={() => control(state.phase === 'idle' ? 'start' : state.running ? 'pause' : 'resume')}
+                    className="flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-medium bg-blue-500 hover:bg-blue-600 text-white transition-colors"
+                >
+                    {state.running ? <Pause size={14} /> : <Play size={14} />}
+                    {state.phase === 'idle' ? 'Start' : state.running ? 'Pause' : 'Resume'}
+                </button>
+                <button
+                    onClick={() => control('skip')}
+                    disabled={state.phase === 'idle'}
+                    title="Skip to next phase"
+                    className="p-2 rounded-xl border border-white/10 bg-white/5 text-white/60 hover:text-white hover:bg-white/10 transition-colors disabled:opacity-30"
+                >
+                    <SkipForward size={16} />
+                </button>
+                <button
+                    onClick={() => control('reset')}
+                    disabled={state.phase === 'idle'}
+                    title="Reset"
+                    className="p-2 rounded-xl border border-white/10 bg-white/5 text-white/60 hover:text-red-400 hover:bg-white/10 transition-colors disabled:opacity-30"
+                >
+                    <RotateCcw size={16} />
+                </button>
+            </div>
+
+            <div className="flex flex-col gap-3">
+                <h4 className="text-sm font-semibold text-white">Durations</h4>
+                <div className="grid grid-cols-4 gap-3">
+                    {Object.entries(FOCUS_DURATIONS).map(([key, label]) => (
+                        <div key={key} className="flex flex-col gap-1">
+                            <label className="text-xs text-white/60 font-medium ml-1">{label}{key === 'longBreakEvery' ? '' : ' (min)'}</label>
+                            <input type="number" min="1" className={inputClass} value={settings[key]} onChange={(e) => update({ [key]: e.target.value })} />
+                        </div>
+                    ))}
+                </div>
+                <button
+                    onClick={() => save(settings)}
+                    disabled={saving}
+                    className="w-full py-2.5 bg-blue-500 hover:bg-blue-600 text-white font-medium rounded-xl text-sm transition-colors shadow-lg shadow-blue-500/20"
+                >
+                    {saving ? 'Saving...' : saved ? 'Saved' : 'Save Durations'}
+                </button>
+                <p className="text-xs text-white/40">New durations apply from the next phase.</p>
+            </div>
+
+            <div className="flex flex-col gap-3">
+                <ToggleItem
+                    label="Start Breaks Automatically"
+                    description="When a focus session ends, the break starts right away."
+                    active={settings.autoStartBreaks}
+                    onClick={() => save({ autoStartBreaks: !settings.autoStartBreaks })}
+                />
+                <ToggleItem
+                    label="Start Focus Automatically"
+                    description="Off: after a break the timer waits until you press start."
+                    active={settings.autoStartFocus}
+                    onClick={() => save({ autoStartFocus: !settings.autoStartFocus })}
+                />
+                <ToggleItem
+                    label="Pause Task During Breaks"
+                    description="Stops the active task's time tracking on breaks and picks it up again when focus resumes."
+                    active={settings.pauseTaskOnBreak}
+                    onClick={() => save({ pauseTaskOnBreak: !settings.pauseTaskOnBreak })}
+                />
+                <ToggleItem
+                    label="Co-host Remarks"
+                    description="The co-host says a short line at every phase change. Edit what it says in Personas."
+                    active={settings.remarks}
+                    onClick={() => save({ remarks: !settings.remarks })}
+                />
+            </div>
+
+            {error && (
+                <div className="p-4 rounded-xl bg-red-500/10 border border-red-500/20 text-red-400 text-sm">
+                    {error}
+                </div>
+            )}
+        </div>
+    );
+}
+
+function KnowledgeTab() {
+    const [settings, setSettings] = useState(null);
+    const [extensionsText, setExtensionsText] = useState('');
+    const [status, setStatus] = useState(null);
+    const [sources, setSources] = useState([]);
+    const [saving, setSaving] = useState(false);
+    const [saved, setSaved] = useState(false);
+    const [error, setError] = useState('');
+
+    const applyStatus = (data) => {
+        setStatus(data);
+        setSettings(s => s || data.settings);
+        setExtensionsText(t => t || data.settings.extensions.join(', '));
+    };
+
+    useEffect(() => {
+        let mounted = true;
+
+        Promise.all([sidecarGet('/knowledge/status'), sidecarGet('/knowledge/sources')])
+            .then(([statusData, sourcesData]) => {
+                if (!mounted) return;
+                applyStatus(statusData);
+                setSources(sourcesData);
+            })
+            .catch(e => mounted && setError(e.message));
+
+        return () => {
+            mounted = false;
+        };
+    }, []);
+
+    // Indexing progress streams in while the tab is open
+    useBackendMessages('knowledge-update', (message) => {
+        setStatus(message.payload);
+        if (!message.payload.indexing.running) {
+            sidecarGet('/knowledge/sources').then(setSources).catch(() => {});
+        }
+    });
+
+    const update = (updates) => {
+        setSaved(false);
+        setSettings(s => ({ ...s, ...updates }));
+    };
+
+    const handleSave = async () => {
+        setError('');
+        setSaving(true);
+        try {
+            const result = await sidecarPost('/knowledge/settings', { ...settings, extensions: extensionsText.split(',') });
+            setSettings(result.settings);
+            setExtensionsText(result.settings.extensions.join(', '));
+            setStatus(await sidecarGet('/knowledge/status'));
+            setSaved(true);
+        } catch (e) {
+            setError(e.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleIndex = async (rebuild) => {
+        setError('');
+        try {
+            const result = await sidecarPost(rebuild ? '/knowledge/rebuild' : '/knowledge/index', {});
+            setStatus(result.status);
+        } catch (e) {
+            setError(e.message);
+        }
+    };
+
+    if (!settings || !status) {
+        return error ? (
+            <div className="p-4 rounded-xl bg-red-500/10 border border-red-500/20 text-red-400 text-sm">{error}</div>
+        ) : (
+            <div className="flex justify-center p-8">
+                <Loader2 className="w-6 h-6 animate-spin text-white/50" />
+            </div>
+        );
+    }
+
+    const { indexing } = status;
+
+    return (
+        <div className="flex flex-col gap-6 animate-in fade-in slide-in-from-bottom-4 duration-500">
+            <div>
+                <h3 className="text-lg font-semibold text-white mb-1">Knowledge Base</h3>
+                <p className="text-sm text-white/50 mb-4">Point the co-host at a local folder of docs and code. Files are split into chunks and embedded with the loaded model, and the closest chunks are added to each prompt.</p>
+
+                <ToggleItem
+                    label="Use Knowledge Base"
+                    description="Search the index before every reaction."
+                    active={settings.enabled}
+                    onClick={() => update({ enabled: !settings.enabled })}
+                />
+            </div>
+
+            <div className="flex flex-col gap-3">
+                <div className="flex flex-col gap-1">
+                    <label className="text-xs text-white/60 font-medium ml-1">Folder</label>
+                    <input type="text" className={`${inputClass} font-mono text-xs`} placeholder="/home/me/projects/cooldesk" value={settings.folder} onChange={(e) => update({ folder: e.target.value })} />
+                </div>
+                <div className="flex gap-3">
+                    <div className="flex-1 flex flex-col gap-1">
+                        <label className="text-xs text-white/60 font-medium ml-1">File Extensions (comma separated)</label>
+                        <input type="text" className={inputClass} value={extensionsText} onChange={(e) => { setSaved(false); setExtensionsText(e.target.value); }} />
+                    </div>
+                    <div className="flex flex-col gap-1">
+                        <label className="text-xs text-white/60 font-medium ml-1">Chunks per Prompt</label>
+                        <input type="number" min="1" max="10" className={`${inputClass} w-28`} value={settings.topK} onChange={(e) => update({ topK: e.target.value })} />
+                    </div>
+                </div>
+
+                {error && (
+                    <div className="p-4 rounded-xl bg-red-500/10 border border-red-500/20 text-red-400 text-sm">
+                        {error}
+                    </div>
+                )}
+
+                <button
+                    onClick={handleSave}
+                    disabled={saving}
+                    className="w-full py-2.5 bg-blue-500 hover:bg-blue-600 text-white font-medium rounded-xl text-sm transition-colors shadow-lg shadow-blue-500/20"
+                >
+                    {saving ? 'Saving...' : saved ? 'Saved' : 'Save Settings'}
+                </button>
+            </div>
+
+            <div className="p-4 rounded-xl bg-white/5 border border-white/10 flex flex-col gap-3">
+                <div className="flex items-center justify-between gap-4">
+                    <div className="text-sm text-white/70">
+                        {status.files} files · {status.chunks} chunks
+                        {status.builtAt && <span className="text-white/40"> · indexed {new Date(status.builtAt).toLocaleString()}</span>}
+                        {status.model && <span className="text-white/40"> · {status.model}</span>}
+                    </div>
+                    <div className="flex gap-2">
+                        <button
+                            onClick={() => handleIndex(false)}
+                            disabled={indexing.running}
+                            className="flex items-center gap-2 px-3 py-1.5 bg-white/10 hover:bg-white/20 disabled:opacity-50 text-white rounded-lg text-xs transition-colors"
+                        >
+                            <RefreshCw size={12} className={indexing.running ? 'animate-spin' : ''} />
+                            Update Index
+                        </button>
+                        <button
+                            onClick={() => handleIndex(true)}
+                            disabled={indexing.running}
+                            className="px-3 py-1.5 bg-white/10 hover:bg-white/20 disabled:opacity-50 text-white rounded-lg text-xs transition-colors"
+                        >
+                            Rebuild
+                        </button>
+                    </div>
+                </div>
+
+                {status.stale && !indexing.running && (
+                    <p className="text-xs text-amber-400">The index was built from another folder. Update it to use the current one.</p>
+                )}
+                {indexing.running && (
+                    <div className="flex flex-col gap-1">
+                        <div className="h-1.5 bg-white/10 rounded-full overflow-hidden">
+                            <div className="h-full bg-blue-500 transition-all" style={{ width: `${indexing.total ? (indexing.processed / indexing.total) * 100 : 0}%` }} />
+                        </div>
+                        <p className="text-[11px] text-white/40 truncate">{indexing.processed}/{indexing.total} · {indexing.currentFile}</p>
+                    </div>
+                )}
+                {indexing.lastError && (
+                    <p className="text-xs text-red-400">Last run failed: {indexing.lastError}</p>
+                )}
+            </div>
+
+            <div>
+                <h4 className="text-sm font-semibold text-white mb-3">Sources ({sources.length})</h4>
+                <div className="flex flex-col gap-1 max-h-64 overflow-y-auto custom-scrollbar">
+                    {sources.length === 0 && (
+                        <div className="text-center py-4 text-white/20 text-xs italic">Nothing indexed yet.</div>
+                    )}
+                    {sources.map(source => (
+                        <div key={source.path} className="flex items-center gap-2 px-3 py-1.5 rounded-lg hover:bg-white/5 text-xs">
+                            <FileText size={12} className="text-white/30 shrink-0" />
+                            <span className="flex-1 font-mono text-white/70 truncate">{source.path}</span>
+                            <span className="text-white/30">{source.chunks} chunks</span>
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+function AddModelForm({ onAdded }) {
+    const emptyForm = { source: 'url', url: '', localPath: '', name: '', description: '', size: '', ram: '', quality: 'Good', speed: '', sha256: '' };
+    const [form, setForm] = useState(emptyForm);
+    const [isOpen, setIsOpen] = useState(false);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const update = (updates) => setForm(f => ({ ...f, ...updates }));
+
+    const handleSubmit = async () => {
+        setError('');
+        setSaving(true);
+        try {
+            const { source, url, localPath, ...info } = form;
+            await sidecarPost('/llm/models/add', source === 'url' ? { url, ...info } : { localPath, ...info, sha256: '' });
+            setForm(emptyForm);
+            setIsOpen(false);
+            onAdded();
+        } catch (e) {
+            setError(e.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (!isOpen) {
+        return (
+            <button
+                onClick={() => setIsOpen(true)}
+                className="flex items-center justify-center gap-2 w-full py-3 rounded-xl text-sm text-white/50 hover:text-white hover:bg-white/5 border border-dashed border-white/10 transition-colors"
+            >
+                <Plus size={16} />
+                Add Model
+            </button>
+        );
+    }
+
+    return (
+        <div className="p-5 bg-white/[0.03] rounded-2xl border border-white/5 flex flex-col gap-3">
+            <div className="flex items-center justify-between">
+                <h4 className="text-sm font-semibold text-white">Add Model</h4>
+                <button onClick={() => setIsOpen(false)} className="text-white/40 hover:text-white transition-colors">
+                    <X size={16} />
+                </button>
+            </div>
+
+            <div className="flex gap-2">
+                {[['url', 'Download URL'], ['local', 'Local .gguf File']].map(([source, label]) => (
+                    <button
+                        key={source}
+                        onClick={() => update({ source })}
+                        className={`flex-1 py-2 rounded-xl text-xs font-medium border transition-colors ${form.source === source
+                            ? 'bg-blue-500/10 text-blue-400 border-blue-500/20'
+                            : 'text-white/60 border-white/10 hover:bg-white/5'
+                            }`}
+                    >
+                        {label}
+                    </button>
+                ))}
+            </div>
+
+            {form.source === 'url' ? (
+                <>
+                    <input type="text" className={inputClass} placeholder="https://huggingface.co/.../resolve/main/model-Q4_K_M.gguf" value={form.url} onChange={(e) => update({ url: e.target.value })} />
+                    <input type="text" className={`${inputClass} font-mono text-xs`} placeholder="SHA-256 (optional, Hugging Face files are checked automatically)" value={form.sha256} onChange={(e) => update({ sha256: e.target.value })} />
+                </>
+            ) : (
+                <input type="text" className={inputClass} placeholder="C:\models\my-model.Q4_K_M.gguf" value={form.localPath} onChange={(e) => update({ localPath: e.target.value })} />
+            )}
+
+            <div className="grid grid-cols-2 gap-3">
+                <input type="text" className={inputClass} placeholder="Display name" value={form.name} onChange={(e) => update({ name: e.target.value })} />
+                <input type="text" className={inputClass} placeholder="Description" value={form.description} onChange={(e) => update({ description: e.target.value })} />
+                <input type="text" className={inputClass} placeholder="Size (e.g. 900 MB)" value={form.size} onChange={(e) => update({ size: e.target.value })} />
+                <input type="text" className={inputClass} placeholder="RAM (e.g. 2-3 GB)" value={form.ram} onChange={(e) => update({ ram: e.target.value })} />
+                <select className={inputClass} value={form.quality} onChange={(e) => update({ quality: e.target.value })}>
+                    {['Basic', 'Good', 'High'].map(q => <option key={q} value={q} className="bg-black">{q}</option>)}
+                </select>
+                <input type="text" className={inputClass} placeholder="Speed (e.g. Fast)" value={form.speed} onChange={(e) => update({ speed: e.target.value })} />
+            </div>
+
+            {error && (
+                <div className="p-3 rounded-xl bg-red-500/10 border border-red-500/20 text-red-400 text-xs">
+                    {error}
+                </div>
+            )}
+
+            <button
+                onClick={handleSubmit}
+                disabled={saving}
+                className="w-full py-2.5 bg-blue-500 hover:bg-blue-600 text-white font-medium rounded-xl text-sm transition-colors shadow-lg shadow-blue-500/20"
+            >
+                {saving ? 'Adding...' : 'Add to Registry'}
+            </button>
+        </div>
+    );
+}
+
+function ModelCard({ filename, model, isLoaded, isLoading, downloadProgress, onDownload, onLoad, onRemove }) {
+    const isDownloading = downloadProgress !== undefined;
+
+    const getQualityColor = (quality) => {
+        switch (quality?.toLowerCase()) {
+            case 'high': return 'bg-green-500/20 text-green-400';
+            case 'good': return 'bg-blue-500/20 text-blue-400';
+            case 'basic': return 'bg-amber-500/20 text-amber-500';
+            default: return 'bg-gray-500/20 text-gray-400';
+        }
+    };
+
+    return (
+        <div className={`p-4 rounded-xl border transition-all ${isLoaded ? 'bg-green-500/10 border-green-500/30' : 'bg-white/[0.02] border-white/5 hover:bg-white/[0.04]'
+            }`}>
+            <div className="flex items-start gap-4">
+                <div className={`w-11 h-11 rounded-xl flex items-center justify-center flex-shrink-0 text-white shadow-md ${isLoaded
+                    ? 'bg-gradient-to-br from-green-400 to-green-600'
+                    : model.downloaded
+                        ? 'bg-gradient-to-br from-indigo-500 to-purple-600'
+                        : 'bg-white/10'
+                    }`}>
+                    {isLoaded ? <Rocket size={20} /> : <Cpu size={20} />}
+                </div>
+
+                <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-2 mb-1">
+                        <span className="font-semibold text-white text-sm truncate">
+                            {model.name}
+                        </span>
+                        {isLoaded && (
+                            <span className="text-[10px] px-2 py-0.5 rounded backdrop-blur-sm bg-green-500/20 text-green-400 font-bold uppercase tracking-wider">
+                                Active
+                            </span>
+                        )}
+                        <span className={`text-[10px] px-2 py-0.5 rounded backdrop-blur-sm font-semibold tracking-wider ${getQualityColor(model.quality)}`}>
+                            {model.quality}
+                        </span>
+                        {!model.builtIn && (
+                            <span className="text-[10px] px-2 py-0.5 rounded backdrop-blur-sm bg-white/10 text-white/60 font-semibold tracking-wider">
+                                {model.localPath ? 'Local' : 'Custom'}
+                            </span>
+                        )}
+                    </div>
+
+                    <div className="text-xs text-white/50 mb-3 truncate">
+                        {model.description}
+                    </div>
+
+                    <div className="flex gap-4 text-[11px] text-white/40">
+                        <span>Size: <strong className="text-white/60">{model.size}</strong></span>
+                        <span>RAM: <strong className="text-white/60">{model.ram}</strong></span>
+                        <span>Speed: <strong className="text-white/60">{model.speed}</strong></span>
+                    </div>
+
+                    {isDownloading && (
+                        <div className="mt-3">
+                            <div className="h-1.5 rounded-full bg-black/40 overflow-hidden">
+                                <div
+                                    className="h-full rounded-full bg-gradient-to-r from-blue-500 to-indigo-500 transition-all duration-300"
+                                    style={{ width: `${downloadProgress}%` }}
+                                />
+                            </div>
+                            <div className="text-[10px] text-blue-400 mt-1.5 font-medium tracking-wide">
+                                Downloading... {downloadProgress.toFixed(1)}%
+                            </div>
+                        </div>
+                    )}
+                </div>
+
+                <div className="flex-shrink-0 flex flex-col items-end gap-2">
+                    {!model.downloaded ? (
+                        <button
+                            onClick={onDownload}
+                            disabled={isDownloading}
+                            className={`px-3 py-1.5 rounded-lg font-medium text-xs flex items-center gap-2 transition-all shadow-md
+                                ${isDownloading
+                                    ? 'bg-white/10 text-white/50 cursor-wait'
+                                    : 'bg-white text-black hover:bg-white/90'
+                                }`}
+                        >
+                            {isDownloading ? <Loader2 size={14} className="animate-spin" /> : <Download size={14} />}
+                            {isDownloading ? 'Downloading' : model.partialSize > 0 ? 'Resume' : 'Download'}
+                        </button>
+                    ) : isLoaded ? (
+                        <div className="px-3 py-1.5 rounded-lg bg-green-500/20 text-green-400 text-xs font-semibold shadow-inner">
+                            In Use
+                        </div>
+                    ) : (
+                        <button
+                            onClick={onLoad}
+                            disabled={isLoading}
+                            className={`px-3 py-1.5 rounded-lg text-xs font-medium flex items-center gap-2 transition-all border
+                                ${isLoading
+                                    ? 'bg-white/5 border-transparent text-white/50 cursor-wait'
+                                    : 'bg-white/5 border-white/10 text-white hover:bg-white/10 hover:border-white/20'
+                                }`}
+                        >
+                            {isLoading ? <Loader2 size={14} className="animate-spin" /> : <Rocket size={14} />}
+                            {isLoading ? 'Loading' : 'Load Model'}
+                        </button>
+                    )}
+                    {!model.builtIn && !isLoaded && (
+                        <button
+                            onClick={onRemove}
+                            title={model.localPath ? 'Remove from registry (keeps the file)' : 'Remove model and downloaded file'}
+                            className="p-1.5 rounded-lg text-white/30 hover:text-red-400 hover:bg-red-500/10 transition-colors"
+                        >
+                            <Trash2 size={14} />
                         </button>
                     )}
                 </div>
@@ -1,50 +1,63 @@
 import { motion } from 'framer-motion';
-import { Github, Linkedin, MonitorPlay, Twitter } from 'lucide-react';
+import { MonitorPlay } from 'lucide-react';
+import { useState } from 'react';
+import { fillTickerMessage, linkStyle, useSocialSettings, useTickerValues } from '../socials.js';
 
-const SocialFeed = ({ github, twitter, linkedin }) => {
-    // Compact list
-    const socialLinks = [
-        { icon: <Github size={18} />, label: github, color: "text-white" },
-        { icon: <Twitter size={18} />, label: twitter, color: "text-blue-400" },
-        { icon: <Linkedin size={18} />, label: linkedin, color: "text-blue-600" },
-    ];
+const SocialFeed = ({ title = 'Socials' }) => {
+    const settings = useSocialSettings();
+    const values = useTickerValues();
+    const [tickerIndex, setTickerIndex] = useState(0);
+
+    const links = settings?.links || [];
+    // Messages whose placeholders all have a value right now, e.g. {task} only while a task is active
+    const messages = (settings?.ticker.messages || []).map(text => fillTickerMessage(text, values)).filter(Boolean);
+    const message = messages.length > 0 ? messages[tickerIndex % messages.length] : null;
 
     return (
         <motion.div
             initial={{ opacity: 0, x: 20 }}
             animate={{ opacity: 1, x: 0 }}
-            className="w-full bg-black/80 backdrop-blur-md rounded-xl border border-white/10 p-3 flex flex-col gap-2 shadow-lg"
+            className="w-full bg-panel/80 backdrop-blur-md rounded-xl border border-fg/10 p-3 flex flex-col gap-2 shadow-lg"
         >
             <div className="flex items-center gap-2 mb-2">
-                <MonitorPlay className="text-purple-400" size={16} />
-                <span className="text-xs font-bold text-white/60 uppercase tracking-wider">Socials</span>
+                <MonitorPlay className="text-ai" size={16} />
+                <span className="text-xs font-bold text-fg/60 uppercase tracking-wider">{title}</span>
             </div>
 
+            {/* Compact list; each link keeps its own color whatever the theme */}
             <div className="space-y-3">
-                {socialLinks.map((link, idx) => (
-                    <div key={idx} className="flex items-center gap-3 group cursor-pointer">
-                        <div className={`p-2 rounded-lg bg-white/5 group-hover:bg-white/10 transition-colors ${link.color}`}>
-                            {link.icon}
+                {links.map(link => {
+                    const { Icon, color } = linkStyle(link);
+                    return (
+                        <div key={link.id} className="flex items-center gap-3 group cursor-pointer">
+                            <div className={`p-2 rounded-lg bg-fg/5 group-hover:bg-fg/10 transition-colors ${color ? '' : 'text-fg'}`} style={color ? { color } : undefined}>
+                                <Icon size={18} />
+                            </div>
+                            <span className="text-sm text-fg/60 group-hover:text-fg transition-colors font-medium truncate">
+                                {link.handle}
+                            </span>
                         </div>
-                        <span className="text-sm text-gray-400 group-hover:text-white transition-colors font-medium">
-                            {link.label}
-                        </span>
-                    </div>
-                ))}
+                    );
+                })}
             </div>
 
-            {/* Mini Ticker or Status */}
-            <div className="mt-1 pt-2 border-t border-white/5">
-                <div className="overflow-hidden relative h-6">
-                    <motion.div
-                        animate={{ x: ["100%", "-100%"] }}
-                        transition={{ repeat: Infinity, duration: 10, ease: "linear" }}
-                        className="whitespace-nowrap absolute text-xs text-green-400/80 font-mono"
-                    >
-                        /// SYSTEM STATUS: ONLINE /// STREAMING: ACTIVE ///
-                    </motion.div>
+            {/* Ticker: one message per pass, rotating */}
+            {message && (
+                <div className="mt-1 pt-2 border-t border-fg/5">
+                    <div className="overflow-hidden relative h-6">
+                        <motion.div
+                            key={tickerIndex}
+                            initial={{ x: "100%" }}
+                            animate={{ x: "-100%" }}
+                            transition={{ duration: settings.ticker.secondsPerMessage, ease: "linear" }}
+                            onAnimationComplete={() => setTickerIndex(i => i + 1)}
+                            className="whitespace-nowrap absolute min-w-full text-xs text-ok/80 font-mono"
+                        >
+                            {message}
+                        </motion.div>
+                    </div>
                 </div>
-            </div>
+            )}
         </motion.div>
     );
 };
@@ -8,4 +8,56 @@
 const BACKEND_PORT = 3388;
 
 export const BACKEND_HTTP = `http://127.0.0.1:${BACKEND_PORT}`;
-export const BACKEND_WS = `ws://127.0.0.1:${BACKEND_PORT}`;
+
+/**
+ * Pairing token printed by the backend on start.
+ * Open the overlay once with ?token=... (control for the settings page, read-only for OBS sources);
+ * it is remembered so later visits without the query still work. Each scope has its own slot, so
+ * opening an OBS source's URL in the same browser never replaces the control token.
+ */
+const TOKEN_KEYS = { control: 'cooldesk-token', read: 'cooldesk-token-read' };
+const urlToken = new URLSearchParams(window.location.search).get('token');
+
+export const AUTH_TOKEN = urlToken || localStorage.getItem(TOKEN_KEYS.control) || localStorage.getItem(TOKEN_KEYS.read) || '';
+
+export const BACKEND_WS = `ws://127.0.0.1:${BACKEND_PORT}/?token=${encodeURIComponent(AUTH_TOKEN)}`;
+
+// Only the backend knows which scope a pasted token has
+if (urlToken) {
+    backendFetch('/auth/scope')
+        .then(res => res.ok ? res.json() : null)
+        .then(data => TOKEN_KEYS[data?.scope] && localStorage.setItem(TOKEN_KEYS[data.scope], urlToken))
+        .catch(console.error);
+}
+
+/**
+ * fetch() against the backend with the pairing token attached
+ * @param {string} path - Route, e.g. '/layout'
+ * @param {RequestInit} options - fetch options
+ * @returns {Promise<Response>}
+ */
+export function backendFetch(path, options = {}) {
+    return fetch(`${BACKEND_HTTP}${path}`, {
+        ...options,
+        headers: { ...(options.headers || {}), Authorization: `Bearer ${AUTH_TOKEN}` }
+    });
+}
+
+/**
+ * POST JSON to the backend; rejects with the backend's error message when the request fails
+ * @param {string} path - Route, e.g. '/tasks'
+ * @param {Object} data - Request body
+ * @returns {Promise<Object>} Parsed response
+ */
+export async function backendPost(path, data = {}) {
+    const res = await backendFetch(path, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(data)
+    });
+    if (!res.ok) {
+        const body = await res.json().catch(() => null);
+        throw new Error(body?.error || `HTTP ${res.status}`);
+    }
+    return res.json();
+}
@@ -1,54 +1,202 @@
 import OBSWebSocket from 'obs-websocket-js';
 import { createContext, useContext, useEffect, useState } from 'react';
+import { getBackendSocket, useBackendMessages } from '../backendSocket.js';
+import { backendFetch } from '../config.js';
+import { checkObsHealth, OBS_STATS_INTERVAL, sampleObsStats } from '../obsStats.js';
 
 const OBSContext = createContext(null);
 
 export const useOBS = () => useContext(OBSContext);
 
+// Used when the backend isn't reachable, so a standalone overlay still finds a default OBS
+const DEFAULT_SETTINGS = { url: 'ws://localhost:4455', password: '', cameras: {} };
+
+const OBS_BACKOFF = { BASE: 1000, MAX: 30000 };
+
+// obs-websocket close code for a wrong or missing password
+const AUTH_FAILED_CODE = 4009;
+
+/**
+ * OBS connection for the whole overlay
+ *
+ * `status.state` is 'connecting', 'connected', 'auth-failed' or 'offline'. Dropped connections retry
+ * with exponential backoff; a rejected password waits for new settings (or `reconnect()`).
+ * `status.since` changes with every transition, so consumers can react to each one.
+ *
+ * While connected, `stats` is refreshed every OBS_STATS_INTERVAL and `health` lists the thresholds
+ * it breaks (see obsStats.js).
+ *
+ * Program scene switches are reported to the backend, which applies the layout preset mapped to the scene.
+ */
 export const OBSProvider = ({ children }) => {
-    const [obs] = useState(new OBSWebSocket());
-    const [isConnected, setIsConnected] = useState(false);
+    const [obs] = useState(() => new OBSWebSocket());
+    const [settings, setSettings] = useState(null);
+    const [status, setStatus] = useState({ state: 'connecting', since: Date.now(), error: null, retryInMs: null });
     const [isRecording, setIsRecording] = useState(false);
-    const [error, setError] = useState(null);
+    const [attempt, setAttempt] = useState(0);
+    const [stats, setStats] = useState(null);
+    const [health, setHealth] = useState([]);
+    const [currentScene, setCurrentScene] = useState(null);
+
+    const loadSettings = () => {
+        backendFetch('/obs')
+            .then(res => res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`)))
+            .then(setSettings)
+            .catch(err => {
+                console.error('Failed to load OBS settings, using defaults:', err.message);
+                setSettings(s => s || DEFAULT_SETTINGS);
+            });
+    };
+
+    useEffect(loadSettings, []);
+
+    // Saved in Settings → OBS; every overlay reconnects with the new URL/password
+    useBackendMessages('obs-update', loadSettings);
+
+    // Only the connection fields reconnect; camera mappings and the like are read live
+    const url = settings?.url;
+    const password = settings?.password;
 
     useEffect(() => {
-        const connectOBS = async () => {
+        if (!url) return;
+
+        let stopped = false;
+        let connected = false;
+        let failures = 0;
+        let retryTimer = null;
+
+        const update = (state, extra = {}) => {
+            if (stopped) return;
+            setStatus({ state, since: Date.now(), error: null, retryInMs: null, ...extra });
+        };
+
+        const handleFailure = (err) => {
+            connected = false;
+            setIsRecording(false);
+            if (err?.code === AUTH_FAILED_CODE) {
+                console.error('OBS rejected the password');
+                update('auth-failed', { error: err.message || 'Authentication failed' });
+                return;
+            }
+            const retryInMs = Math.min(OBS_BACKOFF.BASE * 2 ** failures, OBS_BACKOFF.MAX);
+            failures++;
+            update('offline', { error: err?.message || null, retryInMs });
+            retryTimer = setTimeout(connect, retryInMs);
+        };
+
+        const connect = async () => {
+            if (stopped) return;
+            update('connecting');
             try {
-                // Defaults: localhost:4455, no password (or empty)
-                // You might need to change this if your OBS has a password
-                await obs.connect('ws://localhost:4455', '');
-                setIsConnected(true);
-                console.log('Connected to OBS');
-
-                // Check initial recording state
-                const status = await obs.call('GetRecordStatus');
-                setIsRecording(status.outputActive);
+                await obs.connect(url, password || undefined);
             } catch (err) {
-                console.error('Failed to connect to OBS:', err);
-                setError(err);
-                setIsConnected(false);
+                if (!stopped) handleFailure(err);
+                return;
             }
-        };
+            if (stopped) return;
+            connected = true;
+            failures = 0;
+            update('connected');
+            console.log('Connected to OBS');
 
-        connectOBS();
+            // Check initial recording state
+            obs.call('GetRecordStatus')
+                .then(recordStatus => setIsRecording(recordStatus.outputActive))
+                .catch(err => console.error('Failed to read OBS recording state:', err.message));
+        };
 
-        // Event listeners
-        obs.on('RecordStateChanged', (data) => {
-            setIsRecording(data.outputActive);
-        });
+        const onRecordStateChanged = (data) => setIsRecording(data.outputActive);
 
-        obs.on('ConnectionClosed', () => {
-            setIsConnected(false);
+        // Only drops of an established connection; failed attempts reject connect() instead
+        const onConnectionClosed = (err) => {
+            if (stopped || !connected) return;
             console.log('OBS Connection Closed');
-        });
+            handleFailure(err);
+        };
+
+        obs.on('RecordStateChanged', onRecordStateChanged);
+        obs.on('ConnectionClosed', onConnectionClosed);
+        connect();
 
         return () => {
+            stopped = true;
+            clearTimeout(retryTimer);
+            obs.off('RecordStateChanged', onRecordStateChanged);
+            obs.off('ConnectionClosed', onConnectionClosed);
             obs.disconnect();
         };
-    }, [obs]);
+    }, [obs, url, password, attempt]);
+
+    const isConnected = status.state === 'connected';
+    const thresholdsKey = JSON.stringify(settings?.health || {});
+
+    useEffect(() => {
+        if (!isConnected) {
+            setStats(null);
+            setHealth([]);
+            return;
+        }
+
+        const thresholds = JSON.parse(thresholdsKey);
+        let previous = null;
+        let targetFps = 0;
+        let wasDropping = false;
+        let stopped = false;
+
+        obs.call('GetVideoSettings')
+            .then(video => { targetFps = video.fpsNumerator / video.fpsDenominator; })
+            .catch(err => console.error('Failed to read OBS video settings:', err.message));
+
+        const poll = async () => {
+            try {
+                const sample = await sampleObsStats(obs, previous);
+                if (stopped) return;
+                const issues = checkObsHealth(sample, thresholds, targetFps);
+                previous = sample;
+                setStats(sample);
+                setHealth(issues);
+
+                // Tell the backend once per spike; it decides whether the co-host says something
+                const worst = issues.filter(issue => issue.dropped).sort((a, b) => b.pct - a.pct)[0];
+                if (worst && !wasDropping) {
+                    getBackendSocket().send('obs-health', { kind: worst.key, droppedPct: Math.round(worst.pct * 10) / 10 });
+                }
+                wasDropping = Boolean(worst);
+            } catch (err) {
+                console.error('Failed to read OBS stats:', err.message);
+            }
+        };
+
+        poll();
+        const timer = setInterval(poll, OBS_STATS_INTERVAL);
+        return () => {
+            stopped = true;
+            clearInterval(timer);
+        };
+    }, [obs, isConnected, thresholdsKey]);
+
+    useEffect(() => {
+        if (!isConnected) return;
+
+        const follow = (sceneName) => {
+            setCurrentScene(sceneName);
+            getBackendSocket().send('obs-scene', { sceneName });
+        };
+        const onSceneChanged = ({ sceneName }) => follow(sceneName);
+
+        obs.on('CurrentProgramSceneChanged', onSceneChanged);
+        obs.call('GetCurrentProgramScene')
+            .then(scene => follow(scene.currentProgramSceneName))
+            .catch(err => console.error('Failed to read the OBS program scene:', err.message));
+
+        return () => obs.off('CurrentProgramSceneChanged', onSceneChanged);
+    }, [obs, isConnected]);
+
+    // Retry now, e.g. after fixing the password in OBS itself
+    const reconnect = () => setAttempt(a => a + 1);
 
     return (
-        <OBSContext.Provider value={{ obs, isConnected, isRecording, error }}>
+        <OBSContext.Provider value={{ obs, status, isConnected, isRecording, error: status.error, settings, stats, health, currentScene, reconnect }}>
             {children}
         </OBSContext.Provider>
     );
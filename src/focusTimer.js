@@ -0,0 +1,58 @@
+/**
+ * Focus timer state for the overlay widget and the settings page
+ *
+ * The backend owns the timer (backend/focusTimer.js) and broadcasts `focus-update` on every change;
+ * this counts down locally between frames.
+ */
+
+import { Brain, Coffee, Timer } from 'lucide-react';
+import { useEffect, useState } from 'react';
+import { useBackendMessages } from './backendSocket.js';
+import { backendFetch, backendPost } from './config.js';
+
+export const PHASE_STYLES = {
+    idle: { label: 'Focus Timer', icon: Timer, color: 'text-fg/40', bar: 'bg-fg/20' },
+    focus: { label: 'Focus', icon: Brain, color: 'text-accent', bar: 'bg-accent' },
+    'short-break': { label: 'Short Break', icon: Coffee, color: 'text-ok', bar: 'bg-ok' },
+    'long-break': { label: 'Long Break', icon: Coffee, color: 'text-ai', bar: 'bg-ai' }
+};
+
+const IDLE_STATE = { phase: 'idle', running: false, durationMs: 0, endsAt: null, remainingMs: 0, completedFocus: 0, longBreakEvery: 4 };
+
+/**
+ * mm:ss, rounded up so the display hits 00:00 exactly when the phase ends
+ */
+export function formatCountdown(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    return `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Subscribe to the backend's focus timer
+ * @returns {[Object, Function, number]} State, action sender (start, pause, resume, skip, reset) and ms left right now
+ */
+export function useFocusTimer() {
+    const [state, setState] = useState(IDLE_STATE);
+    const [now, setNow] = useState(() => Date.now());
+
+    useEffect(() => {
+        backendFetch('/focus')
+            .then(res => res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`)))
+            .then(data => data.state && setState(data.state))
+            .catch(err => console.error('Failed to load the focus timer:', err.message));
+    }, []);
+
+    useBackendMessages('focus-update', (message) => setState(message.payload));
+
+    // The backend only sends phase changes; count down locally in between
+    useEffect(() => {
+        if (!state.running) return;
+        const timer = setInterval(() => setNow(Date.now()), 250);
+        return () => clearInterval(timer);
+    }, [state.running]);
+
+    const control = (action) => backendPost(`/focus/${action}`).catch(console.error);
+    const remainingMs = state.running && state.endsAt ? Math.max(0, Date.parse(state.endsAt) - now) : state.remainingMs;
+
+    return [state, control, remainingMs];
+}
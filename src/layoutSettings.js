@@ -0,0 +1,58 @@
+/**
+ * Layout settings shared by every overlay page
+ *
+ * The full overlay and the standalone /widget/* pages all read backend/layout-settings.json
+ * (widgets, theme, canvas, ...) and follow the layout-update broadcast, so a change in
+ * Settings reaches every OBS browser source at once.
+ */
+
+import { useEffect, useState } from 'react';
+import { useBackendMessages } from './backendSocket.js';
+import { backendFetch } from './config.js';
+
+// Shown until the backend answers
+const DEFAULT_LAYOUT = {
+    showFaceCam: true,
+    showHandCam: true,
+    showRoomCam: true,
+    showTask: true,
+    showFocusTimer: true,
+    showObsHealth: true,
+    showSocial: true,
+    showCompanion: true,
+    sidebarSide: 'right',
+    useGPU: true
+};
+
+/**
+ * Live layout settings
+ * @returns {Array} [layoutSettings, updateLayout(updates)]; updates apply locally and are saved to the backend
+ */
+export function useLayoutSettings() {
+    const [layoutSettings, setLayoutSettings] = useState(DEFAULT_LAYOUT);
+
+    useEffect(() => {
+        // Fetch initial layout settings from Local Node Backend
+        backendFetch('/layout')
+            .then(res => res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`)))
+            .then(data => setLayoutSettings(s => ({ ...s, ...data })))
+            // Keep the current layout; the next layout-update brings it in line
+            .catch(err => console.error('Failed to load layout settings:', err.message));
+    }, []);
+
+    // Live layout updates from the settings modal or other overlays
+    useBackendMessages('layout-update', (message) => {
+        setLayoutSettings(s => ({ ...s, ...message.payload }));
+    });
+
+    const updateLayout = (updates) => {
+        setLayoutSettings(s => ({ ...s, ...updates }));
+        backendFetch('/layout', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(updates)
+        }).catch(console.error);
+    };
+
+    return [layoutSettings, updateLayout];
+}
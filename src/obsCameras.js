@@ -0,0 +1,86 @@
+/**
+ * Camera toggles bound to OBS scene items
+ *
+ * Each overlay slot (face, hand, room) can be mapped to a scene + source in Settings → OBS Connection.
+ * Flipping a toggle shows or hides that scene item, and changes made in OBS flow back into the layout,
+ * so the overlay and OBS always agree. On connect, OBS wins: it's what the stream shows.
+ * Those changes go to the backend as obs-camera frames, which OBS sources may send with a read token;
+ * the backend saves the first report and broadcasts the layout to everyone.
+ */
+
+import { useEffect, useEffectEvent, useRef } from 'react';
+import { getBackendSocket } from './backendSocket.js';
+import { useOBS } from './context/OBSContext';
+
+export const CAMERA_SLOTS = {
+    face: { label: 'Face Camera', layoutKey: 'showFaceCam' },
+    hand: { label: 'Hand Camera', layoutKey: 'showHandCam' },
+    room: { label: 'Room Camera', layoutKey: 'showRoomCam' }
+};
+
+/**
+ * Keep the layout's camera flags and the mapped OBS scene items in step
+ * @param {Object} layoutSettings - Current layout (showFaceCam, ...)
+ * @param {Function} updateLayout - (updates) => void, saves to the backend; used by the toggles
+ * @returns {Function} setCamera(slot, visible) for the toggles
+ */
+export function useCameraBindings(layoutSettings, updateLayout) {
+    const { obs, isConnected, settings } = useOBS();
+    // slot -> { sceneName, sceneItemId } for mappings that exist in OBS
+    const items = useRef({});
+    const camerasKey = JSON.stringify(settings?.cameras || {});
+
+    const adopt = useEffectEvent((slot, enabled) => {
+        if (layoutSettings[CAMERA_SLOTS[slot].layoutKey] !== enabled) {
+            getBackendSocket().send('obs-camera', { slot, visible: enabled });
+        }
+    });
+
+    useEffect(() => {
+        if (!isConnected) return;
+
+        const cameras = JSON.parse(camerasKey);
+        const resolved = {};
+        let cancelled = false;
+        items.current = resolved;
+
+        const resolve = async () => {
+            for (const slot of Object.keys(CAMERA_SLOTS)) {
+                const { sceneName, sourceName } = cameras[slot] || {};
+                if (!sceneName || !sourceName) continue;
+                try {
+                    const { sceneItemId } = await obs.call('GetSceneItemId', { sceneName, sourceName });
+                    const { sceneItemEnabled } = await obs.call('GetSceneItemEnabled', { sceneName, sceneItemId });
+                    if (cancelled) return;
+                    resolved[slot] = { sceneName, sceneItemId };
+                    adopt(slot, sceneItemEnabled);
+                } catch (err) {
+                    console.error(`OBS has no "${sourceName}" in scene "${sceneName}" for the ${slot} camera:`, err.message);
+                }
+            }
+        };
+
+        const onEnableStateChanged = ({ sceneName, sceneItemId, sceneItemEnabled }) => {
+            const slot = Object.keys(resolved).find(s => resolved[s].sceneName === sceneName && resolved[s].sceneItemId === sceneItemId);
+            if (slot) adopt(slot, sceneItemEnabled);
+        };
+
+        obs.on('SceneItemEnableStateChanged', onEnableStateChanged);
+        resolve();
+
+        return () => {
+            cancelled = true;
+            items.current = {};
+            obs.off('SceneItemEnableStateChanged', onEnableStateChanged);
+        };
+    }, [obs, isConnected, camerasKey]);
+
+    return (slot, visible) => {
+        updateLayout({ [CAMERA_SLOTS[slot].layoutKey]: visible });
+        const item = items.current[slot];
+        if (item) {
+            obs.call('SetSceneItemEnabled', { ...item, sceneItemEnabled: visible })
+                .catch(err => console.error(`Failed to toggle the ${slot} camera in OBS:`, err.message));
+        }
+    };
+}
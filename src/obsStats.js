@@ -0,0 +1,99 @@
+/**
+ * OBS performance stats and health checks
+ *
+ * OBSContext polls these while connected; the ObsHealth widget renders them. Frame drops are
+ * measured over the last poll window, so an old hiccup doesn't keep the warning up all stream.
+ */
+
+import { DEFAULT_HEALTH } from '../shared/obsHealth.js';
+
+export const OBS_STATS_INTERVAL = 2000;
+
+// Where frames get dropped: GPU/rendering lag, encoder overload, network
+export const DROP_KINDS = {
+    render: 'rendering',
+    encode: 'encoding',
+    network: 'network'
+};
+
+/**
+ * Take one sample of OBS stats
+ * @param {Object} obs - Connected OBSWebSocket
+ * @param {Object|null} previous - Last sample, for bitrate and per-window drop rates
+ * @returns {Promise<Object>} Sample
+ */
+export async function sampleObsStats(obs, previous) {
+    const [stats, stream, record] = await Promise.all([
+        obs.call('GetStats'),
+        obs.call('GetStreamStatus'),
+        obs.call('GetRecordStatus')
+    ]);
+    const at = Date.now();
+
+    // Share of frames skipped since the last sample; counters reset when OBS restarts an output
+    const windowPct = (current, last, skippedKey, totalKey) => {
+        if (!last) return 0;
+        const total = current[totalKey] - last[totalKey];
+        const skipped = current[skippedKey] - last[skippedKey];
+        return total > 0 && skipped >= 0 ? (skipped / total) * 100 : 0;
+    };
+    const wasStreaming = Boolean(previous?.stream.outputActive && stream.outputActive);
+
+    return {
+        at,
+        raw: stats,
+        stream,
+        cpu: stats.cpuUsage,
+        fps: stats.activeFps,
+        renderSkipped: stats.renderSkippedFrames,
+        encodeSkipped: stats.outputSkippedFrames,
+        networkSkipped: stream.outputActive ? stream.outputSkippedFrames : 0,
+        renderDropPct: windowPct(stats, previous?.raw, 'renderSkippedFrames', 'renderTotalFrames'),
+        encodeDropPct: windowPct(stats, previous?.raw, 'outputSkippedFrames', 'outputTotalFrames'),
+        networkDropPct: wasStreaming ? windowPct(stream, previous.stream, 'outputSkippedFrames', 'outputTotalFrames') : 0,
+        bitrateKbps: wasStreaming && stream.outputBytes >= previous.stream.outputBytes
+            ? ((stream.outputBytes - previous.stream.outputBytes) * 8) / (at - previous.at)
+            : 0,
+        streaming: stream.outputActive,
+        streamUptimeMs: stream.outputActive ? stream.outputDuration : 0,
+        recording: record.outputActive
+    };
+}
+
+/**
+ * Check a sample against the thresholds
+ * @param {Object} sample - From sampleObsStats()
+ * @param {Object} thresholds - DEFAULT_HEALTH shape
+ * @param {number} targetFps - Frame rate set in OBS
+ * @returns {Object[]} [{ key, message }] one per failed check; frame drops add `dropped` and `pct`
+ */
+export function checkObsHealth(sample, thresholds, targetFps) {
+    const t = { ...DEFAULT_HEALTH, ...thresholds };
+    const issues = [];
+    if (t.maxCpu > 0 && sample.cpu > t.maxCpu) {
+        issues.push({ key: 'cpu', message: `CPU at ${Math.round(sample.cpu)}%` });
+    }
+    if (t.fpsTolerance > 0 && targetFps > 0 && sample.fps < targetFps * (1 - t.fpsTolerance / 100)) {
+        issues.push({ key: 'fps', message: `${sample.fps.toFixed(1)} of ${Math.round(targetFps)} FPS` });
+    }
+    for (const [key, label] of Object.entries(DROP_KINDS)) {
+        const pct = sample[`${key}DropPct`];
+        if (t.maxDroppedPct > 0 && pct > t.maxDroppedPct) {
+            issues.push({ key, dropped: true, pct, message: `${pct.toFixed(1)}% frames dropped (${label})` });
+        }
+    }
+    if (t.minBitrateKbps > 0 && sample.streaming && sample.bitrateKbps > 0 && sample.bitrateKbps < t.minBitrateKbps) {
+        issues.push({ key: 'bitrate', message: `Bitrate down to ${Math.round(sample.bitrateKbps)} kbps` });
+    }
+    return issues;
+}
+
+/**
+ * h:mm:ss for the stream uptime
+ */
+export function formatUptime(ms) {
+    const seconds = Math.floor(ms / 1000);
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    return `${h}:${String(m).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+}
@@ -0,0 +1,45 @@
+/**
+ * Canvas resolution profiles
+ *
+ * The overlay is laid out once per orientation on a design canvas (1920x1080 landscape, 1080x1920
+ * vertical) and scaled as a whole to the profile's size, so every widget keeps its proportions.
+ * The profile comes from `?profile=` on the overlay URL when present (one backend, several OBS
+ * canvases), otherwise from `resolution` in layout-settings.json.
+ */
+
+export const RESOLUTION_PROFILES = {
+    '1080p': { label: '1080p (1920×1080)', width: 1920, height: 1080 },
+    '720p': { label: '720p (1280×720)', width: 1280, height: 720 },
+    '1440p': { label: '1440p (2560×1440)', width: 2560, height: 1440 },
+    '4k': { label: '4K (3840×2160)', width: 3840, height: 2160 },
+    vertical: { label: 'Vertical 9:16 (1080×1920)', width: 1080, height: 1920, vertical: true }
+};
+
+export const DEFAULT_PROFILE = '1080p';
+
+const DESIGN_CANVAS = {
+    landscape: { width: 1920, height: 1080 },
+    vertical: { width: 1080, height: 1920 }
+};
+
+const URL_PROFILE = new URLSearchParams(window.location.search).get('profile');
+
+/**
+ * The profile this overlay renders at
+ * @param {string} setting - `resolution` from the layout settings
+ * @returns {Object} Profile plus { key, fromUrl, designWidth, designHeight, scale }
+ */
+export function resolveProfile(setting) {
+    const fromUrl = Boolean(RESOLUTION_PROFILES[URL_PROFILE]);
+    const key = fromUrl ? URL_PROFILE : RESOLUTION_PROFILES[setting] ? setting : DEFAULT_PROFILE;
+    const profile = RESOLUTION_PROFILES[key];
+    const design = DESIGN_CANVAS[profile.vertical ? 'vertical' : 'landscape'];
+    return {
+        ...profile,
+        key,
+        fromUrl,
+        designWidth: design.width,
+        designHeight: design.height,
+        scale: profile.width / design.width
+    };
+}
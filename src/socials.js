@@ -0,0 +1,132 @@
+/**
+ * Social links and ticker for the SocialFeed widget
+ *
+ * The list and the ticker messages live in backend/social-settings.json (Settings → Socials) and
+ * arrive live via social-update. Ticker messages can use the TICKER_VARIABLES placeholders, which
+ * are filled in here from tasks, OBS and chat.
+ */
+
+import { Coffee, Dribbble, Facebook, Github, Gitlab, Globe, Heart, Instagram, Link, Linkedin, Mail, MessageCircle, Music, Rss, Twitch, Twitter, Youtube } from 'lucide-react';
+import { useEffect, useState } from 'react';
+import { useBackendMessages } from './backendSocket.js';
+import { backendFetch } from './config.js';
+import { useOBS } from './context/OBSContext';
+import { formatUptime } from './obsStats.js';
+
+// Icons a link can use, by the key stored in its `icon` field
+export const SOCIAL_ICONS = {
+    github: Github,
+    gitlab: Gitlab,
+    twitter: Twitter,
+    linkedin: Linkedin,
+    youtube: Youtube,
+    twitch: Twitch,
+    instagram: Instagram,
+    facebook: Facebook,
+    dribbble: Dribbble,
+    discord: MessageCircle,
+    music: Music,
+    rss: Rss,
+    mail: Mail,
+    coffee: Coffee,
+    heart: Heart,
+    link: Link,
+    website: Globe
+};
+
+// Known platforms and what a new link for them starts with; no color means the theme's text color
+export const SOCIAL_PLATFORMS = {
+    github: { label: 'GitHub', icon: 'github', color: '' },
+    twitter: { label: 'X / Twitter', icon: 'twitter', color: '#60a5fa' },
+    linkedin: { label: 'LinkedIn', icon: 'linkedin', color: '#2563eb' },
+    youtube: { label: 'YouTube', icon: 'youtube', color: '#ef4444' },
+    twitch: { label: 'Twitch', icon: 'twitch', color: '#a855f7' },
+    instagram: { label: 'Instagram', icon: 'instagram', color: '#ec4899' },
+    discord: { label: 'Discord', icon: 'discord', color: '#818cf8' },
+    kofi: { label: 'Ko-fi', icon: 'coffee', color: '#f472b6' },
+    website: { label: 'Website', icon: 'website', color: '#34d399' }
+};
+
+/**
+ * Icon component and color for a link, falling back to its platform's
+ * @param {Object} link - { platform, icon, color }
+ * @returns {Object} { Icon, color } - color is '' for the theme's text color
+ */
+export function linkStyle(link) {
+    const platform = SOCIAL_PLATFORMS[link.platform] || SOCIAL_PLATFORMS.website;
+    return {
+        Icon: SOCIAL_ICONS[link.icon] || SOCIAL_ICONS[platform.icon],
+        color: link.color || platform.color
+    };
+}
+
+/**
+ * Live social settings
+ * @returns {Object|null} { links, ticker }, null until loaded
+ */
+export function useSocialSettings() {
+    const [settings, setSettings] = useState(null);
+
+    useEffect(() => {
+        backendFetch('/socials')
+            .then(res => res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`)))
+            .then(setSettings)
+            .catch(err => console.error('Failed to load social settings:', err.message));
+    }, []);
+
+    useBackendMessages('social-update', (message) => setSettings(message.payload));
+
+    return settings;
+}
+
+export const TICKER_VARIABLES = {
+    task: 'Current task',
+    uptime: 'Stream uptime',
+    lastChatter: 'Last chatter',
+    scene: 'OBS scene'
+};
+
+const activeText = (tasks) => tasks.find(t => t.status === 'active')?.text || '';
+
+/**
+ * Current values for the ticker placeholders; missing ones are empty strings
+ * @returns {Object} { task, uptime, lastChatter, scene }
+ */
+export function useTickerValues() {
+    const { stats, currentScene } = useOBS();
+    const [task, setTask] = useState('');
+    const [lastChatter, setLastChatter] = useState('');
+
+    useEffect(() => {
+        backendFetch('/tasks')
+            .then(res => res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`)))
+            .then(data => Array.isArray(data) && setTask(activeText(data)))
+            .catch(err => console.error('Failed to load tasks for the ticker:', err.message));
+    }, []);
+
+    useBackendMessages('task-update', (message) => setTask(activeText(message.payload.tasks)));
+    useBackendMessages('chat', (message) => setLastChatter(message.payload.displayName));
+
+    return {
+        task,
+        uptime: stats?.streaming ? formatUptime(stats.streamUptimeMs) : '',
+        lastChatter,
+        scene: currentScene || ''
+    };
+}
+
+/**
+ * Fill a ticker message's placeholders
+ * @param {string} text - Message, e.g. 'Working on {task}'
+ * @param {Object} values - From useTickerValues()
+ * @returns {string|null} Text to show, or null when a placeholder it uses has no value yet
+ */
+export function fillTickerMessage(text, values) {
+    let missing = false;
+    const filled = text.replace(/\{(\w+)\}/g, (match, key) => {
+        if (!(key in TICKER_VARIABLES)) return match;
+        if (!values[key]) missing = true;
+        return values[key];
+    });
+    return missing ? null : filled;
+}
@@ -0,0 +1,83 @@
+/**
+ * Overlay color themes
+ *
+ * Overlay components use theme utilities (bg-panel/80, text-ai, border-fg/10) instead of Tailwind
+ * palette literals. Each maps to a `--theme-*` CSS variable (see index.css), so switching theme is
+ * just rewriting those variables on <html>. The choice lives in layout-settings.json as `theme`,
+ * with `customTheme` holding the colors for the custom theme; both arrive live via layout-update.
+ */
+
+import { useEffect } from 'react';
+
+// Theme color slots, with the label shown in the custom theme editor
+export const THEME_COLORS = {
+    panel: 'Panels',
+    fg: 'Text & Lines',
+    ai: 'AI',
+    accent: 'Tasks & Accent',
+    chat: 'Viewer Chat',
+    live: 'Recording',
+    ok: 'OK',
+    warn: 'Warning'
+};
+
+export const DEFAULT_THEME = 'dark-neon';
+
+export const THEMES = {
+    'dark-neon': {
+        label: 'Dark Neon',
+        colors: { panel: '#000000', fg: '#ffffff', ai: '#c084fc', accent: '#60a5fa', chat: '#34d399', live: '#ef4444', ok: '#4ade80', warn: '#fbbf24' }
+    },
+    light: {
+        label: 'Light',
+        colors: { panel: '#f8fafc', fg: '#0f172a', ai: '#7c3aed', accent: '#2563eb', chat: '#059669', live: '#dc2626', ok: '#16a34a', warn: '#d97706' }
+    },
+    'high-contrast': {
+        label: 'High Contrast',
+        colors: { panel: '#000000', fg: '#ffffff', ai: '#ff4dff', accent: '#00e5ff', chat: '#00ff7f', live: '#ff0000', ok: '#00ff00', warn: '#ffff00' }
+    },
+    brand: {
+        label: 'Brand',
+        colors: { panel: '#0b1120', fg: '#e2e8f0', ai: '#f472b6', accent: '#f97316', chat: '#2dd4bf', live: '#f43f5e', ok: '#a3e635', warn: '#facc15' }
+    }
+};
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Colors for a theme choice; unknown themes and bad custom colors fall back to the default theme
+ * @param {string} theme - Theme key, or 'custom'
+ * @param {Object} customTheme - { [slot]: '#rrggbb' } used when theme is 'custom'
+ * @returns {Object} { [slot]: '#rrggbb' } for every slot in THEME_COLORS
+ */
+export function resolveTheme(theme, customTheme) {
+    const base = THEMES[DEFAULT_THEME].colors;
+    if (theme === 'custom') {
+        const custom = customTheme && typeof customTheme === 'object' ? customTheme : {};
+        return Object.fromEntries(Object.keys(THEME_COLORS).map(slot => [slot, HEX_COLOR.test(custom[slot]) ? custom[slot] : base[slot]]));
+    }
+    return { ...(THEMES[theme] || THEMES[DEFAULT_THEME]).colors };
+}
+
+/**
+ * Apply a theme to the page by rewriting the --theme-* variables
+ * @param {Object} colors - From resolveTheme()
+ */
+export function applyTheme(colors) {
+    for (const [slot, color] of Object.entries(colors)) {
+        document.documentElement.style.setProperty(`--theme-${slot}`, color);
+    }
+}
+
+/**
+ * Keep the page on the theme from the layout settings
+ * @param {Object} layout - Layout settings ({ theme, customTheme })
+ */
+export function useTheme(layout) {
+    const colors = resolveTheme(layout.theme, layout.customTheme);
+    const key = JSON.stringify(colors);
+
+    useEffect(() => {
+        applyTheme(JSON.parse(key));
+    }, [key]);
+}
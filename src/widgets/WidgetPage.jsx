@@ -0,0 +1,37 @@
+import { useLayoutSettings } from '../layoutSettings.js';
+import { useTheme } from '../themes.js';
+import { getWidgetByRoute, listWidgets, standaloneProps } from './registry.js';
+
+const query = new URLSearchParams(window.location.search);
+
+/**
+ * One widget alone on a transparent page (/widget/<route>), for its own OBS browser source
+ * Size and position it in OBS; the widget fills the source. Layout presets that hide it also hide it here.
+ */
+const WidgetPage = ({ route }) => {
+    const [layoutSettings] = useLayoutSettings();
+    useTheme(layoutSettings);
+
+    const definition = getWidgetByRoute(route);
+    if (!definition) {
+        const routes = listWidgets().filter(w => w.route).map(w => `/widget/${w.route}`).join(', ');
+        return (
+            <div className="w-screen h-screen flex items-center justify-center p-4">
+                <div className="bg-panel/80 rounded-xl border border-fg/10 px-4 py-3 text-sm text-fg/70">
+                    No widget at /widget/{route}. Available: {routes}
+                </div>
+            </div>
+        );
+    }
+
+    const hidden = definition.visibleKey && layoutSettings[definition.visibleKey] === false;
+    const { component: Widget } = definition;
+
+    return (
+        <div className="w-screen h-screen p-2 flex flex-col bg-transparent">
+            {!hidden && <Widget {...standaloneProps(definition, layoutSettings, query)} />}
+        </div>
+    );
+};
+
+export default WidgetPage;
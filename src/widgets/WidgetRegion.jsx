@@ -0,0 +1,39 @@
+import { getWidget, widgetProps } from './registry.js';
+
+// How each region lays out its widgets: the sidebar stacks them, the bottom bar puts them side by side
+const REGION_STYLES = {
+    sidebar: { container: 'flex flex-col gap-3', grow: 'flex-1 min-h-0', fixed: 'flex-shrink-0' },
+    bottom: { container: 'flex', grow: 'flex-1 min-w-0', fixed: 'w-64 flex-shrink-0' }
+};
+
+/**
+ * Render the widgets placed in one region of the layout config
+ * Widgets hidden by their layout flag (presets) are skipped.
+ */
+const WidgetRegion = ({ region, entries, layout, className = '' }) => {
+    const styles = REGION_STYLES[region];
+    const visible = entries.filter(entry => {
+        const definition = getWidget(entry.type);
+        return definition && (!definition.visibleKey || layout[definition.visibleKey] !== false);
+    });
+
+    if (visible.length === 0) return null;
+
+    return (
+        <div className={`${styles.container} ${className}`}>
+            {visible.map((entry, index) => {
+                const { component: Widget, grow } = getWidget(entry.type);
+                // A lone widget in the bottom bar takes the whole bar
+                const stretch = grow || (region === 'bottom' && visible.length === 1);
+                const divider = region === 'bottom' && index > 0 ? 'border-l border-fg/5' : '';
+                return (
+                    <div key={entry.id} className={`${stretch ? styles.grow : styles.fixed} ${divider}`}>
+                        <Widget {...widgetProps(entry, layout)} />
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+export default WidgetRegion;
@@ -0,0 +1,166 @@
+/**
+ * Widget registry
+ *
+ * Every widget the overlay can place in a region is registered here. The layout config
+ * (layout-settings.json → `widgets`) lists which widgets sit in which region, in order, with
+ * per-widget props; OverlayLayout and the Widgets settings tab both render from it.
+ *
+ * Adding a widget = registerWidget('my-widget', { label, component, ... }). No layout JSX changes.
+ * Widgets with a `route` can also be opened alone at /widget/<route> as their own OBS browser source.
+ */
+
+import AICompanion from '../components/AICompanion';
+import CurrentTask from '../components/CurrentTask';
+import FocusTimer from '../components/FocusTimer';
+import ObsHealth from '../components/ObsHealth';
+import SocialFeed from '../components/SocialFeed';
+
+export const REGIONS = {
+    sidebar: 'Sidebar',
+    bottom: 'Bottom Bar'
+};
+
+const widgets = new Map();
+
+/**
+ * Register a widget type
+ * @param {string} type - Unique key stored in the layout config
+ * @param {Object} definition
+ *   - label: name in the settings editor
+ *   - component: React component
+ *   - regions: region keys it fits in (default: all)
+ *   - grow: takes the space left in its region instead of its natural size
+ *   - visibleKey: layout flag that hides it (set by layout presets), e.g. 'showTask'
+ *   - props: { [prop]: { label, type: 'text' | 'number', default } } editable per instance
+ *   - layoutProps: (layout) => props taken from the layout settings
+ *   - route: path segment for the standalone page, /widget/<route>
+ */
+export function registerWidget(type, definition) {
+    widgets.set(type, { regions: Object.keys(REGIONS), grow: false, props: {}, ...definition, type });
+}
+
+/**
+ * @param {string} type - Widget type
+ * @returns {Object|undefined} Definition
+ */
+export function getWidget(type) {
+    return widgets.get(type);
+}
+
+/**
+ * @returns {Object[]} All definitions, in registration order
+ */
+export function listWidgets() {
+    return [...widgets.values()];
+}
+
+/**
+ * Props for one placed widget: registered defaults, then layout-derived values, then the instance's own
+ * @param {Object} entry - { id, type, props }
+ * @param {Object} layout - Layout settings
+ * @returns {Object} Props
+ */
+export function widgetProps(entry, layout) {
+    const definition = widgets.get(entry.type);
+    const defaults = Object.fromEntries(Object.entries(definition.props).map(([key, field]) => [key, field.default]));
+    return { ...defaults, ...(definition.layoutProps ? definition.layoutProps(layout) : {}), ...entry.props };
+}
+
+/**
+ * @param {string} route - Path segment after /widget/
+ * @returns {Object|undefined} Definition of the widget served there
+ */
+export function getWidgetByRoute(route) {
+    return listWidgets().find(definition => definition.route === route);
+}
+
+/**
+ * Props for a widget on its standalone page: the same as its first placement in the layout config
+ * (so titles match the full overlay), with registered props overridable from the URL query
+ * @param {Object} definition - Widget definition
+ * @param {Object} layout - Layout settings
+ * @param {URLSearchParams} query - Page query, e.g. ?title=Chat&maxMessages=8
+ * @returns {Object} Props
+ */
+export function standaloneProps(definition, layout, query) {
+    const placed = Object.values(normalizeWidgetLayout(layout.widgets)).flat().find(entry => entry.type === definition.type);
+    const props = { ...placed?.props };
+    for (const [key, field] of Object.entries(definition.props)) {
+        if (!query.has(key)) continue;
+        props[key] = field.type === 'number' ? Number(query.get(key)) : query.get(key);
+    }
+    return widgetProps({ type: definition.type, props }, layout);
+}
+
+registerWidget('obs-health', {
+    label: 'OBS Health',
+    route: 'status',
+    component: ObsHealth,
+    visibleKey: 'showObsHealth'
+});
+
+registerWidget('social', {
+    label: 'Social Feed',
+    component: SocialFeed,
+    route: 'socials',
+    regions: ['sidebar'],
+    visibleKey: 'showSocial',
+    props: { title: { label: 'Title', type: 'text', default: 'Socials' } }
+});
+
+registerWidget('companion', {
+    label: 'AI Companion',
+    component: AICompanion,
+    route: 'ai',
+    grow: true,
+    visibleKey: 'showCompanion',
+    props: {
+        title: { label: 'Title', type: 'text', default: 'AI Companion' },
+        maxMessages: { label: 'Messages Kept', type: 'number', default: 15 }
+    }
+});
+
+registerWidget('task', {
+    label: 'Current Task',
+    component: CurrentTask,
+    route: 'tasks',
+    grow: true,
+    visibleKey: 'showTask'
+});
+
+registerWidget('focus-timer', {
+    label: 'Focus Timer',
+    component: FocusTimer,
+    route: 'timer',
+    visibleKey: 'showFocusTimer'
+});
+
+// What a fresh install shows; also the fallback for a missing or broken config
+export const DEFAULT_WIDGET_LAYOUT = {
+    sidebar: [
+        { id: 'obs-health', type: 'obs-health', props: {} },
+        { id: 'social', type: 'social', props: {} },
+        { id: 'companion', type: 'companion', props: {} }
+    ],
+    bottom: [
+        { id: 'task', type: 'task', props: {} },
+        { id: 'focus-timer', type: 'focus-timer', props: {} }
+    ]
+};
+
+/**
+ * Drop unknown widgets and regions from a stored config, so a removed widget can't break the overlay
+ * @param {Object} config - { [region]: [{ id, type, props }] }
+ * @returns {Object} Config with every region present
+ */
+export function normalizeWidgetLayout(config) {
+    if (!config || typeof config !== 'object') return DEFAULT_WIDGET_LAYOUT;
+    return Object.fromEntries(Object.keys(REGIONS).map(region => [
+        region,
+        (Array.isArray(config[region]) ? config[region] : []).filter(entry => {
+            const known = entry && widgets.has(entry.type);
+            if (entry && !known) console.warn(`Unknown widget "${entry.type}" in the layout config, skipping it`);
+            return known;
+        }).map(entry => ({ id: String(entry.id || entry.type), type: entry.type, props: entry.props || {} }))
+    ]));
+}